@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+//-----------------------------------------------------------------------------
+// battle-sim
+//
+// Repeats a troop battle with the auto battle AI and prints balance statistics.
+// Run `npm run build:headless` first.
+//
+//   node bin/battle-sim.js --troop 3 --actor 1:12 --actor 2:12:3,0,5,0,0
+//       --runs 1000 --seed 7 --format csv --out troop3.csv
+//
+// An actor is given as id[:level[:equip ids]]. --setup reads the options from
+// a JSON file instead, which can also list items as {"itemId": count}.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const USAGE = `Usage: battle-sim [options]
+  --project <dir>     Project directory (default: project)
+  --troop <id>        Troop id (default: the battle test troop)
+  --actor <spec>      Party member as id[:level[:equip ids]], repeatable
+                      (default: the battle test party)
+  --item <id:count>   Item in the inventory, repeatable
+  --runs <n>          Number of battles (default: 100)
+  --seed <n>          Seed of the first battle (default: 1)
+  --max-turns <n>     Turns before a battle counts as a timeout (default: 100)
+  --can-escape        Let the battle be escaped
+  --setup <file>      Read the options from a JSON file
+  --format <fmt>      json or csv (default: json)
+  --out <file>        Write to a file instead of stdout`;
+
+function parseArgs(argv) {
+    const args = { project: "project", format: "json", options: {} };
+    const options = args.options;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error("Missing value for " + arg);
+            }
+            return argv[++i];
+        };
+        switch (arg) {
+            case "--project":
+                args.project = value();
+                break;
+            case "--troop":
+                options.troopId = Number(value());
+                break;
+            case "--actor":
+                options.actors = (options.actors || []).concat(parseActor(value()));
+                break;
+            case "--item": {
+                const [itemId, count] = value().split(":");
+                options.items = Object.assign(options.items || {}, {
+                    [itemId]: Number(count || 1)
+                });
+                break;
+            }
+            case "--runs":
+                options.runs = Number(value());
+                break;
+            case "--seed":
+                options.seed = Number(value());
+                break;
+            case "--max-turns":
+                options.maxTurns = Number(value());
+                break;
+            case "--can-escape":
+                options.canEscape = true;
+                break;
+            case "--setup":
+                Object.assign(options, JSON.parse(fs.readFileSync(value(), "utf8")));
+                break;
+            case "--format":
+                args.format = value();
+                break;
+            case "--out":
+                args.out = value();
+                break;
+            case "--help":
+                args.help = true;
+                break;
+            default:
+                throw new Error("Unknown option: " + arg);
+        }
+    }
+    if (!["json", "csv"].includes(args.format)) {
+        throw new Error("Unknown format: " + args.format);
+    }
+    return args;
+}
+
+function parseActor(spec) {
+    const [actorId, level, equips] = spec.split(":");
+    const actor = { actorId: Number(actorId) };
+    if (level) {
+        actor.level = Number(level);
+    }
+    if (equips) {
+        actor.equips = equips.split(",").map(Number);
+    }
+    return actor;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message + "\n\n" + USAGE);
+        process.exit(1);
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    const { HeadlessManager, BattleSimulator } = require(
+        path.join(__dirname, "../dist/headless.js")
+    );
+    HeadlessManager.boot(args.project);
+    const report = BattleSimulator.simulate(args.options);
+    const output =
+        args.format === "csv"
+            ? BattleSimulator.toCsv(report)
+            : JSON.stringify(report, null, 2) + "\n";
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main();
@@ -62,6 +62,12 @@ declare namespace MZ {
     a: number
   ]
 
+  export type RGBColorArray = [
+    r: number,
+    g: number,
+    b: number
+  ]
+
   export interface AudioParam {
       name: string;
       volume: number;
@@ -264,6 +270,8 @@ declare namespace MZ {
 
   export interface DataWithNote extends Data {
       note: string
+      // The note tags, as extracted by DataManager.extractMetadata.
+      meta: {[key: string]: string | true}
   }
 
 
@@ -667,6 +675,7 @@ declare namespace MZ {
   export interface DataMap {
     displayName: string;
     note: string;
+    meta: {[key: string]: string | true};
     width: number;
     height: number;
     tilesetId: TilesetID;
@@ -843,6 +852,12 @@ declare namespace MZ {
     faces: Array<[string, number]>
     playtime: string
     timestamp: number
+    version?: number
+    // Only in the info of older saves; see DataManager.moveSavefileSnapshots.
+    snapshot?: string
+    mapName?: string
+    level?: number
+    note?: string
   };
 
   export type GoodsParam = [
@@ -0,0 +1,505 @@
+import { Random } from './random';
+
+type Bindings = {[name: string]: any};
+type Evaluator = (bindings: Bindings) => any;
+
+type Token = {
+  type: "number" | "string" | "name" | "punct" | "end"
+  value: any
+  pos: number
+};
+
+export type CompiledExpression = {
+  source: string
+  evaluate: Evaluator
+};
+
+const PUNCTUATORS = [
+  "===", "!==", "==", "!=", "<=", ">=", "&&", "||",
+  "?", ":", ".", ",", "(", ")", "[", "]", ";",
+  "+", "-", "*", "/", "%", "<", ">", "!", "="
+];
+
+const LITERALS = new Map<string, any>([
+  ["true", true],
+  ["false", false],
+  ["null", null],
+  ["undefined", undefined]
+]);
+
+const DENIED_PROPERTIES = [
+  "constructor", "prototype", "__proto__",
+  "__defineGetter__", "__defineSetter__", "__lookupGetter__", "__lookupSetter__",
+  "call", "apply", "bind", "caller", "callee", "arguments"
+];
+
+const MATH_HELPERS = Object.freeze({
+  PI: Math.PI,
+  E: Math.E,
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: Math.round,
+  trunc: Math.trunc,
+  sign: Math.sign,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  exp: Math.exp,
+  log: Math.log,
+  max: Math.max,
+  min: Math.min,
+  sin: Math.sin,
+  cos: Math.cos,
+  random: () => Random.random(),
+  randomInt: (max: number) => Random.randomInt(max)
+});
+
+// [Note] Only the Math helpers and the methods of views can be called, so
+//   that an expression cannot reach a method that changes the game.
+const CALLABLE_FUNCTIONS = new WeakSet<Function>(
+  Object.values(MATH_HELPERS).filter(value => typeof value === "function") as Function[]
+);
+
+const VIEWS = new WeakMap<object, Map<string, Bindings>>();
+
+//-----------------------------------------------------------------------------
+/**
+ * The static class that compiles the small expression language used by damage
+ * formulas and event scripts in place of eval.
+ *
+ * An expression can only read the bindings it is given, call the methods of
+ * their views and use the Math helpers. Statements separated by ";" are evaluated in turn
+ * and the last value is returned.
+ *
+ * @namespace
+ */
+export class Expression {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  // [Note] Maps, so that sources such as "constructor" never find the
+  //   members of Object.prototype.
+  static _cache = new Map<string, CompiledExpression>();
+
+  /**
+  * Compiles an expression, reusing the result for the same source.
+  *
+  * @param {string} source - The source of the expression.
+  * @returns {CompiledExpression} The compiled expression.
+  */
+  static compile(source: string): CompiledExpression {
+    const key = String(source);
+    if (!this._cache.has(key)) {
+        const parser = new ExpressionParser(key);
+        this._cache.set(key, { source: key, evaluate: parser.parse() });
+    }
+    return this._cache.get(key)!;
+  };
+
+  /**
+  * Compiles and evaluates an expression with the given bindings.
+  *
+  * @param {string} source - The source of the expression.
+  * @param {Object} bindings - The names the expression can refer to.
+  * @returns {any} The value of the expression.
+  */
+  static evaluate(source: string, bindings: Bindings): any {
+    const scope = Object.assign({ Math: MATH_HELPERS }, bindings);
+    return this.compile(source).evaluate(scope);
+  };
+
+  /**
+  * Makes a read-only view of an object for the bindings. Properties are read
+  * through to the object, and methods are the only functions that an
+  * expression can call.
+  *
+  * @param {Object} object - The object to view.
+  * @param {string[]} names - The properties and methods to expose.
+  * @returns {Object} The frozen view, reused for the same object and names.
+  */
+  static view(object: any, names: string[]): Bindings {
+    const key = names.join(",");
+    if (!VIEWS.has(object)) {
+        VIEWS.set(object, new Map());
+    }
+    const views = VIEWS.get(object)!;
+    if (!views.has(key)) {
+        const view = Object.create(null);
+        for (const name of names) {
+            if (typeof object[name] === "function") {
+                view[name] = this.callable((...args: any[]) => object[name](...args));
+            } else {
+                Object.defineProperty(view, name, { get: () => object[name], enumerable: true });
+            }
+        }
+        views.set(key, Object.freeze(view));
+    }
+    return views.get(key)!;
+  };
+
+  /**
+  * Allows expressions to call a function, such as one that returns a view.
+  *
+  * @param {Function} func - The function to allow.
+  * @returns {Function} The same function.
+  */
+  static callable<T extends Function>(func: T): T {
+    CALLABLE_FUNCTIONS.add(func);
+    return func;
+  };
+
+  /**
+  * Clears the compiled expressions.
+  */
+  static clearCache(): void {
+    this._cache = new Map();
+  };
+
+  static _getMember(object: any, key: any): any {
+    const name = String(key);
+    if (object === null || object === undefined) {
+        throw new TypeError("Cannot read property '" + name + "' of " + object);
+    }
+    if (DENIED_PROPERTIES.includes(name)) {
+        throw new Error("Access to '" + name + "' is not allowed");
+    }
+    return object[name];
+  };
+
+  static _call(func: any, thisArg: any, args: any[], name: string): any {
+    if (typeof func !== "function") {
+        throw new TypeError(name + " is not a function");
+    }
+    if (!CALLABLE_FUNCTIONS.has(func)) {
+        throw new Error("Calling " + name + " is not allowed");
+    }
+    return func.apply(thisArg, args);
+  };
+}
+
+//-----------------------------------------------------------------------------
+// ExpressionParser
+//
+// The recursive descent parser that turns the source into a tree of closures.
+
+class ExpressionParser {
+  _source: string
+  _tokens: Token[]
+  _index: number
+
+  constructor(source: string) {
+    this._source = source;
+    this._tokens = this.tokenize(source);
+    this._index = 0;
+  }
+
+  parse(): Evaluator {
+    const statements: Evaluator[] = [];
+    while (!this.isAt("end")) {
+        if (this.accept(";")) {
+            continue;
+        }
+        statements.push(this.parseConditional());
+        if (!this.isAt("end")) {
+            this.expect(";");
+        }
+    }
+    if (statements.length === 0) {
+        this.error("Empty expression", 0);
+    }
+    return scope => {
+        let value;
+        for (const statement of statements) {
+            value = statement(scope);
+        }
+        return value;
+    };
+  };
+
+  tokenize(source: string): Token[] {
+    const tokens: Token[] = [];
+    let pos = 0;
+    while (pos < source.length) {
+        const c = source[pos];
+        if (/\s/.test(c)) {
+            pos++;
+        } else if (/[0-9]/.test(c) || (c === "." && /[0-9]/.test(source[pos + 1]))) {
+            const match = source.slice(pos).match(/^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/)!;
+            tokens.push({ type: "number", value: Number(match[0]), pos: pos });
+            pos += match[0].length;
+        } else if (c === '"' || c === "'") {
+            pos = this.readString(source, pos, tokens);
+        } else if (/[A-Za-z_$]/.test(c)) {
+            const match = source.slice(pos).match(/^[A-Za-z_$][\w$]*/)!;
+            tokens.push({ type: "name", value: match[0], pos: pos });
+            pos += match[0].length;
+        } else {
+            const punct = PUNCTUATORS.find(p => source.startsWith(p, pos));
+            if (!punct) {
+                this.error("Unexpected character '" + c + "'", pos);
+            }
+            tokens.push({ type: "punct", value: punct, pos: pos });
+            pos += punct!.length;
+        }
+    }
+    tokens.push({ type: "end", value: null, pos: source.length });
+    return tokens;
+  };
+
+  readString(source: string, start: number, tokens: Token[]): number {
+    const quote = source[start];
+    const escapes: {[key: string]: string} = { n: "\n", t: "\t", r: "\r" };
+    let value = "";
+    let pos = start + 1;
+    while (pos < source.length && source[pos] !== quote) {
+        if (source[pos] === "\\" && pos + 1 < source.length) {
+            const c = source[pos + 1];
+            value += escapes[c] || c;
+            pos += 2;
+        } else {
+            value += source[pos++];
+        }
+    }
+    if (pos >= source.length) {
+        this.error("Unterminated string", start);
+    }
+    tokens.push({ type: "string", value: value, pos: start });
+    return pos + 1;
+  };
+
+  peek(): Token {
+    return this._tokens[this._index];
+  };
+
+  next(): Token {
+    return this._tokens[this._index++];
+  };
+
+  isAt(type: Token["type"], value?: string): boolean {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  };
+
+  accept(punct: string): boolean {
+    if (this.isAt("punct", punct)) {
+        this._index++;
+        return true;
+    }
+    return false;
+  };
+
+  expect(punct: string): void {
+    if (!this.accept(punct)) {
+        this.unexpected();
+    }
+  };
+
+  unexpected(): never {
+    const token = this.peek();
+    if (token.type === "end") {
+        this.error("Unexpected end of expression", token.pos);
+    } else if (token.value === "=") {
+        this.error("Assignment is not supported", token.pos);
+    }
+    return this.error("Unexpected token '" + token.value + "'", token.pos);
+  };
+
+  error(message: string, pos: number): never {
+    throw new SyntaxError(
+        message + " at column " + (pos + 1) + ' in "' + this._source + '"'
+    );
+  };
+
+  parseConditional(): Evaluator {
+    const test = this.parseBinary(0);
+    if (this.accept("?")) {
+        const consequent = this.parseConditional();
+        this.expect(":");
+        const alternate = this.parseConditional();
+        return scope => (test(scope) ? consequent(scope) : alternate(scope));
+    }
+    return test;
+  };
+
+  parseBinary(level: number): Evaluator {
+    const levels = [
+        ["||"],
+        ["&&"],
+        ["===", "!==", "==", "!="],
+        ["<", "<=", ">", ">="],
+        ["+", "-"],
+        ["*", "/", "%"]
+    ];
+    if (level >= levels.length) {
+        return this.parseUnary();
+    }
+    let left = this.parseBinary(level + 1);
+    for (;;) {
+        const token = this.peek();
+        if (token.type !== "punct" || !levels[level].includes(token.value)) {
+            return left;
+        }
+        this.next();
+        const right = this.parseBinary(level + 1);
+        left = this.makeBinary(token.value, left, right);
+    }
+  };
+
+  makeBinary(operator: string, left: Evaluator, right: Evaluator): Evaluator {
+    switch (operator) {
+        case "||":
+            return scope => left(scope) || right(scope);
+        case "&&":
+            return scope => left(scope) && right(scope);
+        case "===":
+            return scope => left(scope) === right(scope);
+        case "!==":
+            return scope => left(scope) !== right(scope);
+        case "==":
+            return scope => left(scope) == right(scope);
+        case "!=":
+            return scope => left(scope) != right(scope);
+        case "<":
+            return scope => left(scope) < right(scope);
+        case "<=":
+            return scope => left(scope) <= right(scope);
+        case ">":
+            return scope => left(scope) > right(scope);
+        case ">=":
+            return scope => left(scope) >= right(scope);
+        case "+":
+            return scope => left(scope) + right(scope);
+        case "-":
+            return scope => left(scope) - right(scope);
+        case "*":
+            return scope => left(scope) * right(scope);
+        case "/":
+            return scope => left(scope) / right(scope);
+        default:
+            return scope => left(scope) % right(scope);
+    }
+  };
+
+  parseUnary(): Evaluator {
+    if (this.accept("!")) {
+        const operand = this.parseUnary();
+        return scope => !operand(scope);
+    } else if (this.accept("-")) {
+        const operand = this.parseUnary();
+        return scope => -operand(scope);
+    } else if (this.accept("+")) {
+        const operand = this.parseUnary();
+        return scope => +operand(scope);
+    }
+    return this.parsePostfix();
+  };
+
+  parsePostfix(): Evaluator {
+    let target = this.parsePrimary();
+    let member: [Evaluator, Evaluator] | null = null;
+    let name = this._tokens[this._index - 1].value;
+    for (;;) {
+        if (this.accept(".")) {
+            const token = this.next();
+            if (token.type !== "name") {
+                this._index--;
+                this.unexpected();
+            }
+            member = [target, () => token.value];
+            name = token.value;
+        } else if (this.accept("[")) {
+            member = [target, this.parseConditional()];
+            this.expect("]");
+        } else if (this.accept("(")) {
+            target = this.makeCall(target, member, this.parseArguments(), name);
+            member = null;
+            continue;
+        } else {
+            return target;
+        }
+        const [object, key] = member;
+        target = scope => Expression._getMember(object(scope), key(scope));
+    }
+  };
+
+  makeCall(
+    callee: Evaluator,
+    member: [Evaluator, Evaluator] | null,
+    args: Evaluator[],
+    name: string
+  ): Evaluator {
+    if (member) {
+        // [Note] A method is called with its object as "this", which is
+        //   evaluated only once.
+        const [object, key] = member;
+        return scope => {
+            const self = object(scope);
+            const func = Expression._getMember(self, key(scope));
+            return Expression._call(func, self, args.map(arg => arg(scope)), name);
+        };
+    }
+    return scope => {
+        const func = callee(scope);
+        return Expression._call(func, undefined, args.map(arg => arg(scope)), name);
+    };
+  };
+
+  parseArguments(): Evaluator[] {
+    const args: Evaluator[] = [];
+    if (!this.accept(")")) {
+        do {
+            args.push(this.parseConditional());
+        } while (this.accept(","));
+        this.expect(")");
+    }
+    return args;
+  };
+
+  parsePrimary(): Evaluator {
+    const token = this.next();
+    switch (token.type) {
+        case "number":
+        case "string":
+            return () => token.value;
+        case "name":
+            return this.makeName(token.value);
+        case "punct":
+            if (token.value === "(") {
+                const inner = this.parseConditional();
+                this.expect(")");
+                return inner;
+            } else if (token.value === "[") {
+                const elements = this.parseArrayElements();
+                return scope => elements.map(element => element(scope));
+            }
+            break;
+    }
+    this._index--;
+    return this.unexpected();
+  };
+
+  parseArrayElements(): Evaluator[] {
+    const elements: Evaluator[] = [];
+    if (!this.accept("]")) {
+        do {
+            elements.push(this.parseConditional());
+        } while (this.accept(","));
+        this.expect("]");
+    }
+    return elements;
+  };
+
+  makeName(name: string): Evaluator {
+    if (LITERALS.has(name)) {
+        const value = LITERALS.get(name);
+        return () => value;
+    }
+    return scope => {
+        if (!Object.prototype.hasOwnProperty.call(scope, name)) {
+            throw new ReferenceError(name + " is not defined");
+        }
+        return scope[name];
+    };
+  };
+}
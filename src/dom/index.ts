@@ -1,7 +1,9 @@
+export { Expression } from './expression';
 export { FPSCounter } from './fpsCounter';
 export { Graphics } from './graphics';
 export { Input } from './input';
 export { JsonEx } from './jsonEx';
+export { Random } from './random';
 export { TouchInput } from './touchInput';
 export { Utils } from './utils';
 export { Video } from './video';
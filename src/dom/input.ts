@@ -54,6 +54,7 @@ export class Input {
     39: "right", // right arrow
     40: "down", // down arrow
     45: "escape", // insert
+    77: "map", // M
     81: "pageup", // Q
     87: "pagedown", // W
     88: "escape", // X
@@ -78,6 +79,7 @@ export class Input {
     3: "menu", // Y
     4: "pageup", // LB
     5: "pagedown", // RB
+    8: "map", // back
     12: "up", // D-pad up
     13: "down", // D-pad down
     14: "left", // D-pad left
@@ -92,6 +94,10 @@ export class Input {
   static _dir4: MZ.MoveDirection
   static _dir8: MZ.MoveDirection8
   static _preferredAxis: "" | "x" | "y"
+  static _stickX: number
+  static _stickY: number
+  static _axisX: number
+  static _axisY: number
   static _date: number
   static _virtualButton: string | null
 
@@ -107,6 +113,10 @@ export class Input {
     this._dir4 = 0;
     this._dir8 = 0;
     this._preferredAxis = "";
+    this._stickX = 0;
+    this._stickY = 0;
+    this._axisX = 0;
+    this._axisY = 0;
     this._date = 0;
     this._virtualButton = null;
   };
@@ -115,6 +125,8 @@ export class Input {
   * Updates the input data.
   */
   static update(): void {
+    this._stickX = 0;
+    this._stickY = 0;
     this._pollGamepads();
     if (this._currentState[this._latestButton!]) {
         this._pressedTime++;
@@ -223,6 +235,30 @@ export class Input {
     return this._dir8;
   }
 
+  /**
+  * The horizontal direction from -1 (left) to 1 (right), analog with the
+  * left stick of a gamepad.
+  *
+  * @readonly
+  * @type number
+  * @name Input.axisX
+  */
+  static get axisX(): number {
+    return this._axisX;
+  }
+
+  /**
+  * The vertical direction from -1 (up) to 1 (down), analog with the left
+  * stick of a gamepad.
+  *
+  * @readonly
+  * @type number
+  * @name Input.axisY
+  */
+  static get axisY(): number {
+    return this._axisY;
+  }
+
   /**
   * The time of the last input in milliseconds.
   *
@@ -329,6 +365,17 @@ export class Input {
         }
     }
     this._gamepadStates[gamepad.index] = newState;
+    this._updateStick(axes[0] || 0, axes[1] || 0);
+  };
+
+  static _updateStick(x: number, y: number): void {
+    // The stick tilted the most is used when several gamepads are connected.
+    const deadZone = 0.2;
+    const length = Math.hypot(x, y);
+    if (length > deadZone && length > Math.hypot(this._stickX, this._stickY)) {
+        this._stickX = x / Math.max(length, 1);
+        this._stickY = y / Math.max(length, 1);
+    }
   };
 
   static _updateDirection(): void {
@@ -347,6 +394,20 @@ export class Input {
         this._preferredAxis = "x";
     }
     this._dir4 = this._makeNumpadDirection(x, y) as MZ.MoveDirection;
+    this._updateAxes();
+  };
+
+  static _updateAxes(): void {
+    if (this._stickX !== 0 || this._stickY !== 0) {
+        this._axisX = this._stickX;
+        this._axisY = this._stickY;
+    } else {
+        const x = this._signX();
+        const y = this._signY();
+        const length = Math.hypot(x, y) || 1;
+        this._axisX = x / length;
+        this._axisY = y / length;
+    }
   };
 
   static _signX(): number {
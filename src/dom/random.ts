@@ -0,0 +1,103 @@
+//-----------------------------------------------------------------------------
+/**
+ * The static class that generates seedable pseudo-random numbers for the game
+ * logic, so that a play session can be reproduced from its seed.
+ *
+ * @namespace
+ */
+export class Random {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _seed = 0;
+  static _state: number[] | null = null;
+
+  /**
+  * Initializes the generator with the given seed.
+  *
+  * @param {number} seed - The seed value, treated as a 32-bit integer.
+  */
+  static setSeed(seed: number): void {
+    // [Note] The seed is expanded with SplitMix32 so that similar seeds give
+    //   unrelated sequences.
+    this._seed = seed >>> 0;
+    this._state = [];
+    let x = this._seed;
+    for (let i = 0; i < 4; i++) {
+        x = (x + 0x9e3779b9) | 0;
+        let z = x;
+        z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+        z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+        this._state.push((z ^ (z >>> 16)) >>> 0);
+    }
+    if (this._state.every(n => n === 0)) {
+        this._state[0] = 1;
+    }
+  };
+
+  /**
+  * The seed the generator was last initialized with.
+  *
+  * @returns {number} The seed value.
+  */
+  static seed(): number {
+    this._ensureState();
+    return this._seed;
+  };
+
+  /**
+  * Generates a random number in the range [0, 1).
+  *
+  * @returns {number} A random number.
+  */
+  static random(): number {
+    // xorshift128
+    const state = this._ensureState();
+    let t = state[3];
+    const s = state[0];
+    state[3] = state[2];
+    state[2] = state[1];
+    state[1] = s;
+    t ^= t << 11;
+    t ^= t >>> 8;
+    state[0] = (t ^ s ^ (s >>> 19)) >>> 0;
+    return state[0] / 4294967296;
+  };
+
+  /**
+  * Generates a random integer in the range (0, max-1).
+  *
+  * @param {number} max - The upper boundary (excluded).
+  * @returns {number} A random integer.
+  */
+  static randomInt(max: number): number {
+    return Math.floor(max * this.random());
+  };
+
+  /**
+  * Makes a copy of the internal state to be stored in the save data.
+  *
+  * @returns {number[]} The state of the generator.
+  */
+  static saveState(): number[] {
+    return [this.seed()].concat(this._ensureState());
+  };
+
+  /**
+  * Restores the internal state made by saveState.
+  *
+  * @param {number[]} state - The state of the generator.
+  */
+  static restoreState(state: number[]): void {
+    this._seed = state[0] >>> 0;
+    this._state = state.slice(1, 5).map(n => n >>> 0);
+  };
+
+  static _ensureState(): number[] {
+    if (!this._state) {
+        this.setSeed(Date.now());
+    }
+    return this._state!;
+  };
+}
@@ -75,6 +75,16 @@ export class Utils {
     // return typeof require === "function" && typeof process === "object";
   };
 
+  /**
+  * Checks whether the game logic runs under Node without rendering, audio
+  * or input devices.
+  *
+  * @returns {boolean} True if the game runs headless.
+  */
+  static isHeadless(): boolean {
+    return !!window.RMMZ_HEADLESS;
+  };
+
   /**
   * Checks whether the platform is a mobile device.
   *
@@ -5,6 +5,7 @@ import { Game_Battler } from '.';
 import { Game_Party } from '.';
 import { Game_Troop } from '.';
 import { Game_Unit } from '.';
+import { Expression, Random } from '../dom';
 import { DataManager } from '../managers';
 import {
   $gameActors,
@@ -417,7 +418,7 @@ export class Game_Action {
     }
     value *= this.numRepeats();
     if (value > 0) {
-        value += Math.random();
+        value += Random.random();
     }
     return value;
   };
@@ -550,13 +551,13 @@ export class Game_Action {
     this.subject().clearResult();
     result.clear();
     result.used = this.testApply(target);
-    result.missed = result.used && Math.random() >= this.itemHit(target);
-    result.evaded = !result.missed && Math.random() < this.itemEva(target);
+    result.missed = result.used && Random.random() >= this.itemHit(target);
+    result.evaded = !result.missed && Random.random() < this.itemEva(target);
     result.physical = this.isPhysical();
     result.drain = this.isDrain();
     if (result.isHit()) {
         if (this.item().damage.type > 0) {
-            result.critical = Math.random() < this.itemCri(target);
+            result.critical = Random.random() < this.itemCri(target);
             const value = this.makeDamageValue(target, result.critical);
             this.executeDamage(target, value);
         }
@@ -593,11 +594,15 @@ export class Game_Action {
   evalDamageFormula(target: Game_Battler): number {
     try {
         const item = this.item();
-        const a = this.subject(); // eslint-disable-line no-unused-vars
-        const b = target; // eslint-disable-line no-unused-vars
-        const v = $gameVariables._data; // eslint-disable-line no-unused-vars
+        const bindings = {
+            a: this.subject().scriptView(),
+            b: target.scriptView(),
+            v: $gameVariables._data,
+            item: item
+        };
         const sign = [3, 4].includes(item.damage.type) ? -1 : 1;
-        const value = Math.max(eval(item.damage.formula), 0) * sign;
+        const formula = Expression.evaluate(item.damage.formula, bindings);
+        const value = Math.max(formula, 0) * sign;
         return isNaN(value) ? 0 : value;
     } catch (e) {
         return 0;
@@ -781,7 +786,7 @@ export class Game_Action {
         chance *= target.stateRate(stateId);
         chance *= this.subject().attackStatesRate(stateId);
         chance *= this.lukEffectRate(target);
-        if (Math.random() < chance) {
+        if (Random.random() < chance) {
             target.addState(stateId);
             this.makeSuccess(target);
         }
@@ -794,7 +799,7 @@ export class Game_Action {
         chance *= target.stateRate(effect.dataId);
         chance *= this.lukEffectRate(target);
     }
-    if (Math.random() < chance) {
+    if (Random.random() < chance) {
         target.addState(effect.dataId);
         this.makeSuccess(target);
     }
@@ -802,7 +807,7 @@ export class Game_Action {
 
   itemEffectRemoveState(target: Game_Battler, effect: MZ.Effect): void {
     let chance = effect.value1;
-    if (Math.random() < chance) {
+    if (Random.random() < chance) {
         target.removeState(effect.dataId);
         this.makeSuccess(target);
     }
@@ -815,7 +820,7 @@ export class Game_Action {
 
   itemEffectAddDebuff(target: Game_Battler, effect: MZ.Effect): void {
     let chance = target.debuffRate(effect.dataId) * this.lukEffectRate(target);
-    if (Math.random() < chance) {
+    if (Random.random() < chance) {
         target.addDebuff(effect.dataId, effect.value1);
         this.makeSuccess(target);
     }
@@ -1,3 +1,4 @@
+import { Random } from '../dom';
 import { BattleManager, SoundManager, DataManager } from '../managers';
 import { Game_BattlerBase } from '.';
 import { Game_Action } from '.';
@@ -193,7 +194,7 @@ export class Game_Battler extends Game_BattlerBase {
   initTpbChargeTime(advantageous?: boolean): void {
     const speed = this.tpbRelativeSpeed();
     this._tpbState = "charging";
-    this._tpbChargeTime = advantageous ? 1 : speed * Math.random() * 0.5;
+    this._tpbChargeTime = advantageous ? 1 : speed * Random.random() * 0.5;
     if (this.isRestricted()) {
         this._tpbChargeTime = 0;
     }
@@ -499,7 +500,7 @@ export class Game_Battler extends Game_BattlerBase {
 
   makeActionTimes(): number {
     const actionPlusSet = this.actionPlusSet();
-    return actionPlusSet.reduce((r, p) => (Math.random() < p ? r + 1 : r), 1);
+    return actionPlusSet.reduce((r, p) => (Random.random() < p ? r + 1 : r), 1);
   };
 
   makeActions(): void {
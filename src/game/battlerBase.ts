@@ -1,3 +1,4 @@
+import { Expression } from '../dom';
 import { DataManager } from '../managers';
 import { $gameParty, $dataStates, $dataSkills } from "../managers";
 import { MZ } from '../MZ';
@@ -842,4 +843,16 @@ export class Game_BattlerBase {
   canGuard(): boolean {
     return this.canUse($dataSkills[this.guardSkillId()]);
   };
+
+  scriptView(): {[name: string]: any} {
+    // What damage formulas and event scripts can read of the battler.
+    return Expression.view(this, [
+        "hp", "mp", "tp", "mhp", "mmp", "atk", "def", "mat", "mdf", "agi", "luk",
+        "hit", "eva", "cri", "cev", "mev", "mrf", "cnt", "hrg", "mrg", "trg",
+        "tgr", "grd", "rec", "pha", "mcr", "tcr", "pdr", "mdr", "fdr", "exr",
+        "level", "param", "xparam", "sparam", "hpRate", "mpRate", "tpRate",
+        "isStateAffected", "isBuffAffected", "isDebuffAffected", "elementRate",
+        "stateRate", "isActor", "isEnemy", "isAlive", "isDead"
+    ]);
+  };
 }
@@ -1,6 +1,8 @@
 import { Game_CharacterBase } from '.';
-import { AudioManager } from '../managers';
-import { $gameMap, $gamePlayer, $gameSwitches } from '../managers';
+import { AudioManager, PathfindingManager } from '../managers';
+import type { PathPoint } from '../managers';
+import { $gameMap, $gamePlayer, $gameSelfSwitches, $gameSwitches, $gameVariables } from '../managers';
+import { Expression } from '../dom';
 import { MZ } from '../MZ';
 
 //-----------------------------------------------------------------------------
@@ -55,6 +57,7 @@ export class Game_Character extends Game_CharacterBase {
   static ROUTE_CHANGE_BLEND_MODE = 43;
   static ROUTE_PLAY_SE = 44;
   static ROUTE_SCRIPT = 45;
+  static ROUTE_MOVE_TO = 46;
 
   _moveRouteForcing = false;
   _moveRoute: MZ.EventMoveRoute | null = null;
@@ -282,11 +285,57 @@ export class Game_Character extends Game_CharacterBase {
             AudioManager.playSe(params![0]);
             break;
         case gc.ROUTE_SCRIPT:
-            eval(params![0]);
+            this.evalRouteScript(params![0]);
             break;
+        case gc.ROUTE_MOVE_TO:
+            this.moveToPoint(params![0], params![1], true);
+            if (this.isMovementSucceeded() && !this.pos(params![0], params![1])) {
+                // The command is repeated until the goal is reached.
+                this._moveRouteIndex--;
+            }
+            break;
+    }
+  };
+
+  evalRouteScript(script: string): void {
+    // A broken script is reported and skipped, so that it does not stop the
+    // map.
+    try {
+        Expression.evaluate(script, this.scriptBindings());
+    } catch (e) {
+        console.error("Route script failed: " + script);
+        console.error(e);
     }
   };
 
+  scriptBindings(): {[name: string]: any} {
+    // [Note] Route scripts can use the route commands of the character and
+    //   set switches and variables, but reach nothing else.
+    return {
+        this: this.routeScriptView(),
+        v: $gameVariables._data,
+        s: $gameSwitches._data,
+        $gameVariables: Expression.view($gameVariables, ["value", "setValue"]),
+        $gameSwitches: Expression.view($gameSwitches, ["value", "setValue"]),
+        $gameSelfSwitches: Expression.view($gameSelfSwitches, ["value", "setValue"]),
+        $gameMap: $gameMap.scriptView(),
+        $gamePlayer: $gamePlayer.scriptView()
+    };
+  };
+
+  routeScriptView(): {[name: string]: any} {
+    return Expression.view(this, [
+        "x", "y", "direction", "regionId", "terrainTag", "isMoving", "opacity",
+        "blendMode", "moveStraight", "moveDiagonally", "moveRandom",
+        "moveTowardPlayer", "moveAwayFromPlayer", "moveForward", "moveBackward",
+        "moveToPoint", "jump", "setDirection", "turnRight90", "turnLeft90",
+        "turn180", "turnRightOrLeft90", "turnRandom", "turnTowardPlayer",
+        "turnAwayFromPlayer", "setMoveSpeed", "setMoveFrequency", "setWalkAnime",
+        "setStepAnime", "setDirectionFix", "setThrough", "setTransparent",
+        "setImage", "setOpacity", "setBlendMode", "setPriorityType"
+    ]);
+  };
+
   deltaXFrom(x: number): number {
     return $gameMap.deltaX(this.x, x);
   };
@@ -303,18 +352,13 @@ export class Game_Character extends Game_CharacterBase {
   };
 
   moveTowardCharacter(character: Game_Character): void {
-    const sx = this.deltaXFrom(character.x);
-    const sy = this.deltaYFrom(character.y);
-    if (Math.abs(sx) > Math.abs(sy)) {
-        this.moveStraight(sx > 0 ? 4 : 6);
-        if (!this.isMovementSucceeded() && sy !== 0) {
-            this.moveStraight(sy > 0 ? 8 : 2);
-        }
-    } else if (sy !== 0) {
-        this.moveStraight(sy > 0 ? 8 : 2);
-        if (!this.isMovementSucceeded() && sx !== 0) {
-            this.moveStraight(sx > 0 ? 4 : 6);
-        }
+    this.moveToPoint(character.x, character.y);
+  };
+
+  moveToPoint(x: number, y: number, fullSearch = false): void {
+    const direction = this.findDirectionTo(x, y, fullSearch);
+    if (direction > 0) {
+        this.moveStraight(direction);
     }
   };
 
@@ -461,105 +505,26 @@ export class Game_Character extends Game_CharacterBase {
     this.locate(newX, newY);
   };
 
-  findDirectionTo(goalX: number | null, goalY: number | null): MZ.MoveDirection {
-    const searchLimit = this.searchLimit();
-    const mapWidth = $gameMap.width();
-    const nodeList = [];
-    const openList = [];
-    const closedList = [];
-    const start = {} as any;
-    let best = start;
-
+  findDirectionTo(
+    goalX: number | null,
+    goalY: number | null,
+    fullSearch = false
+  ): MZ.MoveDirection {
     if (this.x === goalX && this.y === goalY) {
         return 0;
     }
-
-    start.parent = null;
-    start.x = this.x;
-    start.y = this.y;
-    start.g = 0;
-    start.f = $gameMap.distance(start.x, start.y, goalX!, goalY!);
-    nodeList.push(start);
-    openList.push(start.y * mapWidth + start.x);
-
-    while (nodeList.length > 0) {
-        let bestIndex = 0;
-        for (let i = 0; i < nodeList.length; i++) {
-            if (nodeList[i].f < nodeList[bestIndex].f) {
-                bestIndex = i;
-            }
-        }
-
-        const current = nodeList[bestIndex];
-        const x1 = current.x;
-        const y1 = current.y;
-        const pos1 = y1 * mapWidth + x1;
-        const g1 = current.g;
-
-        nodeList.splice(bestIndex, 1);
-        openList.splice(openList.indexOf(pos1), 1);
-        closedList.push(pos1);
-
-        if (current.x === goalX && current.y === goalY) {
-            best = current;
-            break;
-        }
-
-        if (g1 >= searchLimit) {
-            continue;
-        }
-
-        for (let j = 0; j < 4; j++) {
-            const direction = 2 + j * 2 as MZ.MoveDirection;
-            const x2 = $gameMap.roundXWithDirection(x1, direction);
-            const y2 = $gameMap.roundYWithDirection(y1, direction);
-            const pos2 = y2 * mapWidth + x2;
-
-            if (closedList.includes(pos2)) {
-                continue;
-            }
-            if (!this.canPass(x1, y1, direction)) {
-                continue;
-            }
-
-            const g2 = g1 + 1;
-            const index2 = openList.indexOf(pos2);
-
-            if (index2 < 0 || g2 < nodeList[index2].g) {
-                let neighbor = {} as any;
-                if (index2 >= 0) {
-                    neighbor = nodeList[index2];
-                } else {
-                    nodeList.push(neighbor);
-                    openList.push(pos2);
-                }
-                neighbor.parent = current;
-                neighbor.x = x2;
-                neighbor.y = y2;
-                neighbor.g = g2;
-                neighbor.f = g2 + $gameMap.distance(x2, y2, goalX!, goalY!);
-                if (!best || neighbor.f - neighbor.g < best.f - best.g) {
-                    best = neighbor;
-                }
-            }
-        }
-    }
-
-    let node = best;
-    while (node.parent && node.parent !== start) {
-        node = node.parent;
+    const searchLimit = fullSearch
+        ? $gameMap.width() * $gameMap.height()
+        : this.searchLimit(goalX!, goalY!);
+    const options = { searchLimit: searchLimit };
+    let path = PathfindingManager.findPath(this, goalX!, goalY!, options).path;
+    if (path.length > 0 && !this.canStepTo(path[0], goalX!, goalY!)) {
+        // Search again around the characters in the way.
+        const detour = Object.assign({ characters: true }, options);
+        path = PathfindingManager.findPath(this, goalX!, goalY!, detour).path;
     }
-
-    const deltaX1 = $gameMap.deltaX(node.x, start.x);
-    const deltaY1 = $gameMap.deltaY(node.y, start.y);
-    if (deltaY1 > 0) {
-        return 2;
-    } else if (deltaX1 < 0) {
-        return 4;
-    } else if (deltaX1 > 0) {
-        return 6;
-    } else if (deltaY1 < 0) {
-        return 8;
+    if (path.length > 0) {
+        return this.directionToPoint(path[0]);
     }
 
     const deltaX2 = this.deltaXFrom(goalX!);
@@ -573,7 +538,41 @@ export class Game_Character extends Game_CharacterBase {
     return 0;
   };
 
-  searchLimit(): number {
+  canStepTo(point: PathPoint, goalX: number, goalY: number): boolean {
+    const isGoal = point.x === goalX && point.y === goalY;
+    return isGoal || this.canPass(this.x, this.y, this.directionToPoint(point));
+  };
+
+  directionToPoint(point: PathPoint): MZ.MoveDirection {
+    // The point is next to the character.
+    const deltaX = $gameMap.deltaX(point.x, this.x);
+    const deltaY = $gameMap.deltaY(point.y, this.y);
+    if (deltaY > 0) {
+        return 2;
+    } else if (deltaX < 0) {
+        return 4;
+    } else if (deltaX > 0) {
+        return 6;
+    } else if (deltaY < 0) {
+        return 8;
+    }
+    return 0;
+  };
+
+  passabilityType(): string {
+    // Characters of the same type share the cached paths.
+    return this.isThrough() || this.isDebugThrough() ? "through" : "walk";
+  };
+
+  searchLimit(goalX: number, goalY: number): number {
+    // The number of tiles the path search may visit. It grows with the
+    // distance, so that a character chasing a far goal every step does not
+    // search the whole map.
+    const distance = Math.abs(this.deltaXFrom(goalX)) + Math.abs(this.deltaYFrom(goalY));
+    return (distance + 12) * this.searchLimitFactor();
+  };
+
+  searchLimitFactor(): number {
     return 12;
   };
 }
@@ -1,9 +1,27 @@
-import { Graphics } from '../dom';
+import { Expression, Graphics } from '../dom';
 import { ImageManager } from '../managers';
 import { $gameMap } from '../managers';
 import { Game_Event } from '.';
 import { MZ } from '../MZ';
 
+export type Hitbox = {
+  x: number
+  y: number
+  width: number
+  height: number
+};
+
+export type CharacterLight = {
+  // In pixels.
+  radius: number
+  color: MZ.RGBColorArray
+  // The percent by which the radius grows and shrinks every second.
+  pulse: number
+};
+
+// Keeps an edge that lies on a tile boundary out of the next tile.
+const EDGE_MARGIN = 0.0001;
+
 //-----------------------------------------------------------------------------
 // Game_CharacterBase
 //
@@ -41,6 +59,12 @@ export class Game_CharacterBase {
   _jumpCount = 0;
   _jumpPeak = 0;
   _movementSuccess = true;
+  _hitbox: Hitbox | null = null;
+  _offGrid = false;
+  _freeMoving = false;
+  _light: CharacterLight | null = null;
+  _lightTarget: CharacterLight | null = null;
+  _lightDuration = 0;
 
   constructor()
   constructor(thisClass: Constructable<Game_CharacterBase>)
@@ -93,6 +117,12 @@ export class Game_CharacterBase {
     this._jumpCount = 0;
     this._jumpPeak = 0;
     this._movementSuccess = true;
+    this._hitbox = null;
+    this._offGrid = false;
+    this._freeMoving = false;
+    this._light = null;
+    this._lightTarget = null;
+    this._lightDuration = 0;
   };
 
   pos(x: number, y: number): boolean {
@@ -145,6 +175,9 @@ export class Game_CharacterBase {
   };
 
   isMoving(): boolean {
+    if (this._offGrid) {
+        return this._freeMoving;
+    }
     return this._realX !== this._x || this._realY !== this._y;
   };
 
@@ -254,6 +287,7 @@ export class Game_CharacterBase {
     this._y = Math.round(y);
     this._realX = x;
     this._realY = y;
+    this._offGrid = false;
   };
 
   copyPosition(character: Game_CharacterBase): void {
@@ -262,6 +296,7 @@ export class Game_CharacterBase {
     this._realX = character._realX;
     this._realY = character._realY;
     this._direction = character._direction;
+    this._offGrid = character._offGrid;
   };
 
   locate(x: number, y: number): void {
@@ -333,10 +368,11 @@ export class Game_CharacterBase {
     }
     if (this.isJumping()) {
         this.updateJump();
-    } else if (this.isMoving()) {
+    } else if (this.isMoving() && !this._offGrid) {
         this.updateMove();
     }
     this.updateAnimation();
+    this.updateLight();
   };
 
   updateStop(): void {
@@ -511,8 +547,11 @@ export class Game_CharacterBase {
         this.setDirection(d);
         this._x = $gameMap.roundXWithDirection(this._x, d);
         this._y = $gameMap.roundYWithDirection(this._y, d);
-        this._realX = $gameMap.xWithDirection(this._x, this.reverseDir(d));
-        this._realY = $gameMap.yWithDirection(this._y, this.reverseDir(d));
+        if (!this._offGrid) {
+            this._realX = $gameMap.xWithDirection(this._x, this.reverseDir(d));
+            this._realY = $gameMap.yWithDirection(this._y, this.reverseDir(d));
+        }
+        this._offGrid = false;
         this.increaseSteps();
     } else {
         this.setDirection(d);
@@ -527,8 +566,11 @@ export class Game_CharacterBase {
     if (this.isMovementSucceeded()) {
         this._x = $gameMap.roundXWithDirection(this._x, horz);
         this._y = $gameMap.roundYWithDirection(this._y, vert);
-        this._realX = $gameMap.xWithDirection(this._x, this.reverseDir(horz));
-        this._realY = $gameMap.yWithDirection(this._y, this.reverseDir(vert));
+        if (!this._offGrid) {
+            this._realX = $gameMap.xWithDirection(this._x, this.reverseDir(horz));
+            this._realY = $gameMap.yWithDirection(this._y, this.reverseDir(vert));
+        }
+        this._offGrid = false;
         this.increaseSteps();
     }
     if (this._direction === this.reverseDir(horz)) {
@@ -539,6 +581,167 @@ export class Game_CharacterBase {
     }
   };
 
+  hitbox(): Hitbox {
+    // In pixels from the top left of the tile the character stands on.
+    if (this._hitbox) {
+        return this._hitbox;
+    }
+    const tw = $gameMap.tileWidth();
+    const th = $gameMap.tileHeight();
+    return { x: tw / 8, y: th / 4, width: (tw * 3) / 4, height: (th * 3) / 4 };
+  };
+
+  setHitbox(hitbox: Hitbox | null): void {
+    this._hitbox = hitbox;
+  };
+
+  hitboxRect(): Hitbox {
+    // The hitbox on the map, in tiles.
+    const hitbox = this.hitbox();
+    const tw = $gameMap.tileWidth();
+    const th = $gameMap.tileHeight();
+    return {
+        x: this._realX + hitbox.x / tw,
+        y: this._realY + hitbox.y / th,
+        width: hitbox.width / tw,
+        height: hitbox.height / th
+    };
+  };
+
+  overlapsTile(x: number, y: number): boolean {
+    // A character off the grid is on every tile its hitbox overlaps.
+    if (this._offGrid) {
+        const tile = { x: x, y: y, width: 1, height: 1 };
+        return $gameMap.isRectOverlapping(this.hitboxRect(), tile);
+    }
+    return this.pos(x, y);
+  };
+
+  isOffGrid(): boolean {
+    return this._offGrid;
+  };
+
+  moveFree(dx: number, dy: number): void {
+    // Moves by a distance in tiles, sliding along the walls and characters
+    // in the way. The character stays off the grid until a tile movement.
+    if (Math.abs(dx) > Math.abs(dy)) {
+        this.setDirection(dx < 0 ? 4 : 6);
+    } else if (dy !== 0) {
+        this.setDirection(dy < 0 ? 8 : 2);
+    }
+    const lastX = this._x;
+    const lastY = this._y;
+    dx = this.freeMoveDistance(dx, 0);
+    this._realX = $gameMap.roundX(this._realX + dx);
+    dy = this.freeMoveDistance(0, dy);
+    this._realY = $gameMap.roundY(this._realY + dy);
+    this._x = $gameMap.roundX(Math.round(this._realX));
+    this._y = $gameMap.roundY(Math.round(this._realY));
+    this._offGrid = true;
+    this._freeMoving = dx !== 0 || dy !== 0;
+    this.setMovementSuccess(this._freeMoving);
+    if (this._x !== lastX || this._y !== lastY) {
+        this.increaseSteps();
+    }
+    if (!this._freeMoving) {
+        this.refreshBushDepth();
+    }
+  };
+
+  freeMoveDistance(dx: number, dy: number): number {
+    // Either dx or dy is 0. Returns the distance that can be moved.
+    if (dx === 0 && dy === 0) {
+        return 0;
+    }
+    const rect = this.hitboxRect();
+    let distance = this.freeMapDistance(rect, dx, dy);
+    if (!this.isThrough() && !this.isDebugThrough()) {
+        for (const character of this.freeMoveBlockers()) {
+            const other = character.hitboxRect();
+            const moved = {
+                x: rect.x + (dx !== 0 ? distance : 0),
+                y: rect.y + (dy !== 0 ? distance : 0),
+                width: rect.width,
+                height: rect.height
+            };
+            if (
+                !$gameMap.isRectOverlapping(rect, other) &&
+                $gameMap.isRectOverlapping(moved, other)
+            ) {
+                distance = this.distanceToRect(rect, other, dx, dy);
+                this.onFreeMoveBlocked(character);
+            }
+        }
+    }
+    return distance;
+  };
+
+  freeMapDistance(rect: Hitbox, dx: number, dy: number): number {
+    // Stops at the first tile edge that the passage flags close.
+    const horizontal = dx !== 0;
+    const delta = horizontal ? dx : dy;
+    const start = horizontal ? rect.x : rect.y;
+    const size = horizontal ? rect.width : rect.height;
+    const edge = delta > 0 ? start + size - EDGE_MARGIN : start;
+    const from = Math.floor(edge);
+    const to = Math.floor(edge + delta);
+    const step = delta > 0 ? 1 : -1;
+    const d = (horizontal ? (delta > 0 ? 6 : 4) : delta > 0 ? 2 : 8) as MZ.MoveDirection;
+    const side = horizontal ? rect.y : rect.x;
+    const sideSize = horizontal ? rect.height : rect.width;
+    for (let line = from; line !== to; line += step) {
+        for (let i = Math.floor(side); i <= Math.floor(side + sideSize - EDGE_MARGIN); i++) {
+            const x = horizontal ? line : i;
+            const y = horizontal ? i : line;
+            if (!this.canPassFree(x, y, d)) {
+                const limit = delta > 0 ? line + 1 - (start + size) : line - start;
+                return Math.abs(limit) < Math.abs(delta) ? limit : delta;
+            }
+        }
+    }
+    return delta;
+  };
+
+  canPassFree(x: number, y: number, d: MZ.MoveDirection): boolean {
+    const x1 = $gameMap.roundX(x);
+    const y1 = $gameMap.roundY(y);
+    const x2 = $gameMap.roundXWithDirection(x1, d);
+    const y2 = $gameMap.roundYWithDirection(y1, d);
+    if (!$gameMap.isValid(x2, y2)) {
+        return false;
+    }
+    return this.isThrough() || this.isDebugThrough() || this.isMapPassable(x1, y1, d);
+  };
+
+  distanceToRect(rect: Hitbox, other: Hitbox, dx: number, dy: number): number {
+    let gap;
+    if (dx > 0) {
+        gap = $gameMap.deltaX(other.x, rect.x + rect.width);
+    } else if (dx < 0) {
+        gap = -$gameMap.deltaX(rect.x, other.x + other.width);
+    } else if (dy > 0) {
+        gap = $gameMap.deltaY(other.y, rect.y + rect.height);
+    } else {
+        gap = -$gameMap.deltaY(rect.y, other.y + other.height);
+    }
+    const delta = dx !== 0 ? dx : dy;
+    return delta > 0 ? Math.max(0, Math.min(delta, gap)) : Math.min(0, Math.max(delta, gap));
+  };
+
+  freeMoveBlockers(): Game_CharacterBase[] {
+    const events: Game_CharacterBase[] = $gameMap.events().filter(
+        event => event.isNormalPriority() && !event.isThrough()
+    );
+    const vehicles = [$gameMap.boat(), $gameMap.ship()].filter(
+        vehicle => vehicle.posNt(vehicle.x, vehicle.y)
+    );
+    return events.concat(vehicles).filter(character => character !== this);
+  };
+
+  onFreeMoveBlocked(character: Game_CharacterBase): void {
+    this.checkEventTriggerTouch(character.x, character.y);
+  };
+
   jump(xPlus: number, yPlus: number): void {
     if (Math.abs(xPlus) > Math.abs(yPlus)) {
         if (xPlus !== 0) {
@@ -551,6 +754,7 @@ export class Game_CharacterBase {
     }
     this._x += xPlus;
     this._y += yPlus;
+    this._offGrid = false;
     const distance = Math.round(Math.sqrt(xPlus * xPlus + yPlus * yPlus));
     this._jumpPeak = 10 + distance - this._moveSpeed;
     this._jumpCount = this._jumpPeak * 2;
@@ -625,4 +829,61 @@ export class Game_CharacterBase {
   endBalloon(): void {
     this._balloonPlaying = false;
   };
+
+  light(): CharacterLight | null {
+    return this._light;
+  };
+
+  setLight(light: CharacterLight | null, duration = 0): void {
+    // A light that is turned off over a duration shrinks until it is gone.
+    const start = this._light || (light && { ...light, radius: 0 });
+    if (duration > 0 && start) {
+        this._light = { ...start, color: start.color.slice() as MZ.RGBColorArray };
+        this._lightTarget = light || { ...start, radius: 0 };
+        this._lightDuration = duration;
+    } else {
+        this._light = light;
+        this._lightTarget = null;
+        this._lightDuration = 0;
+    }
+  };
+
+  updateLight(): void {
+    if (this._lightDuration > 0) {
+        const d = this._lightDuration;
+        const light = this._light!;
+        const target = this._lightTarget!;
+        light.radius = (light.radius * (d - 1) + target.radius) / d;
+        light.pulse = (light.pulse * (d - 1) + target.pulse) / d;
+        for (let i = 0; i < 3; i++) {
+            light.color[i] = (light.color[i] * (d - 1) + target.color[i]) / d;
+        }
+        this._lightDuration--;
+        if (this._lightDuration === 0) {
+            this._light = target.radius > 0 ? target : null;
+            this._lightTarget = null;
+        }
+    }
+  };
+
+  lightFromNote(note: string | true | undefined): CharacterLight | null {
+    // <Light: radius, #rrggbb, pulse>, where the color and pulse are optional.
+    if (typeof note !== "string") {
+        return null;
+    }
+    const [radius, color, pulse] = note.split(",").map(s => s.trim());
+    const value = parseInt((color || "#ffffff").replace("#", ""), 16);
+    return {
+        radius: Number(radius),
+        color: [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff],
+        pulse: Number(pulse || 0)
+    };
+  };
+
+  scriptView(): {[name: string]: any} {
+    // What event scripts can read of the character.
+    return Expression.view(this, [
+        "x", "y", "direction", "regionId", "terrainTag", "isMoving", "isDashing"
+    ]);
+  };
 }
@@ -2,7 +2,8 @@ import { Game_Battler } from '.';
 import { Game_Action } from '.';
 import { Game_Party } from '.';
 import { Game_Troop } from '.';
-import { SoundManager } from '../managers';
+import { Random } from '../dom';
+import { EnemyAIManager, SoundManager } from '../managers';
 import { $gameParty, $gameSwitches, $gameTroop, $dataEnemies, $dataItems, $dataSkills, $dataWeapons, $dataArmors } from '../managers';
 import { MZ } from '../MZ';
 
@@ -96,7 +97,7 @@ export class Game_Enemy extends Game_Battler {
   makeDropItems(): MZ.DataItemBase[] {
     const rate = this.dropItemRate();
     return this.enemy().dropItems.reduce((r, di) => {
-        if (di.kind > 0 && Math.random() * di.denominator < rate) {
+        if (di.kind > 0 && Random.random() * di.denominator < rate) {
             return r.concat(this.itemObject(di.kind, di.dataId)!);
         } else {
             return r;
@@ -282,11 +283,14 @@ export class Game_Enemy extends Game_Battler {
   selectAllActions(actionList: MZ.Action[]): void {
     const ratingMax = Math.max(...actionList.map(a => a.rating));
     const ratingZero = ratingMax - 3;
-    actionList = actionList.filter(a => a.rating > ratingZero);
+    const ratedList = actionList.filter(a => a.rating > ratingZero);
     for (let i = 0; i < this.numActions(); i++) {
-        this.action(i).setEnemyAction(
-            this.selectAction(actionList, ratingZero)
-        );
+        // The AI profiles in the note choose from all valid actions.
+        if (!EnemyAIManager.decide(this, this.action(i), actionList)) {
+            this.action(i).setEnemyAction(
+                this.selectAction(ratedList, ratingZero)
+            );
+        }
     }
   };
 
@@ -1,5 +1,6 @@
 import { Game_Character } from '.';
 import { Game_Interpreter } from '.';
+import type { CharacterLight } from '.';
 import { $gameActors, $gameMap, $gameParty, $gamePlayer, $gameSelfSwitches, $gameSwitches, $gameVariables, $dataMap, $dataItems } from '../managers';
 import { MZ } from '../MZ';
 
@@ -38,9 +39,20 @@ export class Game_Event extends Game_Character {
     this._mapId = mapId!;
     this._eventId = eventId!;
     this.locate(this.event().x, this.event().y);
+    this.setupHitbox();
+    this.setLight(this.lightFromNote(this.event().meta["Light"]));
     this.refresh();
   };
 
+  setupHitbox(): void {
+    // <Hitbox: x, y, width, height> in pixels from the top left of the tile.
+    const note = this.event().meta["Hitbox"];
+    if (typeof note === "string") {
+        const [x, y, width, height] = note.split(",").map(Number);
+        this.setHitbox({ x: x, y: y, width: width, height: height });
+    }
+  };
+
   initMembers(): void {
     super.initMembers();
     this._moveType = 0;
@@ -210,6 +222,11 @@ export class Game_Event extends Game_Character {
     this.refresh();
   };
 
+  light(): CharacterLight | null {
+    // An event without an active page gives no light.
+    return this._pageIndex >= 0 ? super.light() : null;
+  };
+
   refresh(): void {
     const newPageIndex = this._erased ? -1 : this.findProperPageIndex();
     if (this._pageIndex !== newPageIndex) {
@@ -331,7 +348,7 @@ export class Game_Event extends Game_Character {
 
   checkEventTriggerTouch(x: number, y: number): void {
     if (!$gameMap.isEventRunning()) {
-        if (this._trigger === 2 && $gamePlayer.pos(x, y)) {
+        if (this._trigger === 2 && $gamePlayer.overlapsTile(x, y)) {
             if (!this.isJumping() && this.isNormalPriority()) {
                 this.start();
             }
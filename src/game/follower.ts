@@ -1,5 +1,6 @@
 import { Game_Character } from '.';
 import { Game_Actor } from '.';
+import type { CharacterLight } from '.';
 import { $gameParty, $gamePlayer, $dataSystem } from '../managers';
 
 //-----------------------------------------------------------------------------
@@ -42,6 +43,13 @@ export class Game_Follower extends Game_Character {
     return this.actor() && $gamePlayer.followers().isVisible();
   }
 
+  light(): CharacterLight | null {
+    if (!this.isVisible()) {
+        return null;
+    }
+    return super.light() || this.lightFromNote(this.actor().actor().meta["Light"]);
+  }
+
   isGathered(): boolean {
     return !this.isMoving() && this.pos($gamePlayer.x, $gamePlayer.y);
   }
@@ -13,6 +13,7 @@ export { Game_ActionResult } from './actionResult';
 // Map
 export { Game_Map } from './map';
 export { Game_CharacterBase } from './characterBase';
+export type { CharacterLight, Hitbox } from './characterBase';
   export { Game_Character } from './character';
     export { Game_Player } from './player';
     export { Game_Event } from './event';
@@ -33,5 +34,6 @@ export { Game_Variables } from './variables';
 
 // System
 export { Game_System } from './system';
+export type { MessageLogEntry } from './system';
 export { Game_Temp } from './temp';
 export { Game_Interpreter } from './interpreter';
\ No newline at end of file
@@ -1,5 +1,5 @@
-import { ImageManager, SceneManager, BattleManager, AudioManager, PluginManager} from '../managers';
-import { Graphics, Utils, Video, Input } from '../dom';
+import { ImageManager, SceneManager, BattleManager, AudioManager, PluginManager, DebugManager, LocaleManager, DataManager } from '../managers';
+import { Expression, Graphics, Utils, Video, Input } from '../dom';
 import { Window_MenuCommand } from '../windows';
 import { Point } from '../pixi';
 import { $gameActors, $gameMap, $gameMessage, $gameParty, $gamePlayer, $gameScreen, $gameSelfSwitches, $gameSwitches, $gameSystem, $gameTemp, $gameTimer, $gameTroop, $gameVariables, $dataActors, $dataArmors, $dataClasses, $dataCommonEvents, $dataItems, $dataTilesets, $dataTroops, $dataWeapons } from '../managers';
@@ -70,6 +70,7 @@ export class Game_Interpreter {
     this._comments = "";
     this._characterId = 0;
     this._childInterpreter = null;
+    DebugManager.onInterpreterClear(this);
   };
 
   setup(list: MZ.EventCommand[], eventId?: MZ.ID): void {
@@ -100,6 +101,38 @@ export class Game_Interpreter {
     return this._eventId;
   };
 
+  depth(): number {
+    return this._depth;
+  };
+
+  list(): MZ.EventCommand[] | null {
+    return this._list;
+  };
+
+  index(): number {
+    return this._index;
+  };
+
+  indent(): number {
+    return this._indent;
+  };
+
+  waitMode(): string {
+    return this._waitMode;
+  };
+
+  waitCount(): number {
+    return this._waitCount;
+  };
+
+  branchStack(): {[indent: number]: number | boolean | null} {
+    return this._branch;
+  };
+
+  childInterpreter(): Game_Interpreter | null {
+    return this._childInterpreter;
+  };
+
   isOnCurrentMap(): boolean {
     return this._mapId === $gameMap.mapId();
   };
@@ -127,6 +160,9 @@ export class Game_Interpreter {
         if (SceneManager.isSceneChanging()) {
             break;
         }
+        if (DebugManager.shouldPause(this)) {
+            break;
+        }
         if (!this.executeCommand()) {
             break;
         }
@@ -357,11 +393,17 @@ export class Game_Interpreter {
     $gameMessage.setFaceImage(params[0], params[1]);
     $gameMessage.setBackground(params[2]);
     $gameMessage.setPositionType(params[3]);
-    $gameMessage.setSpeakerName(params[4]);
+    $gameMessage.setSpeakerName(LocaleManager.text(params[4], this.textId("speaker")));
+    this.markMessageRead();
+    const textId = this.textId("text");
+    const texts = [];
     while (this.nextEventCode() === 401) {
         // Text data
         this._index++;
-        $gameMessage.add(this.currentCommand().parameters[0]);
+        texts.push(this.currentCommand().parameters[0]);
+    }
+    for (const text of LocaleManager.textLines(texts, textId)) {
+        $gameMessage.add(text);
     }
     switch (this.nextEventCode()) {
         case 102: // Show Choices
@@ -381,6 +423,41 @@ export class Game_Interpreter {
     return true;
   };
 
+  markMessageRead(): void {
+    const key = this.messageKey();
+    $gameMessage.setRead(DataManager.isMessageRead(key));
+    DataManager.markMessageRead(key);
+  };
+
+  messageKey(): string {
+    // Identifies the Show Text command for the skip mode. Common events are
+    // read once wherever they are called from.
+    const location = DebugManager.location(this);
+    if (location.commonEventId > 0) {
+        return "common:%1:%2".format(location.commonEventId, this._index);
+    } else if (location.troopId > 0) {
+        return "troop:%1:%2:%3".format(location.troopId, location.pageIndex, this._index);
+    } else {
+        const { mapId, eventId, pageIndex } = location;
+        return "map:%1:%2:%3:%4".format(mapId, eventId, pageIndex, this._index);
+    }
+  };
+
+  textId(field: string): string {
+    // Identifies the text of the current command in the locale bundles.
+    const location = DebugManager.location(this);
+    let prefix;
+    if (location.commonEventId > 0) {
+        prefix = LocaleManager.commonEventTextPrefix(location.commonEventId);
+    } else if (location.troopId > 0) {
+        prefix = LocaleManager.troopTextPrefix(location.troopId, location.pageIndex);
+    } else {
+        const { mapId, eventId, pageIndex } = location;
+        prefix = LocaleManager.mapEventTextPrefix(mapId, eventId, pageIndex);
+    }
+    return "%1.%2.%3".format(prefix, this._index, field);
+  };
+
   // Show Choices
   command102(params: any): boolean {
     if ($gameMessage.isBusy()) {
@@ -392,7 +469,9 @@ export class Game_Interpreter {
   };
 
   setupChoices(params: any): void {
-    const choices = params[0].clone();
+    const choices = params[0].map((choice: string, i: number) =>
+        LocaleManager.text(choice, this.textId("choice." + i))
+    );
     const cancelType = params[1] < choices.length ? params[1] : -2;
     const defaultType = params.length > 2 ? params[2] : 0;
     const positionType = params.length > 3 ? params[3] : 2;
@@ -455,9 +534,14 @@ export class Game_Interpreter {
         return false;
     }
     $gameMessage.setScroll(params[0], params[1]);
+    const textId = this.textId("text");
+    const texts = [];
     while (this.nextEventCode() === 405) {
         this._index++;
-        $gameMessage.add(this.currentCommand().parameters[0]);
+        texts.push(this.currentCommand().parameters[0]);
+    }
+    for (const text of LocaleManager.textLines(texts, textId)) {
+        $gameMessage.add(text);
     }
     this.setWaitMode("message");
     return true;
@@ -609,7 +693,7 @@ export class Game_Interpreter {
             }
             break;
         case 12: // Script
-            result = !!eval(params[1]);
+            result = !!Expression.evaluate(params[1], this.scriptBindings());
             break;
         case 13: // Vehicle
             result = $gamePlayer.vehicle() === $gameMap.vehicle(params[1]);
@@ -749,7 +833,7 @@ export class Game_Interpreter {
             value = this.gameDataOperand(params[4], params[5], params[6]);
             break;
         case 4: // Script
-            value = eval(params[4]);
+            value = Expression.evaluate(params[4], this.scriptBindings());
             break;
     }
     for (let i = startId; i <= endId; i++) {
@@ -763,6 +847,32 @@ export class Game_Interpreter {
     return true;
   };
 
+  scriptBindings(): {[name: string]: any} {
+    // [Note] Scripts in conditional branches and variable operands are
+    //   evaluated by Expression, so only these read-only views can be
+    //   reached. Nothing in them can change the game.
+    const actor = (actorId: MZ.ActorID) => {
+        const actor = $gameActors.actor(actorId);
+        return actor ? actor.scriptView() : null;
+    };
+    return {
+        v: $gameVariables._data,
+        s: $gameSwitches._data,
+        $gameActors: Object.freeze({ actor: Expression.callable(actor) }),
+        $gameParty: Expression.view($gameParty, ["gold", "steps", "size", "inBattle"]),
+        $gameTroop: Expression.view($gameTroop, ["turnCount", "isAllDead"]),
+        $gameVariables: Expression.view($gameVariables, ["value"]),
+        $gameSwitches: Expression.view($gameSwitches, ["value"]),
+        $gameSelfSwitches: Expression.view($gameSelfSwitches, ["value"]),
+        $gameSystem: Expression.view($gameSystem, [
+            "battleCount", "winCount", "escapeCount", "saveCount", "playtime"
+        ]),
+        $gameTimer: Expression.view($gameTimer, ["isWorking", "seconds"]),
+        $gameMap: $gameMap.scriptView(),
+        $gamePlayer: $gamePlayer.scriptView()
+    };
+  };
+
   gameDataOperand(type: number, param1: number, param2: number): number {
     let actor, enemy, character;
     switch (type) {
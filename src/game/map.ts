@@ -2,10 +2,12 @@ import { Game_Interpreter } from '.';
 import { Game_Vehicle } from '.';
 import { Game_Event } from '.';
 import { Game_CommonEvent } from '.';
-import { Graphics } from '../dom';
-import { AudioManager, ImageManager } from '../managers';
-import { $gamePlayer, $gameSwitches, $gameSystem } from '../managers';
+import type { Hitbox } from '.';
+import { Expression, Graphics } from '../dom';
+import { AudioManager, DebugManager, ImageManager, LocaleManager, PathfindingManager, PluginManager } from '../managers';
+import { $gamePlayer, $gameScreen, $gameSwitches, $gameSystem } from '../managers';
 import { $dataMap, $dataCommonEvents, $dataTilesets } from '../managers';
+import type { WeatherType } from '../pixi/weather';
 import { MZ } from '../MZ';
 
 interface _Window extends Window {  
@@ -44,6 +46,11 @@ export class Game_Map {
   _parallaxY = 0;
   _battleback1Name: string | null = null;
   _battleback2Name: string | null = null;
+  _explored: {[mapId: number]: number[]} = {};
+  _exploredCount = 0;
+  _exploreX = -1;
+  _exploreY = -1;
+  _weatherBgs: MZ.AudioParam | null = null;
 
   constructor() 
   constructor(thisClass: Constructable<Game_Map>)
@@ -77,6 +84,9 @@ export class Game_Map {
     this._parallaxY = 0;
     this._battleback1Name = null;
     this._battleback2Name = null;
+    this._explored = {};
+    this._exploredCount = 0;
+    this._weatherBgs = null;
     this.createVehicles();
   };
 
@@ -88,12 +98,18 @@ export class Game_Map {
     this._tilesetId = $dataMap.tilesetId;
     this._displayX = 0;
     this._displayY = 0;
+    this._exploreX = -1;
+    this._exploreY = -1;
+    this._weatherBgs = null;
     this.refereshVehicles();
     this.setupEvents();
     this.setupScroll();
     this.setupParallax();
     this.setupBattleback();
+    this.setupWeather();
     this._needsRefresh = false;
+    DebugManager.onMapSetup();
+    PluginManager.callHook("onMapSetup", mapId);
   };
 
   isEventRunning(): boolean {
@@ -136,6 +152,26 @@ export class Game_Map {
     return this._battleback2Name;
   };
 
+  setupWeather(): void {
+    // <Weather: snow, 5, -3> sets the type, the power and the wind when the
+    // map is entered. Maps without it keep the weather as it is.
+    const note = $dataMap.meta["Weather"];
+    if (typeof note === "string") {
+        const [type, power, wind] = note.split(",").map(s => s.trim());
+        $gameScreen.changeWeather(type as WeatherType, Number(power || 5), 0);
+        $gameScreen.changeWind(Number(wind || 0), 0);
+    }
+  };
+
+  ambientColor(): MZ.RGBColorArray {
+    // <Ambient: r, g, b> in the map note keeps the map out of the day cycle.
+    const note = $dataMap.meta["Ambient"];
+    if (typeof note === "string") {
+        return note.split(",").map(Number) as MZ.RGBColorArray;
+    }
+    return $gameSystem.clockColor();
+  };
+
   requestRefresh(): void {
     this._needsRefresh = true;
   };
@@ -309,7 +345,7 @@ export class Game_Map {
   };
 
   displayName(): string {
-    return $dataMap.displayName;
+    return LocaleManager.text($dataMap.displayName, LocaleManager.mapNameId(this._mapId));
   };
 
   width(): number {
@@ -476,12 +512,25 @@ export class Game_Map {
 
   refreshTileEvents(): void {
     this._tileEvents = this.events().filter(event => event.isTile());
+    // Tile events change the passability of the map.
+    PathfindingManager.clearCache();
   };
 
   eventsXy(x: number, y: number): Game_Event[] {
     return this.events().filter(event => event.pos(x, y));
   };
 
+  eventsInRect(rect: Hitbox): Game_Event[] {
+    return this.events().filter(event => this.isRectOverlapping(rect, event.hitboxRect()));
+  };
+
+  isRectOverlapping(rect1: Hitbox, rect2: Hitbox): boolean {
+    // The rectangles are in tiles, such as the hitboxes on the map.
+    const dx = this.deltaX(rect2.x, rect1.x);
+    const dy = this.deltaY(rect2.y, rect1.y);
+    return dx < rect1.width && -dx < rect2.width && dy < rect1.height && -dy < rect2.height;
+  };
+
   eventsXyNt(x: number, y: number): Game_Event[] {
     return this.events().filter(event => event.posNt(x, y));
   };
@@ -661,6 +710,79 @@ export class Game_Map {
     return this.isValid(x, y) ? this.tileId(x, y, 5) : 0;
   };
 
+  scriptView(): {[name: string]: any} {
+    // What event scripts can read of the map.
+    return Expression.view(this, [
+        "mapId", "width", "height", "regionId", "terrainTag", "isEventRunning"
+    ]);
+  };
+
+  isMinimapEnabled(): boolean {
+    return !$dataMap.meta["No Minimap"];
+  };
+
+  isFogEnabled(): boolean {
+    return !$dataMap.meta["No Fog"];
+  };
+
+  exploreRadius(): number {
+    return 5;
+  };
+
+  exploredFlags(): number[] {
+    // One bit per tile. Saves made before the fog of war have no flags.
+    if (!this._explored) {
+        this._explored = {};
+        this._exploredCount = 0;
+    }
+    if (!this._explored[this._mapId]) {
+        const size = Math.ceil((this.width() * this.height()) / 32);
+        this._explored[this._mapId] = new Array(size).fill(0);
+    }
+    return this._explored[this._mapId];
+  };
+
+  exploredCount(): number {
+    // Goes up whenever a tile is explored, so that sprites know to redraw.
+    return this._exploredCount;
+  };
+
+  isExplored(x: number, y: number): boolean {
+    if (!this.isFogEnabled()) {
+        return true;
+    }
+    const index = y * this.width() + x;
+    return this.isValid(x, y) && (this.exploredFlags()[index >> 5] & (1 << (index & 31))) !== 0;
+  };
+
+  explore(x: number, y: number, radius: number): void {
+    const flags = this.exploredFlags();
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const x2 = this.roundX(x + dx);
+            const y2 = this.roundY(y + dy);
+            if (dx * dx + dy * dy <= radius * radius && this.isValid(x2, y2)) {
+                const index = y2 * this.width() + x2;
+                const bit = 1 << (index & 31);
+                if (!(flags[index >> 5] & bit)) {
+                    flags[index >> 5] |= bit;
+                    this._exploredCount++;
+                }
+            }
+        }
+    }
+  };
+
+  updateExploration(): void {
+    const x = $gamePlayer.x;
+    const y = $gamePlayer.y;
+    if (x !== this._exploreX || y !== this._exploreY) {
+        this._exploreX = x;
+        this._exploreY = y;
+        this.explore(x, y, this.exploreRadius());
+    }
+  };
+
   startScroll(direction: MZ.MoveDirection, distance: number, speed: number): void {
     this._scrollDirection = direction;
     this._scrollRest = distance;
@@ -680,6 +802,39 @@ export class Game_Map {
     this.updateEvents();
     this.updateVehicles();
     this.updateParallax();
+    this.updateExploration();
+    this.updateWeatherBgs();
+    $gameSystem.updateClock();
+  };
+
+  updateWeatherBgs(): void {
+    // Plays the BGS set for the weather at a volume that follows its power,
+    // and goes back to the map's own BGS when the weather stops.
+    let type = $gameScreen.weatherType();
+    let power = $gameScreen.weatherPower();
+    if (power <= 0 && $gameScreen.fadingWeatherPower() > 0) {
+        // A cross-fade keeps the old type's BGS until the new type rises.
+        type = $gameScreen.fadingWeatherType();
+        power = $gameScreen.fadingWeatherPower();
+    }
+    const bgs = $gameSystem.weatherBgs(type);
+    if (bgs && power > 0) {
+        const volume = Math.round((bgs.volume * Math.min(power, 9)) / 9);
+        const current = this._weatherBgs;
+        if (!current || current.name !== bgs.name || current.volume !== volume) {
+            this._weatherBgs = { ...bgs, volume: volume };
+            AudioManager.playBgs(this._weatherBgs);
+        }
+    } else if (this._weatherBgs) {
+        // A BGS that an event played over the weather is left playing.
+        const isPlaying = AudioManager.isCurrentBgs(this._weatherBgs);
+        this._weatherBgs = null;
+        if (isPlaying && $dataMap.autoplayBgs) {
+            AudioManager.playBgs($dataMap.bgs);
+        } else if (isPlaying) {
+            AudioManager.stopBgs();
+        }
+    }
   };
 
   updateScroll(): void {
@@ -1,4 +1,6 @@
 import { Utils } from '../dom';
+import { LocaleManager } from '../managers';
+import { $gameSystem } from '../managers';
 import { MZ } from '../MZ';
 
 //-----------------------------------------------------------------------------
@@ -27,6 +29,10 @@ export class Game_Message {
   _scrollSpeed = 2;
   _scrollNoFast = false;
   _choiceCallback: ((n: number) => void) | null  = null;
+  _logged = false;
+  _read = false;
+  _autoMode = false;
+  _skipMode = false;
   
   constructor()
   constructor(thisClass: Constructable<Game_Message>)
@@ -61,6 +67,8 @@ export class Game_Message {
     this._scrollSpeed = 2;
     this._scrollNoFast = false;
     this._choiceCallback = null;
+    this._logged = false;
+    this._read = false;
   };
 
   choices(): string[] {
@@ -187,6 +195,7 @@ export class Game_Message {
   };
 
   onChoice(n: number): void {
+    this.logChoice(n);
     if (this._choiceCallback) {
         this._choiceCallback(n);
         this._choiceCallback = null;
@@ -218,6 +227,59 @@ export class Game_Message {
     );
   };
 
+  isLogged(): boolean {
+    return this._logged;
+  };
+
+  setLogged(): void {
+    this._logged = true;
+  };
+
+  isRead(): boolean {
+    return this._read;
+  };
+
+  setRead(read: boolean): void {
+    this._read = read;
+  };
+
+  // The auto and skip modes are kept across messages until they are
+  // turned off.
+  isAutoMode(): boolean {
+    return this._autoMode;
+  };
+
+  setAutoMode(autoMode: boolean): void {
+    this._autoMode = autoMode;
+  };
+
+  isSkipMode(): boolean {
+    return this._skipMode;
+  };
+
+  setSkipMode(skipMode: boolean): void {
+    this._skipMode = skipMode;
+  };
+
+  logChoice(n: number): void {
+    // The choice is added to the message it was shown with.
+    const choice = this._choices[n];
+    if (choice !== undefined) {
+        const entry = this._logged ? $gameSystem.lastMessageLog() : null;
+        if (entry) {
+            entry.choice = choice;
+        } else {
+            $gameSystem.addMessageLog({
+                speakerName: "",
+                faceName: "",
+                faceIndex: 0,
+                text: "",
+                choice: choice
+            });
+        }
+    }
+  };
+
   newPage(): void {
     if (this._texts.length > 0) {
         this._texts[this._texts.length - 1] += "\f";
@@ -229,6 +291,9 @@ export class Game_Message {
   };
 
   isRTL(): boolean {
+    if (LocaleManager.hasLocales()) {
+        return LocaleManager.isRTL();
+    }
     return Utils.containsArabic(this.allText());
   };
 }
\ No newline at end of file
@@ -2,6 +2,7 @@ import { Graphics, Input, TouchInput } from '../dom';
 import { Game_Character } from '.';
 import { Game_Followers } from '.';
 import { Game_Vehicle } from '.';
+import type { CharacterLight, Game_Event, Hitbox } from '.';
 import { BattleManager, ConfigManager } from '../managers';
 import { $gameMap, $gameMessage, $gameParty, $gameSystem, $gameTemp } from '../managers';
 import { $dataSystem, $dataTroops } from '../managers';
@@ -27,6 +28,7 @@ export class Game_Player extends Game_Character {
   _fadeType = 0;
   _followers = new Game_Followers();
   _encounterCount = 0;
+  _overlappedEventIds: number[] = [];
 
   constructor()
   constructor(thisClass: Constructable<Game_Player>)
@@ -58,6 +60,7 @@ export class Game_Player extends Game_Character {
     this._fadeType = 0;
     this._followers = new Game_Followers();
     this._encounterCount = 0;
+    this._overlappedEventIds = [];
   }
 
   clearTransferInfo(): void {
@@ -80,6 +83,12 @@ export class Game_Player extends Game_Character {
     this._followers.refresh();
   }
 
+  light(): CharacterLight | null {
+    // Without a light of its own, the player carries the leader's <Light>.
+    const actor = $gameParty.leader();
+    return super.light() || (actor ? this.lightFromNote(actor.actor().meta["Light"]) : null);
+  }
+
   isStopping(): boolean {
     if (this._vehicleGettingOn || this._vehicleGettingOff) {
         return false;
@@ -141,6 +150,11 @@ export class Game_Player extends Game_Character {
     }
   };
 
+  passabilityType(): string {
+    const vehicle = this.vehicle();
+    return vehicle ? vehicle.passabilityType() : super.passabilityType();
+  };
+
   vehicle(): Game_Vehicle | null {
     return $gameMap.vehicle(this._vehicleType);
   };
@@ -177,10 +191,14 @@ export class Game_Player extends Game_Character {
     if (this.isThrough()) {
         return false;
     } else {
-        return this.pos(x, y) || this._followers.isSomeoneCollided(x, y);
+        return this.overlapsTile(x, y) || this._followers.isSomeoneCollided(x, y);
     }
   };
 
+  isPixelMovement(): boolean {
+    return $gameSystem.isPixelMovementEnabled() && !this.isMoveRouteForcing();
+  };
+
   centerX(): number {
     return (Graphics.width / $gameMap.tileWidth() - 1) / 2.0;
   };
@@ -201,6 +219,10 @@ export class Game_Player extends Game_Character {
         this.vehicle()!.refresh();
     }
     this._followers.synchronize(x, y, this.direction());
+    // Events under the destination do not start until they are left.
+    this._overlappedEventIds = $gameMap.eventsInRect(this.hitboxRect()).map(event =>
+        event.eventId()
+    );
   };
 
   increaseSteps(): void {
@@ -260,8 +282,12 @@ export class Game_Player extends Game_Character {
   };
 
   startMapEvent(x: number, y: number, triggers: MZ.EventTrigger[], normal: boolean): void {
+    this.startEvents($gameMap.eventsXy(x, y), triggers, normal);
+  };
+
+  startEvents(events: Game_Event[], triggers: MZ.EventTrigger[], normal: boolean): void {
     if (!$gameMap.isEventRunning()) {
-        for (const event of $gameMap.eventsXy(x, y)) {
+        for (const event of events) {
             if (
                 event.isTriggerIn(triggers) &&
                 event.isNormalPriority() === normal
@@ -273,14 +299,16 @@ export class Game_Player extends Game_Character {
   };
 
   moveByInput(): void {
-    if (!this.isMoving() && this.canMove()) {
+    if (this.isPixelMovement()) {
+        this.moveFreeByInput();
+    } else if (!this.isMoving() && this.canMove()) {
         let direction = this.getInputDirection();
         if (direction > 0) {
             $gameTemp.clearDestination();
         } else if ($gameTemp.isDestinationValid()) {
             const x = $gameTemp.destinationX();
             const y = $gameTemp.destinationY();
-            direction = this.findDirectionTo(x, y);
+            direction = this.findDirectionTo(x, y, true);
         }
         if (direction > 0) {
             this.executeMove(direction);
@@ -288,6 +316,51 @@ export class Game_Player extends Game_Character {
     }
   };
 
+  moveFreeByInput(): void {
+    // A tile movement in progress is finished first.
+    let dx = 0;
+    let dy = 0;
+    if ((this.isOffGrid() || !this.isMoving()) && this.canMove() && !this.isJumping()) {
+        const distance = this.distancePerFrame();
+        if (Input.axisX !== 0 || Input.axisY !== 0) {
+            $gameTemp.clearDestination();
+            dx = Input.axisX * distance;
+            dy = Input.axisY * distance;
+        } else if ($gameTemp.isDestinationValid()) {
+            [dx, dy] = this.destinationDelta(distance);
+        }
+    }
+    if (dx !== 0 || dy !== 0 || this.isOffGrid()) {
+        this.moveFree(dx, dy);
+        if (!this.isMovementSucceeded()) {
+            $gameTemp.clearDestination();
+        }
+    }
+  };
+
+  destinationDelta(distance: number): [number, number] {
+    // Heads for the next tile of the path, and stops on the destination.
+    const x = $gameTemp.destinationX()!;
+    const y = $gameTemp.destinationY()!;
+    let targetX = x;
+    let targetY = y;
+    if (!this.pos(x, y)) {
+        const d = this.findDirectionTo(x, y, true);
+        targetX = $gameMap.roundXWithDirection(this.x, d);
+        targetY = $gameMap.roundYWithDirection(this.y, d);
+    }
+    const dx = $gameMap.deltaX(targetX, this._realX);
+    const dy = $gameMap.deltaY(targetY, this._realY);
+    const length = Math.hypot(dx, dy);
+    if (length <= distance) {
+        if (this.pos(x, y)) {
+            $gameTemp.clearDestination();
+        }
+        return [dx, dy];
+    }
+    return [(dx / length) * distance, (dy / length) * distance];
+  };
+
   canMove(): boolean {
     if ($gameMap.isEventRunning() || $gameMessage.isBusy()) {
         return false;
@@ -323,14 +396,16 @@ export class Game_Player extends Game_Character {
     super.update();
     this.updateScroll(lastScrolledX, lastScrolledY);
     this.updateVehicle();
-    if (!this.isMoving()) {
+    if (this.isPixelMovement()) {
+        this.updateFreeTriggers(sceneActive!);
+    } else if (!this.isMoving()) {
         this.updateNonmoving(wasMoving, sceneActive!);
     }
     this._followers.update();
   };
 
   updateDashing(): void {
-    if (this.isMoving()) {
+    if (this.isMoving() && !this.isPixelMovement()) {
         return;
     }
     if (this.canMove() && !this.isInVehicle() && !$gameMap.isDashDisabled()) {
@@ -422,6 +497,22 @@ export class Game_Player extends Game_Character {
     }
   };
 
+  updateFreeTriggers(sceneActive: boolean): void {
+    // Events start when the hitbox of the player starts to overlap them,
+    // instead of at the end of each step.
+    if (!$gameMap.isEventRunning()) {
+        if (this.isMoving()) {
+            this.checkEventTriggerHere([1, 2]);
+            if ($gameMap.setupStartingEvent()) {
+                return;
+            }
+        }
+        if (sceneActive) {
+            this.triggerAction();
+        }
+    }
+  };
+
   triggerAction(): boolean {
     if (this.canMove()) {
         if (this.triggerButtonAction()) {
@@ -534,12 +625,29 @@ export class Game_Player extends Game_Character {
 
   checkEventTriggerHere(triggers: MZ.EventTrigger[]): void {
     if (this.canStartLocalEvents()) {
-        this.startMapEvent(this.x, this.y, triggers, false);
+        if (this.isOffGrid()) {
+            this.startEvents(this.overlappedEvents(triggers), triggers, false);
+        } else {
+            this.startMapEvent(this.x, this.y, triggers, false);
+        }
     }
   };
 
+  overlappedEvents(triggers: MZ.EventTrigger[]): Game_Event[] {
+    // Touch triggers only start the events that were not overlapped before.
+    const events = $gameMap.eventsInRect(this.hitboxRect());
+    const lastIds = this._overlappedEventIds;
+    this._overlappedEventIds = events.map(event => event.eventId());
+    if (triggers.includes(0)) {
+        return events;
+    }
+    return events.filter(event => !lastIds.includes(event.eventId()));
+  };
+
   checkEventTriggerThere(triggers: MZ.EventTrigger[]): void {
-    if (this.canStartLocalEvents()) {
+    if (this.isOffGrid()) {
+        this.checkEventTriggerFront(triggers);
+    } else if (this.canStartLocalEvents()) {
         const direction = this.direction();
         const x1 = this.x;
         const y1 = this.y;
@@ -554,6 +662,28 @@ export class Game_Player extends Game_Character {
     }
   };
 
+  checkEventTriggerFront(triggers: MZ.EventTrigger[]): void {
+    // The events that overlap the area in front of the hitbox, or beyond
+    // a counter.
+    if (this.canStartLocalEvents()) {
+        const direction = this.direction();
+        this.startEvents($gameMap.eventsInRect(this.frontRect(0.5)), triggers, true);
+        const x2 = $gameMap.roundXWithDirection(this.x, direction);
+        const y2 = $gameMap.roundYWithDirection(this.y, direction);
+        if (!$gameMap.isAnyEventStarting() && $gameMap.isCounter(x2, y2)) {
+            this.startEvents($gameMap.eventsInRect(this.frontRect(1.5)), triggers, true);
+        }
+    }
+  };
+
+  frontRect(distance: number): Hitbox {
+    const rect = this.hitboxRect();
+    const direction = this.direction();
+    rect.x = $gameMap.xWithDirection(0, direction) * distance + rect.x;
+    rect.y = $gameMap.yWithDirection(0, direction) * distance + rect.y;
+    return rect;
+  };
+
   checkEventTriggerTouch(x: number, y: number): any {
     if (this.canStartLocalEvents()) {
         this.startMapEvent(x, y, [1, 2], true);
@@ -625,6 +755,18 @@ export class Game_Player extends Game_Character {
     return $gameMap.isDamageFloor(this.x, this.y) && !this.isInAirship();
   };
 
+  moveFree(dx: number, dy: number): void {
+    const lastX = this.x;
+    const lastY = this.y;
+    super.moveFree(dx, dy);
+    if (this.x !== lastX || this.y !== lastY) {
+        // A new tile counts as a step.
+        this._followers.updateMove();
+        $gameParty.onPlayerWalk();
+        this.updateEncounterCount();
+    }
+  };
+
   moveStraight(d: MZ.MoveDirection): void {
     if (this.canPass(this.x, this.y, d)) {
         this._followers.updateMove();
@@ -32,6 +32,11 @@ export class Game_Screen {
   _weatherPower = 0;
   _weatherPowerTarget = 0;
   _weatherDuration = 0;
+  _weatherFadeType: WeatherType = "none";
+  _weatherFadePower = 0;
+  _windPower = 0;
+  _windPowerTarget = 0;
+  _windDuration = 0;
   _pictures: (Game_Picture | null)[] = [];
 
   constructor()
@@ -101,6 +106,20 @@ export class Game_Screen {
     return this._weatherPower;
   };
 
+  fadingWeatherType(): WeatherType {
+    // The previous type, fading out while the current one fades in.
+    return this._weatherFadeType || "none";
+  };
+
+  fadingWeatherPower(): number {
+    return this._weatherFadePower || 0;
+  };
+
+  windPower(): number {
+    // In the range (-9, 9). It blows to the right when positive.
+    return this._windPower || 0;
+  };
+
   picture(pictureId: MZ.ID): Game_Picture | null {
     const realPictureId = this.realPictureId(pictureId);
     return this._pictures[realPictureId];
@@ -152,6 +171,11 @@ export class Game_Screen {
     this._weatherPower = 0;
     this._weatherPowerTarget = 0;
     this._weatherDuration = 0;
+    this._weatherFadeType = "none";
+    this._weatherFadePower = 0;
+    this._windPower = 0;
+    this._windPowerTarget = 0;
+    this._windDuration = 0;
   };
 
   clearPictures(): void {
@@ -209,6 +233,15 @@ export class Game_Screen {
   };
 
   changeWeather(type: WeatherType, power: number, duration: number): void {
+    if (type !== "none" && type !== this._weatherType && duration > 0) {
+        // Cross-fades from the old type, which rises the new one from zero.
+        this._weatherFadeType = this._weatherType;
+        this._weatherFadePower = this._weatherPower;
+        this._weatherPower = 0;
+    } else if (duration === 0) {
+        this._weatherFadeType = "none";
+        this._weatherFadePower = 0;
+    }
     if (type !== "none" || duration === 0) {
         this._weatherType = type;
     }
@@ -219,6 +252,14 @@ export class Game_Screen {
     }
   };
 
+  changeWind(power: number, duration: number): void {
+    this._windPowerTarget = power.clamp(-9, 9);
+    this._windDuration = duration;
+    if (duration === 0) {
+        this._windPower = this._windPowerTarget;
+    }
+  };
+
   update(): void {
     this.updateFadeOut();
     this.updateFadeIn();
@@ -227,6 +268,7 @@ export class Game_Screen {
     this.updateShake();
     this.updateZoom();
     this.updateWeather();
+    this.updateWind();
     this.updatePictures();
   };
 
@@ -300,13 +342,26 @@ export class Game_Screen {
         const d = this._weatherDuration;
         const t = this._weatherPowerTarget;
         this._weatherPower = (this._weatherPower * (d - 1) + t) / d;
+        this._weatherFadePower = (this.fadingWeatherPower() * (d - 1)) / d;
         this._weatherDuration--;
-        if (this._weatherDuration === 0 && this._weatherPowerTarget === 0) {
-            this._weatherType = "none";
+        if (this._weatherDuration === 0) {
+            this._weatherFadeType = "none";
+            if (this._weatherPowerTarget === 0) {
+                this._weatherType = "none";
+            }
         }
     }
   };
 
+  updateWind(): void {
+    if (this._windDuration > 0) {
+        const d = this._windDuration;
+        const t = this._windPowerTarget;
+        this._windPower = (this.windPower() * (d - 1) + t) / d;
+        this._windDuration--;
+    }
+  };
+
   updatePictures(): void {
     for (const picture of this._pictures) {
         if (picture) {
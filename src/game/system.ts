@@ -1,8 +1,34 @@
 import { Graphics } from '../dom';
 import { AudioManager } from '../managers';
 import { $dataSystem, $dataMap } from '../managers';
+import type { WeatherType } from '../pixi/weather';
 import { MZ } from '../MZ';
 
+export type MessageLogEntry = {
+  speakerName: string
+  faceName: string
+  faceIndex: number
+  text: string
+  choice: string
+};
+
+type ClockColor = {
+  time: number
+  color: MZ.RGBColorArray
+};
+
+// The ambient light at times of day, in minutes since midnight.
+const CLOCK_COLORS: ClockColor[] = [
+  { time: 0, color: [72, 72, 136] },
+  { time: 270, color: [72, 72, 136] },
+  { time: 360, color: [255, 200, 168] },
+  { time: 480, color: [255, 255, 255] },
+  { time: 1020, color: [255, 255, 255] },
+  { time: 1110, color: [255, 176, 136] },
+  { time: 1200, color: [72, 72, 136] },
+  { time: 1440, color: [72, 72, 136] }
+];
+
 //-----------------------------------------------------------------------------
 // Game_System
 //
@@ -28,6 +54,14 @@ export class Game_System {
   _defeatMe: MZ.AudioParam | null = null
   _savedBgm: MZ.AudioParam | null = null
   _walkingBgm: MZ.AudioParam | null = null
+  _messageLog: MessageLogEntry[] = []
+  _wordWrap = false
+  _pixelMovement = false
+  _minimapVisible = false
+  _weatherBgs: {[type: string]: MZ.AudioParam | null} = {}
+  _clockTime = 720
+  _clockSpeed = 1
+  _clockRunning = false
 
   constructor()
   constructor(thisClass: Constructable<Game_System>)
@@ -58,6 +92,33 @@ export class Game_System {
     this._defeatMe = null;
     this._savedBgm = null;
     this._walkingBgm = null;
+    this._messageLog = [];
+    this._wordWrap = false;
+    this._pixelMovement = false;
+    this._minimapVisible = false;
+    this._weatherBgs = {};
+    this._clockTime = 720;
+    this._clockSpeed = 1;
+    this._clockRunning = false;
+  }
+
+  messageLog(): MessageLogEntry[] {
+    return this._messageLog;
+  }
+
+  maxMessageLog(): number {
+    return 100;
+  }
+
+  addMessageLog(entry: MessageLogEntry): void {
+    this._messageLog.push(entry);
+    if (this._messageLog.length > this.maxMessageLog()) {
+        this._messageLog.shift();
+    }
+  }
+
+  lastMessageLog(): MessageLogEntry | null {
+    return this._messageLog[this._messageLog.length - 1] || null;
   }
 
   isJapanese(): RegExpMatchArray | null {
@@ -136,6 +197,102 @@ export class Game_System {
     this._formationEnabled = true;
   }
 
+  isWordWrapEnabled(): boolean {
+    return !!this._wordWrap;
+  }
+
+  setWordWrap(enabled: boolean): void {
+    this._wordWrap = enabled;
+  }
+
+  isPixelMovementEnabled(): boolean {
+    return !!this._pixelMovement;
+  }
+
+  setPixelMovement(enabled: boolean): void {
+    this._pixelMovement = enabled;
+  }
+
+  isMinimapVisible(): boolean {
+    return !!this._minimapVisible;
+  }
+
+  setMinimapVisible(visible: boolean): void {
+    this._minimapVisible = visible;
+  }
+
+  weatherBgs(type: WeatherType): MZ.AudioParam | null {
+    // The volume is for the power of 9. Saves made before have none.
+    return (this._weatherBgs && this._weatherBgs[type]) || null;
+  }
+
+  setWeatherBgs(type: WeatherType, bgs: MZ.AudioParam | null): void {
+    if (!this._weatherBgs) {
+        this._weatherBgs = {};
+    }
+    this._weatherBgs[type] = bgs;
+  }
+
+  clockTime(): number {
+    // In minutes since midnight. Saves made before the clock start at noon.
+    return this._clockTime !== undefined ? this._clockTime : 720;
+  }
+
+  clockHour(): number {
+    return Math.floor(this.clockTime() / 60);
+  }
+
+  clockMinute(): number {
+    return Math.floor(this.clockTime() % 60);
+  }
+
+  setClockTime(hour: number, minute: number): void {
+    this._clockTime = (((hour * 60 + minute) % 1440) + 1440) % 1440;
+  }
+
+  addClockTime(minutes: number): void {
+    this.setClockTime(0, this.clockTime() + minutes);
+  }
+
+  clockSpeed(): number {
+    // In game minutes per second of play.
+    return this._clockSpeed !== undefined ? this._clockSpeed : 1;
+  }
+
+  setClockSpeed(speed: number): void {
+    this._clockSpeed = speed;
+  }
+
+  isClockRunning(): boolean {
+    return !!this._clockRunning;
+  }
+
+  startClock(): void {
+    this._clockRunning = true;
+  }
+
+  stopClock(): void {
+    this._clockRunning = false;
+  }
+
+  updateClock(): void {
+    if (this.isClockRunning()) {
+        this.addClockTime(this.clockSpeed() / 60);
+    }
+  }
+
+  clockColor(): MZ.RGBColorArray {
+    // Interpolated between the colors of the times around the clock.
+    const time = this.clockTime();
+    const index = CLOCK_COLORS.findIndex(key => key.time > time);
+    const key1 = CLOCK_COLORS[index - 1];
+    const key2 = CLOCK_COLORS[index];
+    const rate = (time - key1.time) / (key2.time - key1.time);
+    return key1.color.map((value, i) =>
+        Math.round(value + (key2.color[i] - value) * rate)
+    ) as MZ.RGBColorArray;
+  }
+
   battleCount(): number {
     return this._battleCount;
   }
@@ -1,4 +1,5 @@
 import { Game_Battler } from '.';
+import { Random } from '../dom';
 import { BattleManager } from '../managers';
 import { MZ } from "../MZ";
 
@@ -61,7 +62,7 @@ export class Game_Unit {
   };
 
   randomTarget(): Game_Battler | null {
-    let tgrRand = Math.random() * this.tgrSum();
+    let tgrRand = Random.random() * this.tgrSum();
     let target = null;
     for (const member of this.aliveMembers()) {
         tgrRand -= member.tgr;
@@ -119,6 +119,10 @@ export class Game_Vehicle extends Game_Character {
     }
   };
 
+  passabilityType(): string {
+    return this._type;
+  };
+
   isMapPassable(x: number, y: number, d: MZ.MoveDirection): boolean {
     const x2 = $gameMap.roundXWithDirection(x, d);
     const y2 = $gameMap.roundYWithDirection(y, d);
@@ -0,0 +1,66 @@
+//-----------------------------------------------------------------------------
+// Headless environment
+//
+// Installs the minimal browser globals that the core modules touch while they
+// are imported, so that the game logic can be loaded under Node. Every DOM
+// object handed out here is inert: it accepts any property write or call and
+// never renders, plays or listens to anything.
+
+type NullObject = {[key: string]: any};
+
+function createNullObject(): NullObject {
+  const values: NullObject = {};
+  const target = function() {};
+  return new Proxy(target, {
+    get(_, key) {
+        if (key === Symbol.toPrimitive) {
+            return () => 0;
+        }
+        if (typeof key === "symbol" || key === "then") {
+            // [Note] An inert object must not look like a Promise.
+            return undefined;
+        }
+        if (!(key in values)) {
+            values[key] = createNullObject();
+        }
+        return values[key];
+    },
+    set(_, key, value) {
+        values[key as string] = value;
+        return true;
+    },
+    apply() {
+        return createNullObject();
+    },
+    construct() {
+        return createNullObject();
+    },
+    getPrototypeOf() {
+        // [Note] PIXI only accepts a canvas as the source of a texture.
+        return (global as any).HTMLCanvasElement.prototype;
+    }
+  });
+}
+
+function define(name: string, value: any): void {
+  if (typeof (global as any)[name] === "undefined") {
+    Object.defineProperty(global, name, {
+      value: value,
+      writable: true,
+      configurable: true
+    });
+  }
+}
+
+for (const name of ["HTMLElement", "HTMLCanvasElement", "HTMLImageElement", "HTMLVideoElement"]) {
+  define(name, class {});
+}
+define("window", global);
+define("self", global);
+define("document", createNullObject());
+define("navigator", { userAgent: "Node.js" });
+define("location", { search: "", href: "file://" + process.cwd() + "/" });
+define("Image", function() { return createNullObject(); });
+define("requestAnimationFrame", (callback: () => void) => setTimeout(callback, 0));
+
+window.RMMZ_HEADLESS = window.RMMZ_HEADLESS || process.cwd();
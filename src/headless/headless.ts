@@ -0,0 +1,305 @@
+import { Graphics, Input, TouchInput, Utils } from '../dom';
+import { BattleManager, DataManager, LocaleManager, SceneManager } from '../managers';
+import { LocaleBundle } from '../managers';
+import {
+  $dataMapInfos,
+  $dataSystem,
+  $gameMap,
+  $gameMessage,
+  $gameParty,
+  $gamePlayer,
+  $gameScreen,
+  $gameSystem,
+  $gameTimer,
+  $gameTroop,
+  $gameVariables,
+} from '../managers';
+import { Scene_Battle, Scene_Gameover, Scene_Title } from '../scenes';
+import { LoadError } from '../managers/scene';
+import { MZ } from '../MZ';
+
+export type HeadlessMessage = {
+  speakerName: string
+  faceName: string
+  faceIndex: number
+  text: string
+  choices: string[]
+  choiceIndex: number
+};
+
+type ChoiceHandler = (choices: string[], defaultIndex: number) => number;
+
+//-----------------------------------------------------------------------------
+// HeadlessManager
+//
+// The static class that steps the game objects frame by frame under Node,
+// taking the place of SceneManager and the scenes without rendering, audio or
+// a window layer.
+
+export class HeadlessManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _messages: HeadlessMessage[] = [];
+  static _choiceHandler: ChoiceHandler | null = null;
+  static _inBattle = false;
+  static _battleResult = -1;
+  static _gameover = false;
+  static _exiting = false;
+
+  static boot(projectPath?: string): void {
+    if (projectPath) {
+        const path = require("path");
+        window.RMMZ_HEADLESS = path.resolve(projectPath);
+    }
+    this.loadDatabase();
+    LocaleManager.loadIndex();
+    this.initGraphics();
+    Input.clear();
+    TouchInput.clear();
+    if (!DataManager.isGlobalInfoLoaded()) {
+        DataManager._globalInfo = [];
+    }
+    if (!DataManager.isReadMessagesLoaded()) {
+        DataManager._readMessages = {};
+    }
+  };
+
+  static loadDatabase(): void {
+    DataManager.loadDatabase();
+    try {
+        if (!DataManager.isDatabaseLoaded()) {
+            throw new Error("Failed to load the database.");
+        }
+    } catch (e) {
+        if (e instanceof Array && e[0] === "LoadError") {
+            throw new Error("Failed to load: " + (e as LoadError)[1]);
+        }
+        throw e;
+    }
+    const hasImages = $dataSystem.hasEncryptedImages;
+    const hasAudio = $dataSystem.hasEncryptedAudio;
+    Utils.setEncryptionInfo(hasImages, hasAudio, $dataSystem.encryptionKey);
+  };
+
+  static initGraphics(): void {
+    // [Note] Game_Map and Game_Player use the screen size for scrolling, so
+    //   it is taken from the database as Scene_Boot would do.
+    const advanced = $dataSystem.advanced;
+    Graphics._width = advanced.screenWidth;
+    Graphics._height = advanced.screenHeight;
+    Graphics.boxWidth = advanced.uiAreaWidth;
+    Graphics.boxHeight = advanced.uiAreaHeight;
+    Graphics.frameCount = 0;
+  };
+
+  static setupNewGame(): void {
+    DataManager.setupNewGame();
+    this.clear();
+    this.updateTransferPlayer();
+  };
+
+  static clear(): void {
+    this._messages = [];
+    this._inBattle = false;
+    this._battleResult = -1;
+    this._gameover = false;
+    this._exiting = false;
+  };
+
+  static update(): void {
+    SceneManager.updateFrameCount();
+    SceneManager.updateInputData();
+    if (this._inBattle) {
+        this.updateBattle();
+    } else {
+        this.updateMap();
+    }
+    this.updateMessage();
+    this.updateSceneRequest();
+  };
+
+  static run(frames: number): void {
+    for (let i = 0; i < frames && !this.isStopped(); i++) {
+        this.update();
+    }
+  };
+
+  static runUntil(predicate: () => boolean, maxFrames: number): boolean {
+    for (let i = 0; i < maxFrames && !this.isStopped(); i++) {
+        if (predicate()) {
+            return true;
+        }
+        this.update();
+    }
+    return predicate();
+  };
+
+  static isStopped(): boolean {
+    return this._gameover || this._exiting;
+  };
+
+  static isGameover(): boolean {
+    return this._gameover;
+  };
+
+  static isBattle(): boolean {
+    return this._inBattle;
+  };
+
+  static battleResult(): number {
+    return this._battleResult;
+  };
+
+  static localeTemplate(): LocaleBundle {
+    // Extracts the translatable strings of the database and every map.
+    const fs = require("fs");
+    const path = require("path");
+    const maps: {[mapId: number]: MZ.DataMap} = {};
+    for (const info of $dataMapInfos) {
+        if (info) {
+            const filename = "data/Map%1.json".format(info.id.padZero(3));
+            const filePath = path.join(window.RMMZ_HEADLESS, filename);
+            maps[info.id] = JSON.parse(fs.readFileSync(filePath, { encoding: "utf8" }));
+        }
+    }
+    return LocaleManager.makeTemplate(maps);
+  };
+
+  static messages(): HeadlessMessage[] {
+    return this._messages;
+  };
+
+  static setChoiceHandler(handler: ChoiceHandler | null): void {
+    this._choiceHandler = handler;
+  };
+
+  static updateMap(): void {
+    $gameMap.update(true);
+    $gamePlayer.update(true);
+    $gameTimer.update(true);
+    $gameScreen.update();
+    if (!$gameMessage.isBusy()) {
+        this.updateTransferPlayer();
+        if ($gamePlayer.executeEncounter()) {
+            this.startBattle();
+        }
+    }
+  };
+
+  static updateTransferPlayer(): void {
+    if ($gamePlayer.isTransferring()) {
+        DataManager.loadMapData($gamePlayer.newMapId());
+        $gamePlayer.performTransfer();
+    }
+  };
+
+  static setupBattle(troopId: number, canEscape: boolean, canLose: boolean): void {
+    BattleManager.setup(troopId, canEscape, canLose);
+    this.startBattle();
+  };
+
+  static startBattle(): void {
+    this._inBattle = true;
+    this._battleResult = -1;
+    const eventCallback = BattleManager._eventCallback;
+    BattleManager.setEventCallback(result => {
+        this._battleResult = result;
+        if (eventCallback) {
+            eventCallback(result);
+        }
+    });
+    BattleManager.startBattle();
+  };
+
+  static updateBattle(): void {
+    $gameTimer.update(true);
+    $gameScreen.update();
+    BattleManager.update(true);
+    if (BattleManager.isInputting()) {
+        this.inputBattleCommands();
+    }
+  };
+
+  static inputBattleCommands(): void {
+    // [Note] Every actor decides its actions with the auto battle AI, and
+    //   the party command is always "Fight".
+    const actor = BattleManager.actor();
+    if (actor) {
+        actor.makeAutoBattleActions();
+    }
+    BattleManager.selectNextCommand();
+  };
+
+  static endBattle(): void {
+    this._inBattle = false;
+    $gameParty.onBattleEnd();
+    $gameTroop.onBattleEnd();
+  };
+
+  static updateMessage(): void {
+    if ($gameMessage.isBusy()) {
+        const message: HeadlessMessage = {
+            speakerName: $gameMessage.speakerName(),
+            faceName: $gameMessage.faceName(),
+            faceIndex: $gameMessage.faceIndex(),
+            text: $gameMessage.allText(),
+            choices: $gameMessage.choices().clone(),
+            choiceIndex: -1
+        };
+        this.logMessage(message);
+        if ($gameMessage.isChoice()) {
+            message.choiceIndex = this.selectChoice(message.choices);
+            $gameMessage.onChoice(message.choiceIndex);
+        } else if ($gameMessage.isItemChoice()) {
+            $gameVariables.setValue($gameMessage.itemChoiceVariableId(), 0);
+        }
+        this._messages.push(message);
+        $gameMessage.clear();
+    }
+  };
+
+  static logMessage(message: HeadlessMessage): void {
+    // Records the message in the backlog as Window_Message does.
+    if (message.text) {
+        $gameSystem.addMessageLog({
+            speakerName: message.speakerName,
+            faceName: message.faceName,
+            faceIndex: message.faceIndex,
+            text: message.text,
+            choice: ""
+        });
+        $gameMessage.setLogged();
+    }
+  };
+
+  static selectChoice(choices: string[]): number {
+    const defaultIndex = Math.max($gameMessage.choiceDefaultType(), 0);
+    if (this._choiceHandler) {
+        return this._choiceHandler(choices, defaultIndex);
+    } else {
+        return defaultIndex;
+    }
+  };
+
+  static updateSceneRequest(): void {
+    // [Note] There are no scenes to switch to, so the requests made through
+    //   SceneManager are resolved here and then discarded.
+    if (SceneManager.isSceneChanging()) {
+        if (SceneManager.isNextScene(Scene_Battle) && !this._inBattle) {
+            this.startBattle();
+        } else if (this._inBattle && !BattleManager.isBattleEnd()) {
+            this.endBattle();
+        }
+        if (SceneManager.isNextScene(Scene_Gameover)) {
+            this._gameover = true;
+        } else if (SceneManager.isNextScene(Scene_Title)) {
+            this._exiting = true;
+        }
+        SceneManager._nextScene = null;
+        SceneManager._exiting = false;
+        SceneManager.clearStack();
+    }
+  };
+}
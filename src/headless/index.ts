@@ -0,0 +1,9 @@
+export { HeadlessManager } from './headless';
+export { BattleSimulator } from './simulator';
+export type {
+  SimulatorActor,
+  SimulatorOptions,
+  SimulatorReport,
+  SimulatorRun,
+  SimulatorStats
+} from './simulator';
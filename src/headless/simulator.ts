@@ -0,0 +1,324 @@
+import { Random } from '../dom';
+import { DataManager, PluginManager } from '../managers';
+import {
+  $dataItems,
+  $dataStates,
+  $dataSystem,
+  $dataTroops,
+  $gameActors,
+  $gameParty,
+  $gameTroop
+} from '../managers';
+import { Game_Actor, Game_Battler, Game_Enemy } from '../game';
+import { HeadlessManager } from '.';
+
+export type SimulatorActor = {
+  actorId: number
+  level?: number
+  // The item ids of the equipment slots, as in the database. 0 is empty.
+  equips?: number[]
+};
+
+export type SimulatorOptions = {
+  troopId?: number
+  actors?: SimulatorActor[]
+  items?: {[itemId: string]: number}
+  runs?: number
+  seed?: number
+  maxTurns?: number
+  canEscape?: boolean
+};
+
+export type SimulatorStats = {
+  count: number
+  min: number
+  max: number
+  mean: number
+  stdev: number
+  p10: number
+  median: number
+  p90: number
+};
+
+export type SimulatorResult = "win" | "escape" | "lose" | "timeout";
+
+export type SimulatorRun = {
+  run: number
+  seed: number
+  result: SimulatorResult
+  turns: number
+  damageDealt: number
+  damageTaken: number
+  survivors: number
+};
+
+export type SimulatorBattler = {
+  name: string
+  damageDealt: number
+  damageTaken: number
+  deathRate: number
+};
+
+export type SimulatorUsage = {
+  name: string
+  count: number
+};
+
+export type SimulatorReport = {
+  troopId: number
+  troopName: string
+  runs: number
+  seed: number
+  wins: number
+  escapes: number
+  losses: number
+  timeouts: number
+  winRate: number
+  turns: SimulatorStats
+  damageDealt: SimulatorStats
+  damageTaken: SimulatorStats
+  // Keyed by "actor:<actorId>" and "enemy:<index in the troop>", as names
+  // can be empty or shared.
+  battlers: {[key: string]: SimulatorBattler}
+  // Keyed by the skill, item and state ids.
+  skills: {[skillId: string]: SimulatorUsage}
+  items: {[itemId: string]: SimulatorUsage}
+  states: {[stateId: string]: SimulatorUsage}
+  results: SimulatorRun[]
+};
+
+type Tally = {[key: string]: SimulatorUsage};
+
+const RESULTS: SimulatorResult[] = ["win", "escape", "lose"];
+
+//-----------------------------------------------------------------------------
+// BattleSimulator
+//
+// The static class that repeats a troop battle with seeded random numbers and
+// the auto battle AI, and reports balance statistics.
+
+export class BattleSimulator {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _hits: {dealt: number[], taken: number[]} = { dealt: [], taken: [] };
+  static _battlerDamage: {[key: string]: SimulatorBattler} = {};
+  static _skills: Tally = {};
+  static _items: Tally = {};
+  static _states: Tally = {};
+
+  static simulate(options: SimulatorOptions): SimulatorReport {
+    // HeadlessManager.boot must be called first.
+    const troopId = options.troopId || $dataSystem.testTroopId;
+    const runs = options.runs || 100;
+    const seed = options.seed !== undefined ? options.seed : 1;
+    if (!$dataTroops[troopId]) {
+        throw new Error("Unknown troop: %1".format(troopId));
+    }
+    const results: SimulatorRun[] = [];
+    const deaths: Tally = {};
+    this.clear();
+    this.registerHooks();
+    try {
+        for (let run = 0; run < runs; run++) {
+            results.push(this.simulateRun(options, troopId, run, seed + run, deaths));
+        }
+    } finally {
+        PluginManager.unregisterHooks("BattleSimulator");
+    }
+    return this.makeReport(troopId, seed, results, deaths);
+  };
+
+  static clear(): void {
+    this._hits = { dealt: [], taken: [] };
+    this._battlerDamage = {};
+    this._skills = {};
+    this._items = {};
+    this._states = {};
+  };
+
+  static registerHooks(): void {
+    PluginManager.registerHook("BattleSimulator", "beforeAction", (_, action) => {
+        const item = action.item();
+        if (item) {
+            this.count(action.isSkill() ? this._skills : this._items, item.id, item.name);
+        }
+    });
+    PluginManager.registerHook("BattleSimulator", "onActionResult", (subject, target) => {
+        this.recordResult(subject, target);
+    });
+  };
+
+  static simulateRun(
+    options: SimulatorOptions,
+    troopId: number,
+    run: number,
+    seed: number,
+    deaths: Tally
+  ): SimulatorRun {
+    const maxTurns = options.maxTurns || 100;
+    const hitCounts = [this._hits.dealt.length, this._hits.taken.length];
+    Random.setSeed(seed);
+    this.setupParty(options);
+    HeadlessManager.clear();
+    HeadlessManager.setupBattle(troopId, !!options.canEscape, true);
+    HeadlessManager.runUntil(
+        () => !HeadlessManager.isBattle() || $gameTroop.turnCount() > maxTurns,
+        maxTurns * 600
+    );
+    const finished = !HeadlessManager.isBattle();
+    const result = finished ? RESULTS[HeadlessManager.battleResult()] : "timeout";
+    for (const battler of this.battlers()) {
+        if (battler.isDead()) {
+            this.count(deaths, this.battlerKey(battler), battler.name());
+        }
+    }
+    const sum = (values: number[]) => values.reduce((a, b) => a + b, 0);
+    return {
+        run: run + 1,
+        seed: seed,
+        result: result || "timeout",
+        turns: $gameTroop.turnCount(),
+        damageDealt: sum(this._hits.dealt.slice(hitCounts[0])),
+        damageTaken: sum(this._hits.taken.slice(hitCounts[1])),
+        survivors: $gameParty.aliveMembers().length
+    };
+  };
+
+  static setupParty(options: SimulatorOptions): void {
+    // The game objects are made again for every run, as in a battle test.
+    DataManager.createGameObjects();
+    const actors = options.actors || $dataSystem.testBattlers;
+    for (const setup of actors) {
+        const actor = $gameActors.actor(setup.actorId);
+        if (!actor) {
+            throw new Error("Unknown actor: %1".format(setup.actorId));
+        }
+        if (setup.level) {
+            actor.changeLevel(setup.level, false);
+        }
+        if (setup.equips) {
+            actor.initEquips(setup.equips);
+        }
+        actor.recoverAll();
+        $gameParty.addActor(setup.actorId);
+    }
+    for (const itemId of Object.keys(options.items || {})) {
+        $gameParty.gainItem($dataItems[Number(itemId)], options.items![itemId]);
+    }
+  };
+
+  static battlers(): (Game_Actor | Game_Enemy)[] {
+    return ($gameParty.members() as (Game_Actor | Game_Enemy)[]).concat($gameTroop.members());
+  };
+
+  static battlerKey(battler: Game_Battler): string {
+    if (battler.isActor()) {
+        return "actor:" + (battler as Game_Actor).actorId();
+    } else {
+        return "enemy:" + (battler as Game_Enemy).index();
+    }
+  };
+
+  static recordResult(subject: Game_Battler, target: Game_Battler): void {
+    const result = target.result();
+    if (result.hpAffected && result.hpDamage > 0) {
+        const hits = subject.isActor() ? this._hits.dealt : this._hits.taken;
+        if (subject.isActor() !== target.isActor()) {
+            hits.push(result.hpDamage);
+        }
+        this.battlerDamage(subject).damageDealt += result.hpDamage;
+        this.battlerDamage(target).damageTaken += result.hpDamage;
+    }
+    for (const stateId of result.addedStates) {
+        this.count(this._states, stateId, $dataStates[stateId].name);
+    }
+  };
+
+  static battlerDamage(battler: Game_Battler): SimulatorBattler {
+    const key = this.battlerKey(battler);
+    if (!this._battlerDamage[key]) {
+        const name = (battler as Game_Actor | Game_Enemy).name();
+        this._battlerDamage[key] = { name: name, damageDealt: 0, damageTaken: 0, deathRate: 0 };
+    }
+    return this._battlerDamage[key];
+  };
+
+  static count(tally: Tally, key: string | number, name: string): void {
+    if (!tally[key]) {
+        tally[key] = { name: name, count: 0 };
+    }
+    tally[key].count++;
+  };
+
+  static makeReport(
+    troopId: number,
+    seed: number,
+    results: SimulatorRun[],
+    deaths: Tally
+  ): SimulatorReport {
+    const runs = results.length;
+    const countResult = (result: SimulatorResult) =>
+        results.filter(r => r.result === result).length;
+    const battlers: {[key: string]: SimulatorBattler} = {};
+    for (const key of Object.keys(this._battlerDamage)) {
+        const damage = this._battlerDamage[key];
+        battlers[key] = {
+            name: damage.name,
+            damageDealt: damage.damageDealt / runs,
+            damageTaken: damage.damageTaken / runs,
+            deathRate: deaths[key] ? deaths[key].count / runs : 0
+        };
+    }
+    return {
+        troopId: troopId,
+        troopName: $dataTroops[troopId].name,
+        runs: runs,
+        seed: seed,
+        wins: countResult("win"),
+        escapes: countResult("escape"),
+        losses: countResult("lose"),
+        timeouts: countResult("timeout"),
+        winRate: runs > 0 ? countResult("win") / runs : 0,
+        turns: this.makeStats(results.map(r => r.turns)),
+        damageDealt: this.makeStats(this._hits.dealt),
+        damageTaken: this.makeStats(this._hits.taken),
+        battlers: battlers,
+        skills: this._skills,
+        items: this._items,
+        states: this._states,
+        results: results
+    };
+  };
+
+  static makeStats(values: number[]): SimulatorStats {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const count = sorted.length;
+    const mean = count > 0 ? sorted.reduce((a, b) => a + b, 0) / count : 0;
+    const variance = count > 0
+        ? sorted.reduce((a, b) => a + (b - mean) ** 2, 0) / count
+        : 0;
+    const percentile = (p: number) =>
+        count > 0 ? sorted[Math.min(Math.floor(count * p), count - 1)] : 0;
+    return {
+        count: count,
+        min: count > 0 ? sorted[0] : 0,
+        max: count > 0 ? sorted[count - 1] : 0,
+        mean: mean,
+        stdev: Math.sqrt(variance),
+        p10: percentile(0.1),
+        median: percentile(0.5),
+        p90: percentile(0.9)
+    };
+  };
+
+  static toCsv(report: SimulatorReport): string {
+    // One row per run, for spreadsheets.
+    const columns: (keyof SimulatorRun)[] = [
+        "run", "seed", "result", "turns", "damageDealt", "damageTaken", "survivors"
+    ];
+    const rows = report.results.map(run => columns.map(c => run[c]).join(","));
+    return [columns.join(",")].concat(rows).join("\n") + "\n";
+  };
+}
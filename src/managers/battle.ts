@@ -2,8 +2,11 @@ import { AudioManager } from '.';
 import { SoundManager } from '.';
 import { SceneManager } from '.';
 import { TextManager } from '.';
+import { PluginManager } from '.';
+import { EnemyAIManager } from '.';
 import { $gameMessage, $gameParty, $gameScreen, $gameSystem, $gameTroop } from '.';
 import { $dataSystem } from '.';
+import { Random } from '../dom';
 import { Game_Action, Game_Actor, Game_Enemy, Game_Battler } from '../game';
 import { Window_BattleLog } from '../windows'
 import { Spriteset_Battle } from '../sprites';
@@ -70,6 +73,7 @@ export class BattleManager {
     this._canLose = canLose;
     $gameTroop.setup(troopId);
     $gameScreen.onBattleStart();
+    EnemyAIManager.clearTraces();
     this.makeEscapeRatio();
   };
 
@@ -127,8 +131,8 @@ export class BattleManager {
   };
 
   static onEncounter(): void {
-    this._preemptive = Math.random() < this.ratePreemptive();
-    this._surprise = Math.random() < this.rateSurprise() && !this._preemptive;
+    this._preemptive = Random.random() < this.ratePreemptive();
+    this._surprise = Random.random() < this.rateSurprise() && !this._preemptive;
   };
 
   static ratePreemptive(): number {
@@ -232,8 +236,8 @@ export class BattleManager {
   static isBusy(): boolean {
     return (
         $gameMessage.isBusy() ||
-        this._spriteset!.isBusy() ||
-        this._logWindow!.isBusy()
+        (!!this._spriteset && this._spriteset.isBusy()) ||
+        (!!this._logWindow && this._logWindow.isBusy())
     );
   };
 
@@ -317,6 +321,7 @@ export class BattleManager {
     $gameSystem.onBattleStart();
     $gameParty.onBattleStart(this._preemptive);
     $gameTroop.onBattleStart(this._surprise);
+    PluginManager.callHook("onBattleStart");
     this.displayStartMessages();
   };
 
@@ -438,7 +443,9 @@ export class BattleManager {
     $gameParty.requestMotionRefresh();
     if (!this.isTpb()) {
         this.makeActionOrders();
-        this._logWindow!.startTurn();
+        if (this._logWindow) {
+            this._logWindow.startTurn();
+        }
         this._inputting = false;
     }
   };
@@ -530,11 +537,13 @@ export class BattleManager {
   };
 
   static displayBattlerStatus(battler: Game_Battler, current: boolean): void {
-    this._logWindow!.displayAutoAffectedStatus(battler);
-    if (current) {
-        this._logWindow!.displayCurrentState(battler);
+    if (this._logWindow) {
+        this._logWindow.displayAutoAffectedStatus(battler);
+        if (current) {
+            this._logWindow.displayCurrentState(battler);
+        }
+        this._logWindow.displayRegeneration(battler);
     }
-    this._logWindow!.displayRegeneration(battler);
   };
 
   static updateTurnEnd(): void {
@@ -579,13 +588,16 @@ export class BattleManager {
   static startAction(): void {
     const subject = this._subject;
     const action = subject!.currentAction();
+    PluginManager.callHook("beforeAction", subject!, action);
     const targets = action.makeTargets();
     this._phase = "action";
     this._action = action;
     this._targets = targets;
     subject!.useItem(action.item());
     this._action.applyGlobal();
-    this._logWindow!.startAction(subject!, action, targets);
+    if (this._logWindow) {
+        this._logWindow.startAction(subject!, action, targets);
+    }
   };
 
   static updateAction(): void {
@@ -598,7 +610,10 @@ export class BattleManager {
   };
 
   static endAction(): void {
-    this._logWindow!.endAction(this._subject!);
+    if (this._logWindow) {
+        this._logWindow.endAction(this._subject!);
+    }
+    PluginManager.callHook("afterAction", this._subject!, this._action!);
     this._phase = "turn";
     if (this._subject!.numActions() === 0) {
         this.endBattlerActions(this._subject!);
@@ -607,44 +622,63 @@ export class BattleManager {
   };
 
   static invokeAction(subject: Game_Battler, target: Game_Battler): void {
-    this._logWindow!.push("pushBaseLine");
-    if (Math.random() < this._action!.itemCnt(target)) {
+    this.pushLogMethod("pushBaseLine");
+    if (Random.random() < this._action!.itemCnt(target)) {
         this.invokeCounterAttack(subject, target);
-    } else if (Math.random() < this._action!.itemMrf(target)) {
+    } else if (Random.random() < this._action!.itemMrf(target)) {
         this.invokeMagicReflection(subject, target);
     } else {
         this.invokeNormalAction(subject, target);
     }
     subject.setLastTarget(target);
-    this._logWindow!.push("popBaseLine");
+    this.pushLogMethod("popBaseLine");
+  };
+
+  static pushLogMethod(methodName: string): void {
+    if (this._logWindow) {
+        this._logWindow.push(methodName);
+    }
   };
 
   static invokeNormalAction(subject: Game_Battler, target: Game_Battler): void {
     const realTarget = this.applySubstitute(target);
     this._action!.apply(realTarget);
-    this._logWindow!.displayActionResults(subject, realTarget);
+    this.displayActionResults(subject, realTarget);
   };
 
   static invokeCounterAttack(subject: Game_Battler, target: Game_Battler): void {
     const action = new Game_Action(target);
     action.setAttack();
     action.apply(subject);
-    this._logWindow!.displayCounter(target);
-    this._logWindow!.displayActionResults(target, subject);
+    if (this._logWindow) {
+        this._logWindow.displayCounter(target);
+    }
+    this.displayActionResults(target, subject);
   };
 
   static invokeMagicReflection(subject: Game_Battler, target: Game_Battler): void {
     this._action!._reflectionTarget = target;
-    this._logWindow!.displayReflection(target);
+    if (this._logWindow) {
+        this._logWindow.displayReflection(target);
+    }
     this._action!.apply(subject);
-    this._logWindow!.displayActionResults(target, subject);
+    this.displayActionResults(target, subject);
+  };
+
+  static displayActionResults(subject: Game_Battler, target: Game_Battler): void {
+    PluginManager.callHook("onActionResult", subject, target);
+    if (this._logWindow) {
+        this._logWindow.displayActionResults(subject, target);
+    }
   };
 
   static applySubstitute(target: Game_Battler): Game_Battler {
     if (this.checkSubstitute(target)) {
         const substitute = (target as Game_Actor | Game_Enemy).friendsUnit().substituteBattler();
         if (substitute && target !== substitute) {
-            this._logWindow!.displaySubstitute(substitute, target);
+            if (this._logWindow) {
+                this._logWindow.displaySubstitute(substitute, target);
+            }
             return substitute;
         }
     }
@@ -717,7 +751,7 @@ export class BattleManager {
   static processEscape(): boolean {
     $gameParty.performEscape();
     SoundManager.playEscape();
-    const success = this._preemptive || Math.random() < this._escapeRatio;
+    const success = this._preemptive || Random.random() < this._escapeRatio;
     if (success) {
         this.onEscapeSuccess();
     } else {
@@ -743,7 +777,9 @@ export class BattleManager {
 
   static processAbort(): void {
     $gameParty.removeBattleStates();
-    this._logWindow!.clear();
+    if (this._logWindow) {
+        this._logWindow.clear();
+    }
     this.replayBgmAndBgs();
     this.endBattle(1);
   };
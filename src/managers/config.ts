@@ -1,5 +1,6 @@
 import { AudioManager } from './';
 import { StorageManager } from './';
+import { LocaleManager } from './';
 
 type Config = {
   alwaysDash?: boolean
@@ -9,6 +10,8 @@ type Config = {
   bgsVolume?: number
   meVolume?: number
   seVolume?: number
+  locale?: string
+  textSpeed?: number
 }
 
 //-----------------------------------------------------------------------------
@@ -24,6 +27,7 @@ export class ConfigManager {
   static alwaysDash = false;
   static commandRemember = false;
   static touchUI = true;
+  static textSpeed = 3;
   static _isLoaded = false;
 
   static get bgmVolume(): number {
@@ -54,6 +58,13 @@ export class ConfigManager {
     AudioManager.seVolume = value;
   }
 
+  static get locale(): string {
+    return LocaleManager.locale();
+  }
+  static set locale(value: string) {
+    LocaleManager.setLocale(value);
+  }
+
   static load(): void {
     StorageManager.loadObject("config")
         .then((config: Config) => this.applyData(config || {}))
@@ -82,6 +93,8 @@ export class ConfigManager {
       bgsVolume: this.bgsVolume,
       meVolume: this.meVolume,
       seVolume: this.seVolume,
+      locale: this.locale,
+      textSpeed: this.textSpeed,
     }
     return config;
   };
@@ -94,6 +107,8 @@ export class ConfigManager {
     this.bgsVolume = this.readVolume(config, "bgsVolume");
     this.meVolume = this.readVolume(config, "meVolume");
     this.seVolume = this.readVolume(config, "seVolume");
+    this.locale = String(config.locale || "");
+    this.textSpeed = this.readTextSpeed(config, "textSpeed");
   };
 
   static readFlag(config: Config, name: string, defaultValue: boolean): boolean {
@@ -110,5 +125,18 @@ export class ConfigManager {
     } else {
         return 100;
     }
-  }
+  };
+
+  static readTextSpeed(config: Config, name: string): number {
+    if (name in config) {
+        return Math.round(Number((config as any)[name]) || 0).clamp(1, this.maxTextSpeed());
+    } else {
+        return 3;
+    }
+  };
+
+  static maxTextSpeed(): number {
+    // The fastest speed shows each page at once.
+    return 5;
+  };
 }
\ No newline at end of file
@@ -1,6 +1,9 @@
-import { Utils, Graphics } from '../dom';
+import { Utils, Graphics, Random } from '../dom';
+import { Bitmap } from '../pixi';
 import { BattleManager } from './';
 import { ImageManager } from './';
+import { PluginManager } from './';
+import { SceneManager } from './';
 import { StorageManager } from './';
 import {
   Game_Temp,
@@ -19,7 +22,7 @@ import {
 } from '../game'
 import { MZ } from '../MZ';
 
-type SaveContents = {
+export type SaveContents = {
   system: Game_System,
   screen: Game_Screen,
   timer: Game_Timer,
@@ -30,14 +33,22 @@ type SaveContents = {
   party: Game_Party,
   map: Game_Map,
   player: Game_Player,
+  random?: number[],
+  version?: number,
 }
 
+export type SaveMigration = (contents: SaveContents) => void;
+
 type XhrError = {
   name: string
   src: string
   url: string
 }
 
+type SavefileSnapshot = {
+  url: string
+}
+
 type LoadedObject = {
   // only MapXXX.json object has these props
   data?: Array<number>
@@ -247,8 +258,16 @@ export class DataManager {
     throw new Error("This is a static class");
   }
 
+  static SAVE_VERSION = 2;
+
   static _globalInfo: Array<MZ.SaveFileInfo> | null = null;
+  static _snapshots: {[savefileId: number]: Bitmap | null} = {};
+  static _loadingSnapshots = 0;
   static _errors: Array<XhrError> = [];
+  static _saveMigrations: Array<SaveMigration | undefined> = [];
+  static _recoveredFromBackup = false;
+  static _readMessages: {[key: string]: boolean} | null = null;
+  static _readMessagesChanged = false;
 
   static _databaseFiles = [
     { name: "$dataActors", src: "Actors.json" },
@@ -272,6 +291,7 @@ export class DataManager {
         .then((globalInfo: object) => {
             this._globalInfo = globalInfo as MZ.SaveFileInfo[];
             this.removeInvalidGlobalInfo();
+            this.moveSavefileSnapshots();
             return 0;
         })
         .catch(() => {
@@ -283,12 +303,30 @@ export class DataManager {
     const globalInfo = this._globalInfo;
     for (const info of globalInfo!) {
         const savefileId = globalInfo!.indexOf(info);
-        if (!this.savefileExists(savefileId)) {
+        if (!this.savefileExists(savefileId) && !this.backupExists(savefileId)) {
             delete globalInfo![savefileId];
         }
     }
   };
 
+  static moveSavefileSnapshots(): void {
+    // Older versions kept the snapshots in the global info, which made it
+    // grow with every save file. They are moved to their own save entries.
+    const globalInfo = this._globalInfo!;
+    let moved = false;
+    for (const [savefileId, info] of globalInfo.entries()) {
+        if (info && info.snapshot) {
+            const snapshot: SavefileSnapshot = { url: info.snapshot };
+            StorageManager.saveObject(this.makeSnapshotSavename(savefileId), snapshot);
+            delete info.snapshot;
+            moved = true;
+        }
+    }
+    if (moved) {
+        this.saveGlobalInfo();
+    }
+  };
+
   static saveGlobalInfo(): void {
     StorageManager.saveObject("global", this._globalInfo!);
   };
@@ -297,6 +335,41 @@ export class DataManager {
     return !!this._globalInfo;
   };
 
+  static loadReadMessages(): void {
+    StorageManager.loadObject("read")
+        .then((readMessages: object) => {
+            this._readMessages = readMessages as {[key: string]: boolean};
+            return 0;
+        })
+        .catch(() => {
+            this._readMessages = {};
+        });
+  };
+
+  static saveReadMessages(): void {
+    // The read messages are shared by every savefile and are written with
+    // each save.
+    if (this._readMessages && this._readMessagesChanged) {
+        this._readMessagesChanged = false;
+        StorageManager.saveObject("read", this._readMessages);
+    }
+  };
+
+  static isReadMessagesLoaded(): boolean {
+    return !!this._readMessages;
+  };
+
+  static isMessageRead(key: string): boolean {
+    return !!this._readMessages && !!this._readMessages[key];
+  };
+
+  static markMessageRead(key: string): void {
+    if (this._readMessages && !this._readMessages[key]) {
+        this._readMessages[key] = true;
+        this._readMessagesChanged = true;
+    }
+  };
+
   static loadDatabase(): void {
     const test = this.isBattleTest() || this.isEventTest();
     const prefix = test ? "Test_" : "";
@@ -309,9 +382,13 @@ export class DataManager {
   };
 
   static loadDataFile(name: string, src: string): void {
-    const xhr = new XMLHttpRequest();
     const url = "data/" + src;
     setModuleVars(name, null);
+    if (Utils.isHeadless()) {
+        this.readDataFile(name, src, url);
+        return;
+    }
+    const xhr = new XMLHttpRequest();
     xhr.open("GET", url);
     xhr.overrideMimeType("application/json");
     xhr.onload = () => this.onXhrLoad(xhr, name, src, url);
@@ -328,6 +405,18 @@ export class DataManager {
     }
   };
 
+  static readDataFile(name: string, src: string, url: string): void {
+    const fs = require("fs");
+    const path = require("path");
+    const filePath = path.join(window.RMMZ_HEADLESS, url);
+    if (fs.existsSync(filePath)) {
+        setModuleVars(name, JSON.parse(fs.readFileSync(filePath, { encoding: "utf8" })));
+        this.onLoad(getModuleVars(name));
+    } else {
+        this.onXhrError(name, src, url);
+    }
+  };
+
   static onXhrError(name: string, src: string, url: string): void {
     const error: XhrError = { name: name, src: src, url: url };
     this._errors.push(error);
@@ -512,8 +601,11 @@ export class DataManager {
   };
 
   static loadAllSavefileImages(): void {
-    for (const info of this._globalInfo!.filter(x => x)) {
-        this.loadSavefileImages(info);
+    for (const [savefileId, info] of this._globalInfo!.entries()) {
+        if (info) {
+            this.loadSavefileImages(info);
+            this.loadSavefileSnapshot(savefileId);
+        }
     }
   };
 
@@ -530,7 +622,40 @@ export class DataManager {
     }
   };
 
+  static loadSavefileSnapshot(savefileId: number): void {
+    const saveName = this.makeSnapshotSavename(savefileId);
+    if (this._snapshots[savefileId] === undefined && StorageManager.exists(saveName)) {
+        this._snapshots[savefileId] = null;
+        this._loadingSnapshots++;
+        StorageManager.loadObject(saveName)
+            .then(snapshot => {
+                const url = (snapshot as SavefileSnapshot).url;
+                this._snapshots[savefileId] = Bitmap.load(url);
+            })
+            .catch(() => {
+                // The save file is still listed, only without its snapshot.
+            })
+            .then(() => {
+                this._loadingSnapshots--;
+            });
+    }
+  };
+
+  static areSavefileSnapshotsLoaded(): boolean {
+    return this._loadingSnapshots === 0;
+  };
+
+  static savefileSnapshot(savefileId: number): Bitmap | null {
+    return this._snapshots[savefileId] || null;
+  };
+
   static maxSavefiles(): number {
+    // There is always one empty slot after the last used one.
+    const usedSlots = this._globalInfo ? this._globalInfo.length + 1 : 0;
+    return Math.max(this.minSavefiles(), usedSlots);
+  };
+
+  static minSavefiles(): number {
     return 20;
   };
 
@@ -544,30 +669,206 @@ export class DataManager {
     return StorageManager.exists(saveName);
   };
 
+  static backupExists(savefileId: number): boolean {
+    const saveName = this.makeBackupSavename(savefileId, 1);
+    return StorageManager.exists(saveName);
+  };
+
   static saveGame(savefileId: number): Promise<number> {
     const contents = this.makeSaveContents();
     const saveName = this.makeSavename(savefileId);
-    return StorageManager.saveObject(saveName, contents).then(() => {
-        this._globalInfo![savefileId] = this.makeSavefileInfo();
+    return this.rotateBackups(savefileId)
+        .then(() => StorageManager.saveObject(saveName, contents))
+        .then(() => {
+            const info = this.makeSavefileInfo();
+            info.note = this.savefileNote(savefileId);
+            this._globalInfo![savefileId] = info;
+            this.saveGlobalInfo();
+            this.saveReadMessages();
+            return this.saveSavefileSnapshot(savefileId);
+        })
+        .then(() => 0);
+  };
+
+  static saveSavefileSnapshot(savefileId: number): Promise<void> {
+    const url = this.makeSavefileSnapshot();
+    const saveName = this.makeSnapshotSavename(savefileId);
+    if (url) {
+        const snapshot: SavefileSnapshot = { url: url };
+        this._snapshots[savefileId] = Bitmap.load(url);
+        return StorageManager.saveObject(saveName, snapshot);
+    } else {
+        delete this._snapshots[savefileId];
+        return StorageManager.exists(saveName)
+            ? StorageManager.remove(saveName)
+            : Promise.resolve();
+    }
+  };
+
+  static deleteSavefile(savefileId: number): Promise<number> {
+    const saveNames = [this.makeSavename(savefileId), this.makeSnapshotSavename(savefileId)];
+    for (let i = 1; i <= this.backupCount(savefileId); i++) {
+        saveNames.push(this.makeBackupSavename(savefileId, i));
+    }
+    const existingNames = saveNames.filter(name => StorageManager.exists(name));
+    return Promise.all(existingNames.map(name => StorageManager.remove(name)))
+        .then(() => {
+            delete this._globalInfo![savefileId];
+            delete this._snapshots[savefileId];
+            this.trimGlobalInfo();
+            this.saveGlobalInfo();
+            return 0;
+        });
+  };
+
+  static copySavefile(sourceId: number, destinationId: number): Promise<number> {
+    const sourceName = this.makeSavename(sourceId);
+    const destinationName = this.makeSavename(destinationId);
+    return this.rotateBackups(destinationId)
+        .then(() => this.copySaveData(sourceName, destinationName))
+        .then(() => this.copySavefileSnapshot(sourceId, destinationId))
+        .then(() => {
+            const info = this.savefileInfo(sourceId);
+            this._globalInfo![destinationId] = Object.assign({}, info);
+            this.saveGlobalInfo();
+            return 0;
+        });
+  };
+
+  static copySavefileSnapshot(sourceId: number, destinationId: number): Promise<void> {
+    const sourceName = this.makeSnapshotSavename(sourceId);
+    const destinationName = this.makeSnapshotSavename(destinationId);
+    this._snapshots[destinationId] = this._snapshots[sourceId];
+    if (StorageManager.exists(sourceName)) {
+        return this.copySaveData(sourceName, destinationName);
+    } else {
+        delete this._snapshots[destinationId];
+        return StorageManager.exists(destinationName)
+            ? StorageManager.remove(destinationName)
+            : Promise.resolve();
+    }
+  };
+
+  static trimGlobalInfo(): void {
+    const globalInfo = this._globalInfo!;
+    while (globalInfo.length > 0 && !globalInfo[globalInfo.length - 1]) {
+        globalInfo.pop();
+    }
+  };
+
+  static savefileNote(savefileId: number): string {
+    const info = this.savefileInfo(savefileId);
+    return info ? info.note || "" : "";
+  };
+
+  static setSavefileNote(savefileId: number, note: string): void {
+    const info = this.savefileInfo(savefileId);
+    if (info) {
+        info.note = note;
         this.saveGlobalInfo();
-        return 0;
-    });
+    }
   };
 
   static loadGame(savefileId: number): Promise<number> {
-    const saveName = this.makeSavename(savefileId);
-    return StorageManager.loadObject(saveName).then((contents: object) => {
+    this._recoveredFromBackup = false;
+    return this.loadSaveContents(savefileId, 0).then(contents => {
+        this.migrateSaveContents(contents);
         this.createGameObjects();
-        this.extractSaveContents(contents as SaveContents);
+        this.extractSaveContents(contents);
         this.correctDataErrors();
         return 0;
     });
   };
 
+  static loadSaveContents(savefileId: number, generation: number): Promise<SaveContents> {
+    // When the save data is missing or corrupted, the backups are tried
+    // from the newest one.
+    const saveName = generation > 0
+        ? this.makeBackupSavename(savefileId, generation)
+        : this.makeSavename(savefileId);
+    return StorageManager.loadObject(saveName)
+        .then((contents: object) => {
+            if (!contents) {
+                throw new Error("Savefile is empty");
+            }
+            this._recoveredFromBackup = generation > 0;
+            return contents as SaveContents;
+        })
+        .catch(e => {
+            if (generation < this.backupCount(savefileId)) {
+                return this.loadSaveContents(savefileId, generation + 1);
+            }
+            throw e;
+        });
+  };
+
+  static isRecoveredFromBackup(): boolean {
+    return this._recoveredFromBackup;
+  };
+
+  static autosaveGenerations(): number {
+    return 3;
+  };
+
+  static backupCount(savefileId: number): number {
+    // The autosave keeps its older generations, and other save files keep
+    // the previous save.
+    return savefileId === 0 ? this.autosaveGenerations() - 1 : 1;
+  };
+
+  static rotateBackups(savefileId: number): Promise<void> {
+    // A corrupted save is not rotated, so that it does not push out the
+    // backups it would have to be recovered from.
+    let promise = this.verifySaveData(this.makeSavename(savefileId));
+    for (let i = this.backupCount(savefileId); i > 0; i--) {
+        const sourceName = i > 1
+            ? this.makeBackupSavename(savefileId, i - 1)
+            : this.makeSavename(savefileId);
+        const backupName = this.makeBackupSavename(savefileId, i);
+        promise = promise.then(() =>
+            // A corrupted backup is skipped and overwritten by the newer one.
+            this.copySaveData(sourceName, backupName).catch(() => undefined)
+        );
+    }
+    return promise.catch(() => {
+        // The new save replaces the corrupted one without a rotation.
+    });
+  };
+
+  static verifySaveData(saveName: string): Promise<void> {
+    if (!StorageManager.exists(saveName)) {
+        return Promise.resolve();
+    }
+    return StorageManager.loadZip(saveName)
+        .then(zip => StorageManager.verifyChecksum(zip))
+        .then(() => undefined);
+  };
+
+  static copySaveData(sourceName: string, destinationName: string): Promise<void> {
+    if (!StorageManager.exists(sourceName)) {
+        return Promise.resolve();
+    }
+    return StorageManager.loadZip(sourceName).then(zip =>
+        StorageManager.verifyChecksum(zip).then(() => {
+            if (zip) {
+                return StorageManager.saveZip(destinationName, zip);
+            }
+        })
+    );
+  };
+
   static makeSavename(savefileId: number): string {
     return "file%1".format(savefileId);
   };
 
+  static makeBackupSavename(savefileId: number, generation: number): string {
+    return "file%1-%2".format(savefileId, generation);
+  };
+
+  static makeSnapshotSavename(savefileId: number): string {
+    return "file%1-snapshot".format(savefileId);
+  };
+
   static selectSavefileForNewGame(): void {
     const emptySavefileId = this.emptySavefileId();
     const earliestSavefileId = this.earliestSavefileId();
@@ -585,9 +886,67 @@ export class DataManager {
     info.faces = $gameParty.facesForSavefile();
     info.playtime = $gameSystem.playtimeText();
     info.timestamp = Date.now();
+    info.version = this.SAVE_VERSION;
+    info.mapName = this.savefileMapName();
+    info.level = $gameParty.highestLevel();
     return info;
   };
 
+  static makeSavefileSnapshot(): string {
+    if (Utils.isHeadless() || !SceneManager._scene) {
+        return "";
+    }
+    const width = this.snapshotWidth();
+    const height = Math.round((width * Graphics.height) / Graphics.width);
+    const bitmap = SceneManager.snapForThumbnail(width, height);
+    const url = bitmap.canvas.toDataURL("image/jpeg", 0.8);
+    bitmap.destroy();
+    return url;
+  };
+
+  static snapshotWidth(): number {
+    return 128;
+  };
+
+  static savefileMapName(): string {
+    const mapInfo = $dataMapInfos[$gameMap.mapId()];
+    return $gameMap.displayName() || (mapInfo ? mapInfo.name : "");
+  };
+
+  static isSavefileNewer(savefileId: number): boolean {
+    const info = this.savefileInfo(savefileId);
+    return !!info && (info.version || 0) > this.SAVE_VERSION;
+  };
+
+  static registerSaveMigration(version: number, migration: SaveMigration): void {
+    // The migration upgrades the contents of the given version to the next.
+    this._saveMigrations[version] = migration;
+  };
+
+  static saveVersion(contents: SaveContents): number {
+    // A save data written before versioning has no version and counts as 0.
+    return contents.version || 0;
+  };
+
+  static migrateSaveContents(contents: SaveContents): void {
+    const version = this.saveVersion(contents);
+    if (version > this.SAVE_VERSION) {
+        throw new Error(
+            "Save data version %1 is newer than the game (%2)".format(
+                version,
+                this.SAVE_VERSION
+            )
+        );
+    }
+    for (let v = version; v < this.SAVE_VERSION; v++) {
+        const migration = this._saveMigrations[v];
+        if (migration) {
+            migration(contents);
+        }
+    }
+    contents.version = this.SAVE_VERSION;
+  };
+
   static makeSaveContents(): SaveContents {
     // A save data does not contain $gameTemp, $gameMessage, and $gameTroop.
     const contents: SaveContents = {} as SaveContents;
@@ -601,6 +960,9 @@ export class DataManager {
     contents.party = $gameParty;
     contents.map = $gameMap;
     contents.player = $gamePlayer;
+    contents.random = Random.saveState();
+    contents.version = this.SAVE_VERSION;
+    PluginManager.callHook("onSave", contents);
     return contents;
   };
 
@@ -615,9 +977,18 @@ export class DataManager {
     setModuleVars('$gameParty', contents.party);
     setModuleVars('$gameMap', contents.map);
     setModuleVars('$gamePlayer', contents.player);
+    if (contents.random) {
+        Random.restoreState(contents.random);
+    }
+    PluginManager.callHook("onLoad", contents);
   };
 
   static correctDataErrors(): void {
     $gameParty.removeInvalidMembers();
   }
-}
\ No newline at end of file
+}
+
+// Version 2 records the message log in Game_System.
+DataManager.registerSaveMigration(1, contents => {
+  contents.system._messageLog = contents.system._messageLog || [];
+});
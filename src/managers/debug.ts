@@ -0,0 +1,359 @@
+import { $dataCommonEvents, $gameMap, $gameParty, $gameTroop } from '.';
+import { Game_Interpreter } from '../game';
+import { MZ } from '../MZ';
+
+export type EventLocation = {
+  mapId: MZ.MapID
+  eventId: MZ.ID
+  pageIndex: number
+  commonEventId: number
+  troopId: number
+};
+
+export type Breakpoint = {
+  id: number
+  enabled: boolean
+  index: number
+  mapId?: MZ.MapID
+  eventId?: MZ.ID
+  pageIndex?: number
+  commonEventId?: number
+  troopId?: number
+};
+
+export type InterpreterState = {
+  depth: number
+  location: EventLocation
+  index: number
+  code: number
+  indent: number
+  waitMode: string
+  waitCount: number
+  branch: {[indent: number]: number | boolean | null}
+  paused: boolean
+};
+
+type StepMode = "" | "over" | "into";
+
+type Position = {
+  list: MZ.EventCommand[]
+  index: number
+};
+
+//-----------------------------------------------------------------------------
+// DebugManager
+//
+// The static class that pauses Game_Interpreter on breakpoints and steps
+// through event commands.
+
+export class DebugManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _breakpoints: Breakpoint[] = [];
+  static _lastBreakpointId = 0;
+  static _paused: Game_Interpreter | null = null;
+  static _stepMode: StepMode = "";
+  static _stepDepth = 0;
+  static _stepRoot: Game_Interpreter | null = null;
+  static _resumed = new WeakMap<Game_Interpreter, Position>();
+  static _locations = new WeakMap<MZ.EventCommand[], EventLocation>();
+
+  static addBreakpoint(breakpoint: Omit<Breakpoint, "id" | "enabled">): number {
+    const id = ++this._lastBreakpointId;
+    this._breakpoints.push(Object.assign({ id: id, enabled: true }, breakpoint));
+    return id;
+  };
+
+  static removeBreakpoint(id: number): void {
+    this._breakpoints = this._breakpoints.filter(bp => bp.id !== id);
+  };
+
+  static setBreakpointEnabled(id: number, enabled: boolean): void {
+    const breakpoint = this._breakpoints.find(bp => bp.id === id);
+    if (breakpoint) {
+        breakpoint.enabled = enabled;
+    }
+  };
+
+  static clearBreakpoints(): void {
+    this._breakpoints = [];
+  };
+
+  static breakpoints(): Breakpoint[] {
+    return this._breakpoints;
+  };
+
+  static toggleBreakpoint(interpreter: Game_Interpreter): void {
+    const location = this.location(interpreter);
+    const index = interpreter.index();
+    const breakpoint = this._breakpoints.find(bp =>
+        this.matchesBreakpoint(bp, location, index)
+    );
+    if (breakpoint) {
+        this.removeBreakpoint(breakpoint.id);
+    } else if (location.commonEventId > 0) {
+        this.addBreakpoint({ commonEventId: location.commonEventId, index });
+    } else if (location.troopId > 0) {
+        const pageIndex = location.pageIndex;
+        this.addBreakpoint({ troopId: location.troopId, pageIndex, index });
+    } else {
+        const { mapId, eventId, pageIndex } = location;
+        this.addBreakpoint({ mapId, eventId, pageIndex, index });
+    }
+  };
+
+  static hasBreakpointAt(interpreter: Game_Interpreter): boolean {
+    const location = this.location(interpreter);
+    const index = interpreter.index();
+    return this._breakpoints.some(bp => this.matchesBreakpoint(bp, location, index));
+  };
+
+  static isPaused(): boolean {
+    return !!this._paused;
+  };
+
+  static pausedInterpreter(): Game_Interpreter | null {
+    return this._paused;
+  };
+
+  static resume(): void {
+    this.resumeWith("");
+  };
+
+  static stepOver(): void {
+    this.resumeWith("over");
+  };
+
+  static stepInto(): void {
+    this.resumeWith("into");
+  };
+
+  static resumeWith(stepMode: StepMode): void {
+    const interpreter = this._paused;
+    if (interpreter) {
+        this._resumed.set(interpreter, this.position(interpreter));
+        this._stepMode = stepMode;
+        this._stepDepth = interpreter.depth();
+        this._stepRoot = this.rootInterpreterOf(interpreter);
+        this._paused = null;
+    }
+  };
+
+  static shouldPause(interpreter: Game_Interpreter): boolean {
+    // Called by Game_Interpreter before it executes each command.
+    if (this._paused) {
+        return this._paused === interpreter;
+    }
+    if (this.isResumedPosition(interpreter)) {
+        return false;
+    }
+    this._resumed.delete(interpreter);
+    if (!this.canPause()) {
+        return false;
+    }
+    if (this.isStepTarget(interpreter) || this.isBreakpointHit(interpreter)) {
+        this._paused = interpreter;
+        this._stepMode = "";
+        this._stepRoot = null;
+        return true;
+    }
+    return false;
+  };
+
+  static canPause(): boolean {
+    // [Note] Scene_Debug is called only from Scene_Map, and leaving
+    //   Scene_Battle ends the battle, so an interpreter paused in battle
+    //   could never be resumed.
+    return !$gameParty.inBattle();
+  };
+
+  static onInterpreterClear(interpreter: Game_Interpreter): void {
+    this._resumed.delete(interpreter);
+    if (this._paused === interpreter) {
+        this._paused = null;
+    }
+  };
+
+  static onMapSetup(): void {
+    // The interpreters of the old map's events are discarded.
+    this._paused = null;
+    this._stepMode = "";
+    this._stepRoot = null;
+  };
+
+  static isResumedPosition(interpreter: Game_Interpreter): boolean {
+    // [Note] A command that waits is executed again on the next frame, so
+    //   the interpreter is not paused again on the same command. Each
+    //   interpreter keeps its own position, as others run in between.
+    const resumed = this._resumed.get(interpreter);
+    return (
+        !!resumed &&
+        resumed.list === interpreter.list() &&
+        resumed.index === interpreter.index()
+    );
+  };
+
+  static isStepTarget(interpreter: Game_Interpreter): boolean {
+    // Steps stay in the stepped interpreter and the common events it calls.
+    if (!this._stepRoot || !this.interpreterStack(this._stepRoot).includes(interpreter)) {
+        return false;
+    }
+    switch (this._stepMode) {
+        case "into":
+            return true;
+        case "over":
+            return interpreter.depth() <= this._stepDepth;
+        default:
+            return false;
+    }
+  };
+
+  static isBreakpointHit(interpreter: Game_Interpreter): boolean {
+    if (this._breakpoints.length === 0) {
+        return false;
+    }
+    const location = this.location(interpreter);
+    const index = interpreter.index();
+    return this._breakpoints.some(
+        bp => bp.enabled && this.matchesBreakpoint(bp, location, index)
+    );
+  };
+
+  static matchesBreakpoint(bp: Breakpoint, location: EventLocation, index: number): boolean {
+    if (bp.index !== index) {
+        return false;
+    }
+    if (bp.commonEventId) {
+        return bp.commonEventId === location.commonEventId;
+    }
+    if (bp.troopId) {
+        return (
+            bp.troopId === location.troopId &&
+            (bp.pageIndex === undefined || bp.pageIndex === location.pageIndex)
+        );
+    }
+    return (
+        location.commonEventId === 0 &&
+        location.troopId === 0 &&
+        (bp.mapId === undefined || bp.mapId === location.mapId) &&
+        (bp.eventId === undefined || bp.eventId === location.eventId) &&
+        (bp.pageIndex === undefined || bp.pageIndex === location.pageIndex)
+    );
+  };
+
+  static position(interpreter: Game_Interpreter): Position {
+    return {
+        list: interpreter.list()!,
+        index: interpreter.index()
+    };
+  };
+
+  static location(interpreter: Game_Interpreter): EventLocation {
+    const list = interpreter.list();
+    if (!list) {
+        return this.makeLocation(interpreter, -1, 0, 0);
+    }
+    let location = this._locations.get(list);
+    if (!location) {
+        location = this.findLocation(interpreter, list);
+        this._locations.set(list, location);
+    }
+    return location;
+  };
+
+  static findLocation(interpreter: Game_Interpreter, list: MZ.EventCommand[]): EventLocation {
+    // The source of the commands is found from the identity of the list.
+    const commonEvent = $dataCommonEvents.find(ce => !!ce && ce.list === list);
+    if (commonEvent) {
+        return this.makeLocation(interpreter, -1, commonEvent.id, 0);
+    }
+    if ($gameTroop && $gameTroop.troop()) {
+        const pages = $gameTroop.troop().pages;
+        const pageIndex = pages.findIndex(page => page.list === list);
+        if (pageIndex >= 0) {
+            return this.makeLocation(interpreter, pageIndex, 0, $gameTroop._troopId);
+        }
+    }
+    const event = $gameMap.event(interpreter.eventId());
+    const pages = event ? event.event().pages : [];
+    const pageIndex = pages.findIndex(page => page.list === list);
+    return this.makeLocation(interpreter, pageIndex, 0, 0);
+  };
+
+  static makeLocation(
+    interpreter: Game_Interpreter,
+    pageIndex: number,
+    commonEventId: number,
+    troopId: number
+  ): EventLocation {
+    return {
+        mapId: interpreter._mapId,
+        eventId: interpreter.eventId(),
+        pageIndex: pageIndex,
+        commonEventId: commonEventId,
+        troopId: troopId
+    };
+  };
+
+  static rootInterpreters(): Game_Interpreter[] {
+    const interpreters: Game_Interpreter[] = [];
+    if ($gameMap) {
+        interpreters.push($gameMap._interpreter);
+        for (const event of $gameMap.events()) {
+            if (event._interpreter) {
+                interpreters.push(event._interpreter);
+            }
+        }
+        for (const commonEvent of $gameMap._commonEvents) {
+            if (commonEvent._interpreter) {
+                interpreters.push(commonEvent._interpreter);
+            }
+        }
+    }
+    if ($gameTroop) {
+        interpreters.push($gameTroop._interpreter);
+    }
+    return interpreters.filter(interpreter => interpreter.isRunning());
+  };
+
+  static rootInterpreterOf(interpreter: Game_Interpreter): Game_Interpreter {
+    const roots = this.rootInterpreters();
+    const root = roots.find(root => this.interpreterStack(root).includes(interpreter));
+    return root || interpreter;
+  };
+
+  static interpreterStack(root: Game_Interpreter): Game_Interpreter[] {
+    const stack = [];
+    for (let i: Game_Interpreter | null = root; i; i = i.childInterpreter()) {
+        stack.push(i);
+    }
+    return stack;
+  };
+
+  static interpreterStates(): InterpreterState[] {
+    const states: InterpreterState[] = [];
+    for (const root of this.rootInterpreters()) {
+        for (const interpreter of this.interpreterStack(root)) {
+            states.push(this.interpreterState(interpreter));
+        }
+    }
+    return states;
+  };
+
+  static interpreterState(interpreter: Game_Interpreter): InterpreterState {
+    const command = interpreter.isRunning() ? interpreter.currentCommand() : null;
+    return {
+        depth: interpreter.depth(),
+        location: this.location(interpreter),
+        index: interpreter.index(),
+        code: command ? command.code : 0,
+        indent: interpreter.indent(),
+        waitMode: interpreter.waitMode(),
+        waitCount: interpreter.waitCount(),
+        branch: Object.assign({}, interpreter.branchStack()),
+        paused: interpreter === this._paused
+    };
+  };
+}
@@ -0,0 +1,320 @@
+import { Random, Utils } from '../dom';
+import { $dataSkills } from '.';
+import { Game_Action, Game_Actor, Game_Battler, Game_Enemy } from '../game';
+import { MZ } from '../MZ';
+
+export type EnemyAIDecision = {
+  action: MZ.Action
+  // The index of the target in its unit, or -1 for the default targeting.
+  targetIndex: number
+  reason: string
+};
+
+// Returns null to leave the decision to the next profile.
+export type EnemyAIProfile = (
+  enemy: Game_Enemy,
+  actions: MZ.Action[],
+  param: number | null
+) => EnemyAIDecision | null;
+
+type ProfileEntry = {
+  name: string
+  param: number | null
+};
+
+export type EnemyAITrace = {
+  turn: number
+  enemy: string
+  profile: string
+  skill: string
+  reason: string
+};
+
+//-----------------------------------------------------------------------------
+// EnemyAIManager
+//
+// The static class that chooses enemy actions and targets with the AI
+// profiles given in the note of the enemy, such as <AI: heal(40), weakness>.
+// The profiles are tried in order, and the rating-weighted choice of
+// Game_Enemy is used when none of them decides.
+
+export class EnemyAIManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _profiles: {[name: string]: EnemyAIProfile} = {};
+  static _entries = new WeakMap<MZ.DataEnemy, ProfileEntry[]>();
+  static _traces: EnemyAITrace[] = [];
+  static _actionTraces = new WeakMap<Game_Action, EnemyAITrace>();
+  static _traceEnabled = Utils.isOptionValid("aitrace");
+
+  static registerProfile(name: string, profile: EnemyAIProfile): void {
+    this._profiles[name] = profile;
+  };
+
+  static profile(name: string): EnemyAIProfile | null {
+    return this._profiles[name] || null;
+  };
+
+  static profileEntries(enemy: Game_Enemy): ProfileEntry[] {
+    // The note of each enemy is parsed once.
+    const data = enemy.enemy();
+    if (!this._entries.has(data)) {
+        this._entries.set(data, this.parseProfiles(data));
+    }
+    return this._entries.get(data)!;
+  };
+
+  static parseProfiles(data: MZ.DataEnemy): ProfileEntry[] {
+    // Unknown profiles are skipped with a warning instead of stopping the
+    // battle.
+    const note = data.meta["AI"];
+    const entries: ProfileEntry[] = [];
+    if (typeof note === "string") {
+        for (const text of note.split(",")) {
+            const match = /^\s*(\w+)(?:\((\d+)\))?\s*$/.exec(text);
+            if (match && this.profile(match[1])) {
+                entries.push({ name: match[1], param: match[2] ? Number(match[2]) : null });
+            } else if (Utils.isOptionValid("test")) {
+                // Reported in playtests only, where the note can be fixed.
+                console.warn("Unknown enemy AI profile of %1: %2".format(data.name, text.trim()));
+            }
+        }
+    }
+    return entries;
+  };
+
+  static hasProfiles(enemy: Game_Enemy): boolean {
+    return this.profileEntries(enemy).length > 0;
+  };
+
+  static decide(enemy: Game_Enemy, action: Game_Action, actions: MZ.Action[]): boolean {
+    // Called by Game_Enemy for each of its actions in the turn.
+    for (const entry of this.profileEntries(enemy)) {
+        const decision = this.profile(entry.name)!(enemy, actions, entry.param);
+        if (decision) {
+            action.setEnemyAction(decision.action);
+            if (decision.targetIndex >= 0) {
+                action.setTarget(decision.targetIndex);
+            }
+            this.addTrace(enemy, action, entry.name, decision);
+            return true;
+        }
+    }
+    return false;
+  };
+
+  static isTraceEnabled(): boolean {
+    return this._traceEnabled;
+  };
+
+  static setTraceEnabled(enabled: boolean): void {
+    this._traceEnabled = enabled;
+  };
+
+  static addTrace(
+    enemy: Game_Enemy,
+    action: Game_Action,
+    profile: string,
+    decision: EnemyAIDecision
+  ): void {
+    if (this._traceEnabled) {
+        const trace = {
+            // The actions are made before the turn count goes up.
+            turn: enemy.friendsUnit().turnCount() + 1,
+            enemy: enemy.name(),
+            profile: profile,
+            skill: $dataSkills[decision.action.skillId].name,
+            reason: decision.reason
+        };
+        this._traces.push(trace);
+        this._actionTraces.set(action, trace);
+    }
+  };
+
+  static traces(): EnemyAITrace[] {
+    return this._traces;
+  };
+
+  static clearTraces(): void {
+    this._traces = [];
+  };
+
+  static actionTrace(action: Game_Action): EnemyAITrace | null {
+    return this._actionTraces.get(action) || null;
+  };
+
+  static traceText(trace: EnemyAITrace): string {
+    return "[AI] %1 %2: %3".format(trace.enemy, trace.profile, trace.reason);
+  };
+
+  static makeAction(enemy: Game_Enemy, action: MZ.Action): Game_Action {
+    const gameAction = new Game_Action(enemy);
+    gameAction.setEnemyAction(action);
+    return gameAction;
+  };
+
+  static ratedAction(enemy: Game_Enemy, actions: MZ.Action[]): MZ.Action | null {
+    // The action that Game_Enemy would choose without a profile.
+    const ratingZero = Math.max(...actions.map(a => a.rating)) - 3;
+    return enemy.selectAction(actions.filter(a => a.rating > ratingZero), ratingZero);
+  };
+
+  static candidates(enemy: Game_Enemy, gameAction: Game_Action): Game_Battler[] {
+    if (gameAction.isForUser()) {
+        return [enemy];
+    } else if (gameAction.isForFriend()) {
+        return enemy.friendsUnit().aliveMembers();
+    } else {
+        return enemy.opponentsUnit().aliveMembers();
+    }
+  };
+
+  static targetIndex(gameAction: Game_Action, target: Game_Battler): number {
+    return gameAction.isForOne() ? (target as Game_Actor | Game_Enemy).index() : -1;
+  };
+
+  static battlerName(battler: Game_Battler): string {
+    return (battler as Game_Actor | Game_Enemy).name();
+  };
+
+  static lacksEffect(gameAction: Game_Action, target: Game_Battler): boolean {
+    // Whether the target is missing a buff or a state that the action adds.
+    return gameAction.item().effects.some(effect => {
+        switch (effect.code) {
+            case Game_Action.EFFECT_ADD_BUFF:
+                return !target.isBuffAffected(effect.dataId);
+            case Game_Action.EFFECT_ADD_STATE:
+                return effect.dataId > 0 && !target.isStateAffected(effect.dataId);
+            default:
+                return false;
+        }
+    });
+  };
+
+  static elementRate(gameAction: Game_Action, targets: Game_Battler[]): number {
+    const rates = targets.map(target => gameAction.calcElementRate(target));
+    return rates.reduce((a, b) => a + b, 0) / Math.max(rates.length, 1);
+  };
+}
+
+// Heals the ally with the lowest HP rate when it is below the threshold
+// (50% by default).
+EnemyAIManager.registerProfile("heal", (enemy, actions, param) => {
+  const threshold = (param !== null ? param : 50) / 100;
+  for (const action of actions.slice().sort((a, b) => b.rating - a.rating)) {
+    const gameAction = EnemyAIManager.makeAction(enemy, action);
+    if (gameAction.isForFriend() && gameAction.isHpRecover()) {
+        const targets = EnemyAIManager.candidates(enemy, gameAction)
+            .filter(battler => battler.hpRate() < threshold)
+            .sort((a, b) => a.hpRate() - b.hpRate());
+        if (targets.length > 0) {
+            const target = targets[0];
+            return {
+                action: action,
+                targetIndex: EnemyAIManager.targetIndex(gameAction, target),
+                reason: "%1 at %2% HP".format(
+                    EnemyAIManager.battlerName(target),
+                    Math.floor(target.hpRate() * 100)
+                )
+            };
+        }
+    }
+  }
+  return null;
+});
+
+// Uses a buff or a state on an ally that does not have it yet.
+EnemyAIManager.registerProfile("buff", (enemy, actions) => {
+  for (const action of actions.slice().sort((a, b) => b.rating - a.rating)) {
+    const gameAction = EnemyAIManager.makeAction(enemy, action);
+    if (gameAction.isForFriend()) {
+        const target = EnemyAIManager.candidates(enemy, gameAction).find(battler =>
+            EnemyAIManager.lacksEffect(gameAction, battler)
+        );
+        if (target) {
+            return {
+                action: action,
+                targetIndex: EnemyAIManager.targetIndex(gameAction, target),
+                reason: "%1 has no buff".format(EnemyAIManager.battlerName(target))
+            };
+        }
+    }
+  }
+  return null;
+});
+
+// Uses the damaging action and target with the highest element rate, when
+// one of them hits a weakness.
+EnemyAIManager.registerProfile("weakness", (enemy, actions) => {
+  let best: EnemyAIDecision | null = null;
+  let bestRate = 1;
+  for (const action of actions) {
+    const gameAction = EnemyAIManager.makeAction(enemy, action);
+    if (gameAction.isForOpponent() && (gameAction.isDamage() || gameAction.isDrain())) {
+        const targets = EnemyAIManager.candidates(enemy, gameAction);
+        const groups = gameAction.isForOne() ? targets.map(t => [t]) : [targets];
+        for (const group of groups) {
+            const rate = EnemyAIManager.elementRate(gameAction, group);
+            if (rate > bestRate) {
+                bestRate = rate;
+                best = {
+                    action: action,
+                    targetIndex: EnemyAIManager.targetIndex(gameAction, group[0]),
+                    reason: "element rate %1% on %2".format(
+                        Math.round(rate * 100),
+                        group.map(t => EnemyAIManager.battlerName(t)).join(", ")
+                    )
+                };
+            }
+        }
+    }
+  }
+  return best;
+});
+
+// Targets the opponent with the lowest HP with the usual action.
+EnemyAIManager.registerProfile("lowestHp", (enemy, actions) => {
+  const action = EnemyAIManager.ratedAction(enemy, actions);
+  if (action) {
+    const gameAction = EnemyAIManager.makeAction(enemy, action);
+    if (gameAction.isForOpponent() && gameAction.isForOne()) {
+        const targets = EnemyAIManager.candidates(enemy, gameAction);
+        const target = targets.sort((a, b) => a.hp - b.hp)[0];
+        if (target) {
+            return {
+                action: action,
+                targetIndex: EnemyAIManager.targetIndex(gameAction, target),
+                reason: "%1 has %2 HP".format(EnemyAIManager.battlerName(target), target.hp)
+            };
+        }
+    }
+  }
+  return null;
+});
+
+// Targets the front of the party formation more often, weighted by TGR and
+// by the distance from the back.
+EnemyAIManager.registerProfile("front", (enemy, actions) => {
+  const action = EnemyAIManager.ratedAction(enemy, actions);
+  if (action) {
+    const gameAction = EnemyAIManager.makeAction(enemy, action);
+    if (gameAction.isForOpponent() && gameAction.isForOne()) {
+        const members = enemy.opponentsUnit().members();
+        const weights = members.map((battler, i) =>
+            battler.isAlive() ? battler.tgr * (members.length - i) : 0
+        );
+        let value = Random.random() * weights.reduce((a, b) => a + b, 0);
+        const index = weights.findIndex(weight => (value -= weight) < 0);
+        if (index >= 0) {
+            return {
+                action: action,
+                targetIndex: index,
+                reason: "position %1 of %2".format(index + 1, members.length)
+            };
+        }
+    }
+  }
+  return null;
+});
@@ -0,0 +1,256 @@
+import { TextManager, ImageManager } from '.';
+import { $gameVariables } from '.';
+import type { Window_Base, Window_Message } from '../windows';
+import { MZ } from '../MZ';
+
+export type EscapeArgumentType = "none" | "number" | "string";
+
+export type EscapeArgument = number | string;
+
+export type EscapeCodeDefinition = {
+  // The syntax of the argument that follows the code, such as \C[2] or
+  // \NAME[text]. A missing argument is passed as "".
+  argument?: EscapeArgumentType
+  // The windows that process the code. Window_Base.escapeCodeScopes returns
+  // the scopes a window accepts.
+  scope?: string
+  // The text-conversion phase, which replaces the code with text before it
+  // is drawn or measured.
+  convert?: (window: Window_Base, arg: EscapeArgument) => string
+  // Changes the font to measure the height of the line.
+  measure?: (window: Window_Base, arg: EscapeArgument) => void
+  // The width that the code draws, such as an icon. Word wrapping breaks
+  // the line around it like a CJK character.
+  width?: (window: Window_Base, arg: EscapeArgument) => number
+  // The height that the code needs above the line, such as for ruby text.
+  space?: (window: Window_Base, arg: EscapeArgument) => number
+  // The draw phase.
+  process?: (window: Window_Base, textState: MZ.TextState, arg: EscapeArgument) => void
+};
+
+export type EscapeCode = EscapeCodeDefinition & {
+  name: string
+  argument: EscapeArgumentType
+  scope: string
+};
+
+//-----------------------------------------------------------------------------
+// EscapeCodeManager
+//
+// The static class that holds the escape codes of the text in windows.
+
+export class EscapeCodeManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _codes: {[name: string]: EscapeCode} = {};
+  static _converters: EscapeCode[] = [];
+
+  static register(name: string, definition: EscapeCodeDefinition): void {
+    // The name is one of the symbols $.|^!><{} or a run of letters. A code
+    // that is registered again replaces the previous one.
+    const code: EscapeCode = Object.assign(
+        { argument: "none" as EscapeArgumentType, scope: "text" },
+        definition,
+        { name: name.toUpperCase() }
+    );
+    this._codes[code.name] = code;
+    this.refreshConverters();
+  };
+
+  static unregister(name: string): void {
+    delete this._codes[name.toUpperCase()];
+    this.refreshConverters();
+  };
+
+  static refreshConverters(): void {
+    this._converters = this.codes().filter(code => !!code.convert);
+  };
+
+  static code(name: string): EscapeCode | null {
+    return this._codes[name.toUpperCase()] || null;
+  };
+
+  static codes(): EscapeCode[] {
+    return Object.values(this._codes);
+  };
+
+  static isAvailable(code: EscapeCode, window: Window_Base): boolean {
+    return window.escapeCodeScopes().includes(code.scope);
+  };
+
+  static argumentPattern(type: EscapeArgumentType): string {
+    switch (type) {
+        case "number":
+            return "\\[(\\d+)\\]";
+        case "string":
+            return "\\[([^\\]]*)\\]";
+        default:
+            return "";
+    }
+  };
+
+  static parseArgument(type: EscapeArgumentType, source: string): EscapeArgument {
+    return type === "number" ? parseInt(source) : source;
+  };
+
+  static readArgument(code: EscapeCode, text: string, index: number): [EscapeArgument, number] {
+    // Returns the argument at the index and the length of its text.
+    const pattern = this.argumentPattern(code.argument);
+    const arr = pattern ? new RegExp("^" + pattern).exec(text.slice(index)) : null;
+    if (arr) {
+        return [this.parseArgument(code.argument, arr[1]), arr[0].length];
+    } else {
+        return ["", 0];
+    }
+  };
+
+  static scan(
+    window: Window_Base,
+    text: string,
+    callback: (code: EscapeCode, arg: EscapeArgument) => void
+  ): void {
+    // Calls back with each code in the text that the window uses.
+    const regExp = /\x1b([$.|^!><{}\\]|[A-Z]+)/gi;
+    for (;;) {
+        const array = regExp.exec(text);
+        if (!array) {
+            break;
+        }
+        const code = this.code(array[1]);
+        if (code && this.isAvailable(code, window)) {
+            callback(code, this.readArgument(code, text, regExp.lastIndex)[0]);
+        }
+    }
+  };
+
+  static convert(window: Window_Base, text: string): string {
+    // Nested codes such as \V[\V[1]] are converted by the second pass.
+    for (let pass = 0; pass < 2; pass++) {
+        for (const code of this._converters) {
+            if (this.isAvailable(code, window)) {
+                text = this.convertCode(window, code, text);
+            }
+        }
+    }
+    return text;
+  };
+
+  static convertCode(window: Window_Base, code: EscapeCode, text: string): string {
+    const name = code.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const regExp = new RegExp("\x1b" + name + this.argumentPattern(code.argument), "gi");
+    return text.replace(regExp, (_, p1) =>
+        code.convert!(window, p1 === undefined ? "" : this.parseArgument(code.argument, p1))
+    );
+  };
+}
+
+const messageWindow = (window: Window_Base) => window as Window_Message;
+
+EscapeCodeManager.register("V", {
+  argument: "number",
+  convert: (_, arg) => String($gameVariables.value(arg as number))
+});
+EscapeCodeManager.register("N", {
+  argument: "number",
+  convert: (window, arg) => window.actorName(arg as number)
+});
+EscapeCodeManager.register("P", {
+  argument: "number",
+  convert: (window, arg) => window.partyMemberName(arg as number)
+});
+EscapeCodeManager.register("G", {
+  convert: () => TextManager.currencyUnit
+});
+EscapeCodeManager.register("C", {
+  argument: "string",
+  process: (window, _, arg) => window.processColorChange(arg)
+});
+EscapeCodeManager.register("I", {
+  argument: "number",
+  width: () => ImageManager.iconWidth + 4,
+  process: (window, textState, arg) => window.processDrawIcon(arg as number, textState)
+});
+EscapeCodeManager.register("PX", {
+  argument: "number",
+  process: (_, textState, arg) => (textState.x = arg as number)
+});
+EscapeCodeManager.register("PY", {
+  argument: "number",
+  process: (_, textState, arg) => (textState.y = arg as number)
+});
+EscapeCodeManager.register("FS", {
+  argument: "number",
+  measure: (window, arg) => (window.contents.fontSize = arg as number),
+  process: (window, _, arg) => (window.contents.fontSize = arg as number)
+});
+// [Note] Bold and italic take an empty argument, as in \B[]bold\B[], since a
+//   code name runs on into the letters that follow it.
+EscapeCodeManager.register("B", {
+  argument: "string",
+  measure: window => (window.contents.fontBold = !window.contents.fontBold),
+  process: window => (window.contents.fontBold = !window.contents.fontBold)
+});
+EscapeCodeManager.register("IT", {
+  argument: "string",
+  measure: window => (window.contents.fontItalic = !window.contents.fontItalic),
+  process: window => (window.contents.fontItalic = !window.contents.fontItalic)
+});
+EscapeCodeManager.register("OC", {
+  argument: "string",
+  process: (window, _, arg) => window.processOutlineColorChange(arg)
+});
+EscapeCodeManager.register("OW", {
+  argument: "number",
+  process: (window, _, arg) => window.changeOutlineWidth(arg === "" ? 3 : (arg as number))
+});
+EscapeCodeManager.register("RB", {
+  argument: "string",
+  width: (window, arg) => window.rubyWidth(arg as string),
+  space: window => window.rubyFontSize(),
+  process: (window, textState, arg) => window.processRuby(arg as string, textState)
+});
+EscapeCodeManager.register("{", {
+  measure: window => window.makeFontBigger(),
+  process: window => window.makeFontBigger()
+});
+EscapeCodeManager.register("}", {
+  measure: window => window.makeFontSmaller(),
+  process: window => window.makeFontSmaller()
+});
+
+// The codes that control the message window.
+EscapeCodeManager.register("$", {
+  scope: "message",
+  process: window => messageWindow(window)._goldWindow!.open()
+});
+EscapeCodeManager.register(".", {
+  scope: "message",
+  process: window => messageWindow(window).startWait(15)
+});
+EscapeCodeManager.register("|", {
+  scope: "message",
+  process: window => messageWindow(window).startWait(60)
+});
+EscapeCodeManager.register("!", {
+  scope: "message",
+  process: window => messageWindow(window).startPause()
+});
+EscapeCodeManager.register(">", {
+  scope: "message",
+  process: window => (messageWindow(window)._lineShowFast = true)
+});
+EscapeCodeManager.register("<", {
+  scope: "message",
+  process: window => (messageWindow(window)._lineShowFast = false)
+});
+EscapeCodeManager.register("^", {
+  scope: "message",
+  process: window => (messageWindow(window)._pauseSkip = true)
+});
+EscapeCodeManager.register("SPD", {
+  argument: "number",
+  scope: "message",
+  process: (window, _, arg) => messageWindow(window).changeTextSpeed(arg as number)
+});
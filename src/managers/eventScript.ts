@@ -0,0 +1,1073 @@
+import { MZ } from '../MZ';
+
+type ScriptToken = {
+  type: "word" | "number" | "string" | "op"
+  value: any
+};
+
+type ScriptLine = {
+  number: number
+  type: "command" | "text" | "raw"
+  keyword: string
+  tokens: ScriptToken[]
+  text: string
+};
+
+export type EventScriptSections = {[name: string]: MZ.EventCommand[]};
+
+const BACKGROUNDS = ["window", "dim", "transparent"];
+const MESSAGE_POSITIONS = ["top", "middle", "bottom"];
+const CHOICE_POSITIONS = ["left", "middle", "right"];
+const COMPARISONS = ["==", ">=", "<=", ">", "<", "!="];
+const OPERATIONS = ["=", "+=", "-=", "*=", "/=", "%="];
+const FADE_TYPES = ["black", "white", "none"];
+const BUTTON_TYPES = ["pressed", "triggered", "repeated"];
+const DIRECTIONS: {[name: string]: number} = {
+  retain: 0,
+  down: 2,
+  left: 4,
+  right: 6,
+  up: 8
+};
+const BATTLE_CODES: {[name: string]: number} = { win: 601, escape: 602, lose: 603 };
+
+// [Note] The codes follow Game_Character.ROUTE_*. "n" is a number argument
+//   and "s" is a string argument.
+const ROUTE_COMMANDS: {[name: string]: [number, string]} = {
+  down: [1, ""],
+  left: [2, ""],
+  right: [3, ""],
+  up: [4, ""],
+  lower_left: [5, ""],
+  lower_right: [6, ""],
+  upper_left: [7, ""],
+  upper_right: [8, ""],
+  random: [9, ""],
+  toward: [10, ""],
+  away: [11, ""],
+  forward: [12, ""],
+  backward: [13, ""],
+  jump: [14, "nn"],
+  wait: [15, "n"],
+  turn_down: [16, ""],
+  turn_left: [17, ""],
+  turn_right: [18, ""],
+  turn_up: [19, ""],
+  turn_right_90: [20, ""],
+  turn_left_90: [21, ""],
+  turn_180: [22, ""],
+  turn_90_random: [23, ""],
+  turn_random: [24, ""],
+  turn_toward: [25, ""],
+  turn_away: [26, ""],
+  switch_on: [27, "n"],
+  switch_off: [28, "n"],
+  speed: [29, "n"],
+  frequency: [30, "n"],
+  walk_anime_on: [31, ""],
+  walk_anime_off: [32, ""],
+  step_anime_on: [33, ""],
+  step_anime_off: [34, ""],
+  direction_fix_on: [35, ""],
+  direction_fix_off: [36, ""],
+  through_on: [37, ""],
+  through_off: [38, ""],
+  transparent_on: [39, ""],
+  transparent_off: [40, ""],
+  image: [41, "sn"],
+  opacity: [42, "n"],
+  blend: [43, "n"],
+  se: [44, "snnn"],
+  script: [45, "s"],
+  move_to: [46, "nn"]
+};
+
+//-----------------------------------------------------------------------------
+// EventScriptManager
+//
+// The static class that compiles the text event script format into the
+// command lists Game_Interpreter runs, and decompiles them back into text.
+
+export class EventScriptManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static compile(source: string): MZ.EventCommand[] {
+    const parser = new EventScriptParser(this.splitLines(source));
+    return parser.compile();
+  };
+
+  static decompile(list: MZ.EventCommand[]): string {
+    const writer = new EventScriptWriter(list);
+    return writer.decompile();
+  };
+
+  static compileSections(source: string): EventScriptSections {
+    // A section starts with a header such as "[event 1 page 1]".
+    const sections: EventScriptSections = {};
+    let name = "";
+    let lines: [number, string][] = [];
+    const flush = () => {
+        if (name) {
+            sections[name] = new EventScriptParser(lines).compile();
+        } else if (lines.some(line => !this.isBlankLine(line[1]))) {
+            const number = lines.find(line => !this.isBlankLine(line[1]))![0];
+            throw new SyntaxError("Command outside of a section at line " + number);
+        }
+    };
+    for (const line of this.splitLines(source)) {
+        const match = line[1].trim().match(/^\[(.+)\]$/);
+        if (match) {
+            flush();
+            name = match[1].trim().replace(/\s+/g, " ");
+            lines = [];
+        } else {
+            lines.push(line);
+        }
+    }
+    flush();
+    return sections;
+  };
+
+  static decompileMap(map: MZ.DataMap): string {
+    const texts = [];
+    for (const event of map.events) {
+        if (event) {
+            for (let i = 0; i < event.pages.length; i++) {
+                const header = "[event %1 page %2]".format(event.id, i + 1);
+                texts.push(this.makeSection(header, event.name, event.pages[i].list));
+            }
+        }
+    }
+    return texts.join("\n");
+  };
+
+  static decompileCommonEvents(commonEvents: (MZ.DataCommonEvent | null)[]): string {
+    const texts = [];
+    for (const commonEvent of commonEvents) {
+        if (commonEvent) {
+            const header = "[common %1]".format(commonEvent.id);
+            texts.push(this.makeSection(header, commonEvent.name, commonEvent.list));
+        }
+    }
+    return texts.join("\n");
+  };
+
+  static makeSection(header: string, name: string, list: MZ.EventCommand[]): string {
+    const comment = name ? "# " + name + "\n" : "";
+    return header + "\n" + comment + this.decompile(list);
+  };
+
+  static splitLines(source: string): [number, string][] {
+    return source.split(/\r?\n/).map((text, index) => [index + 1, text]);
+  };
+
+  static isBlankLine(text: string): boolean {
+    const trimmed = text.trim();
+    return !trimmed || trimmed.startsWith("#");
+  };
+}
+
+//-----------------------------------------------------------------------------
+// EventScriptParser
+//
+// The parser that compiles the lines of an event script into event commands.
+// Blocks are closed with "end", and the indentation of the source is ignored.
+
+class EventScriptParser {
+  _lines: ScriptLine[]
+  _index: number
+  _list: MZ.EventCommand[]
+
+  constructor(lines: [number, string][]) {
+    this._lines = [];
+    this._index = 0;
+    this._list = [];
+    for (const [number, text] of lines) {
+        if (!EventScriptManager.isBlankLine(text)) {
+            this._lines.push(this.parseLine(number, text));
+        }
+    }
+  }
+
+  compile(): MZ.EventCommand[] {
+    while (this._index < this._lines.length) {
+        const line = this._lines[this._index++];
+        if (line.type === "command" && this.isMarker(line.keyword)) {
+            this.error("Unexpected '%1'".format(line.keyword), line);
+        }
+        this.compileLine(line, 0);
+    }
+    this.push(0, 0, []);
+    return this._list;
+  };
+
+  parseLine(number: number, text: string): ScriptLine {
+    const trimmed = text.trimStart();
+    const line: ScriptLine = { number, type: "command", keyword: "", tokens: [], text: "" };
+    if (trimmed.startsWith(">")) {
+        line.type = "text";
+        line.text = trimmed.slice(trimmed.startsWith("> ") ? 2 : 1);
+    } else if (trimmed.startsWith("@")) {
+        line.type = "raw";
+        line.text = trimmed.slice(1).trim();
+    } else {
+        line.text = trimmed.trim();
+        // [Note] "if @[...]" is a condition written as raw parameters.
+        const raw = line.text.match(/^if\s+@/);
+        line.tokens = this.tokenize(raw ? "if" : line.text, number);
+        if (line.tokens[0].type !== "word") {
+            this.error("Command name expected", line);
+        }
+        line.keyword = line.tokens[0].value;
+    }
+    return line;
+  };
+
+  tokenize(text: string, number: number): ScriptToken[] {
+    const tokens: ScriptToken[] = [];
+    const pattern = /\s*(?:("(?:[^"\\]|\\.)*")|(\+=|-=|\*=|\/=|%=|==|!=|>=|<=|\.\.|[=<>])|(-?\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(\S))/y;
+    let match;
+    while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+        if (match[1]) {
+            tokens.push({ type: "string", value: JSON.parse(match[1]) });
+        } else if (match[2]) {
+            tokens.push({ type: "op", value: match[2] });
+        } else if (match[3]) {
+            tokens.push({ type: "number", value: Number(match[3]) });
+        } else if (match[4]) {
+            tokens.push({ type: "word", value: match[4] });
+        } else if (match[5]) {
+            const message = match[5] === '"' ? "Unterminated string" : "Unexpected character '%1'".format(match[5]);
+            throw new SyntaxError(message + " at line " + number);
+        }
+    }
+    return tokens;
+  };
+
+  isMarker(keyword: string): boolean {
+    return ["end", "else", "when", "cancel", "win", "escape", "lose"].includes(keyword);
+  };
+
+  checkMarker(line: ScriptLine): void {
+    const reader = new TokenReader(this, line);
+    reader.word();
+    reader.end();
+  };
+
+  push(code: number, indent: number, parameters: any[]): void {
+    this._list.push({ code, indent, parameters });
+  };
+
+  error(message: string, line: ScriptLine): never {
+    throw new SyntaxError(message + " at line " + line.number);
+  };
+
+  compileLine(line: ScriptLine, indent: number): void {
+    if (line.type === "text") {
+        this.error("Text without a message, comment or script", line);
+    } else if (line.type === "raw") {
+        this.compileRaw(line, indent);
+    } else {
+        this.compileCommand(new TokenReader(this, line), indent);
+    }
+  };
+
+  compileRaw(line: ScriptLine, indent: number): void {
+    const match = line.text.match(/^(\d+)\s*(.*)$/);
+    if (!match) {
+        this.error("Command code expected", line);
+    }
+    this.push(Number(match![1]), indent, this.parseJson(match![2] || "[]", line));
+  };
+
+  parseJson(text: string, line: ScriptLine): any[] {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (e) {
+        this.error("Invalid parameters", line);
+    }
+    if (!Array.isArray(value)) {
+        this.error("Parameters must be an array", line);
+    }
+    return value;
+  };
+
+  compileCommand(reader: TokenReader, indent: number): void {
+    const keyword = reader.word();
+    switch (keyword) {
+        case "message":
+            return this.compileMessage(reader, indent);
+        case "choice":
+            return this.compileChoice(reader, indent);
+        case "scroll":
+            return this.compileScroll(reader, indent);
+        case "comment":
+            reader.end();
+            return this.compileTextBlock(indent, 108, 408, reader.line);
+        case "script":
+            reader.end();
+            return this.compileTextBlock(indent, 355, 655, reader.line);
+        case "if":
+            return this.compileIf(reader, indent);
+        case "loop":
+            reader.end();
+            this.push(112, indent, []);
+            this.compileBranch(indent, reader.line, ["end"]);
+            return this.push(413, indent, []);
+        case "break":
+            reader.end();
+            return this.push(113, indent, []);
+        case "exit":
+            reader.end();
+            return this.push(115, indent, []);
+        case "common":
+            return this.push(117, indent, [reader.end(reader.number())]);
+        case "label":
+            return this.push(118, indent, [reader.end(reader.string())]);
+        case "jump":
+            return this.push(119, indent, [reader.end(reader.string())]);
+        case "switch":
+            return this.compileSwitch(reader, indent);
+        case "variable":
+            return this.compileVariable(reader, indent);
+        case "self":
+            return this.compileSelfSwitch(reader, indent);
+        case "transfer":
+            return this.compileTransfer(reader, indent);
+        case "move":
+            return this.compileMove(reader, indent);
+        case "wait":
+            return this.push(230, indent, [reader.end(reader.number())]);
+        case "battle":
+            return this.compileBattle(reader, indent);
+        default:
+            return this.error("Unknown command '%1'".format(keyword), reader.line);
+    }
+  };
+
+  compileBlock(indent: number, opener: ScriptLine, terminators: string[]): ScriptLine {
+    while (this._index < this._lines.length) {
+        const line = this._lines[this._index++];
+        if (line.type === "command" && this.isMarker(line.keyword)) {
+            if (!terminators.includes(line.keyword)) {
+                this.error("Unexpected '%1'".format(line.keyword), line);
+            }
+            return line;
+        }
+        this.compileLine(line, indent);
+    }
+    return this.error("'%1' is not closed with 'end'".format(opener.keyword), opener);
+  };
+
+  compileBranch(indent: number, opener: ScriptLine, terminators: string[]): ScriptLine {
+    const marker = this.compileBlock(indent + 1, opener, terminators);
+    this.push(0, indent + 1, []);
+    return marker;
+  };
+
+  readMarker(opener: ScriptLine, markers: string[]): ScriptLine {
+    const line = this._lines[this._index++];
+    if (!line) {
+        this.error("'%1' is not closed with 'end'".format(opener.keyword), opener);
+    }
+    if (line.type !== "command" || !markers.includes(line.keyword)) {
+        this.error("Expected %1".format(markers.map(m => "'" + m + "'").join(" or ")), line);
+    }
+    return line;
+  };
+
+  readTextLines(): string[] {
+    const texts = [];
+    while (this._index < this._lines.length && this._lines[this._index].type === "text") {
+        texts.push(this._lines[this._index++].text);
+    }
+    return texts;
+  };
+
+  compileMessage(reader: TokenReader, indent: number): void {
+    const params = ["", 0, 0, 2, ""];
+    while (!reader.isEnd()) {
+        const option = reader.word();
+        if (option === "face") {
+            params[0] = reader.string();
+            params[1] = reader.number();
+        } else if (option === "name") {
+            params[4] = reader.string();
+        } else if (option === "background") {
+            params[2] = reader.choose(BACKGROUNDS);
+        } else if (option === "position") {
+            params[3] = reader.choose(MESSAGE_POSITIONS);
+        } else {
+            reader.unexpected(option);
+        }
+    }
+    this.push(101, indent, params);
+    for (const text of this.readTextLines()) {
+        this.push(401, indent, [text]);
+    }
+  };
+
+  compileScroll(reader: TokenReader, indent: number): void {
+    const params = [2, false];
+    while (!reader.isEnd()) {
+        const option = reader.word();
+        if (option === "speed") {
+            params[0] = reader.number();
+        } else if (option === "nofast") {
+            params[1] = true;
+        } else {
+            reader.unexpected(option);
+        }
+    }
+    this.push(105, indent, params);
+    for (const text of this.readTextLines()) {
+        this.push(405, indent, [text]);
+    }
+  };
+
+  compileTextBlock(indent: number, code: number, nextCode: number, line: ScriptLine): void {
+    const texts = this.readTextLines();
+    if (texts.length === 0) {
+        this.error("Text lines starting with '>' expected", line);
+    }
+    this.push(code, indent, [texts[0]]);
+    for (const text of texts.slice(1)) {
+        this.push(nextCode, indent, [text]);
+    }
+  };
+
+  compileChoice(reader: TokenReader, indent: number): void {
+    const choices: string[] = [];
+    const params: any[] = [choices, -1, 0, 2, 0];
+    while (!reader.isEnd()) {
+        const option = reader.word();
+        if (option === "cancel") {
+            params[1] = reader.acceptWord("disallow") ? -1 : reader.number() - 1;
+        } else if (option === "default") {
+            params[2] = reader.acceptWord("none") ? -1 : reader.number() - 1;
+        } else if (option === "position") {
+            params[3] = reader.choose(CHOICE_POSITIONS);
+        } else if (option === "background") {
+            params[4] = reader.choose(BACKGROUNDS);
+        } else {
+            reader.unexpected(option);
+        }
+    }
+    this.push(102, indent, params);
+    const opener = reader.line;
+    let marker = this.readMarker(opener, ["when", "cancel"]);
+    while (marker.keyword !== "end") {
+        if (marker.keyword === "when") {
+            const markerReader = new TokenReader(this, marker);
+            markerReader.word();
+            const text = markerReader.end(markerReader.string());
+            this.push(402, indent, [choices.length, text]);
+            choices.push(text);
+        } else {
+            this.checkMarker(marker);
+            this.push(403, indent, [6, null]);
+            params[1] = -2;
+        }
+        marker = this.compileBranch(indent, opener, ["when", "cancel", "end"]);
+    }
+    this.push(404, indent, []);
+  };
+
+  compileIf(reader: TokenReader, indent: number): void {
+    this.push(111, indent, this.parseCondition(reader));
+    const opener = reader.line;
+    let marker = this.compileBranch(indent, opener, ["else", "end"]);
+    if (marker.keyword === "else") {
+        this.checkMarker(marker);
+        this.push(411, indent, []);
+        marker = this.compileBranch(indent, opener, ["end"]);
+    }
+    this.push(412, indent, []);
+  };
+
+  parseCondition(reader: TokenReader): any[] {
+    if (reader.line.text.match(/^if\s+@/)) {
+        return this.parseJson(reader.line.text.replace(/^if\s+@/, ""), reader.line);
+    }
+    const type = reader.word();
+    switch (type) {
+        case "switch":
+            return [0, reader.number(), reader.end(reader.onOff())];
+        case "variable": {
+            const variableId = reader.number();
+            const comparison = reader.choose(COMPARISONS, "op");
+            if (reader.acceptWord("variable")) {
+                return [1, variableId, 1, reader.end(reader.number()), comparison];
+            }
+            return [1, variableId, 0, reader.end(reader.number()), comparison];
+        }
+        case "self":
+            return [2, reader.word(), reader.end(reader.onOff())];
+        case "timer": {
+            const comparison = reader.choose([">=", "<="], "op");
+            return [3, reader.end(reader.number()), comparison];
+        }
+        case "gold": {
+            const comparison = reader.choose([">=", "<=", "<"], "op");
+            return [7, reader.end(reader.number()), comparison];
+        }
+        case "item":
+            return [8, reader.end(reader.number())];
+        case "weapon":
+        case "armor": {
+            const code = type === "weapon" ? 9 : 10;
+            const itemId = reader.number();
+            return [code, itemId, reader.end(reader.acceptWord("equipped"))];
+        }
+        case "button": {
+            const button = reader.string();
+            const buttonType = reader.isEnd() ? 0 : reader.choose(BUTTON_TYPES);
+            return [11, button, reader.end(buttonType)];
+        }
+        case "script":
+            return [12, reader.end(reader.string())];
+        default:
+            return reader.unexpected(type);
+    }
+  };
+
+  compileSwitch(reader: TokenReader, indent: number): void {
+    const [startId, endId] = reader.range();
+    reader.op("=");
+    this.push(121, indent, [startId, endId, reader.end(reader.onOff())]);
+  };
+
+  compileVariable(reader: TokenReader, indent: number): void {
+    const [startId, endId] = reader.range();
+    const params: any[] = [startId, endId, reader.choose(OPERATIONS, "op")];
+    if (reader.isAt("number")) {
+        params.push(0, reader.number());
+    } else {
+        const operand = reader.word();
+        if (operand === "variable") {
+            params.push(1, reader.number());
+        } else if (operand === "random") {
+            params.push(2, reader.number(), reader.number());
+        } else if (operand === "gamedata") {
+            params.push(3, reader.number(), reader.number(), reader.number());
+        } else if (operand === "script") {
+            params.push(4, reader.string());
+        } else {
+            reader.unexpected(operand);
+        }
+    }
+    reader.end();
+    this.push(122, indent, params);
+  };
+
+  compileSelfSwitch(reader: TokenReader, indent: number): void {
+    const letter = reader.word();
+    if (!["A", "B", "C", "D"].includes(letter)) {
+        reader.unexpected(letter);
+    }
+    reader.op("=");
+    this.push(123, indent, [letter, reader.end(reader.onOff())]);
+  };
+
+  compileTransfer(reader: TokenReader, indent: number): void {
+    const designation = reader.acceptWord("variable") ? 1 : 0;
+    const params = [designation, reader.number(), reader.number(), reader.number(), 0, 0];
+    while (!reader.isEnd()) {
+        const option = reader.word();
+        if (option === "direction") {
+            const name = reader.word();
+            if (!(name in DIRECTIONS)) {
+                reader.unexpected(name);
+            }
+            params[4] = DIRECTIONS[name];
+        } else if (option === "fade") {
+            params[5] = reader.choose(FADE_TYPES);
+        } else {
+            reader.unexpected(option);
+        }
+    }
+    this.push(201, indent, params);
+  };
+
+  compileMove(reader: TokenReader, indent: number): void {
+    const target = reader.word();
+    let characterId = 0;
+    if (target === "player") {
+        characterId = -1;
+    } else if (target === "event") {
+        characterId = reader.number();
+    } else if (target !== "this") {
+        reader.unexpected(target);
+    }
+    const moveRoute = { list: [] as MZ.EventMoveCommand[], repeat: false, skippable: false, wait: false };
+    while (!reader.isEnd()) {
+        const option = reader.word();
+        if (option === "repeat") {
+            moveRoute.repeat = true;
+        } else if (option === "skip") {
+            moveRoute.skippable = true;
+        } else if (option === "wait") {
+            moveRoute.wait = true;
+        } else {
+            reader.unexpected(option);
+        }
+    }
+    for (;;) {
+        const line = this._lines[this._index++];
+        if (!line) {
+            this.error("'move' is not closed with 'end'", reader.line);
+        }
+        if (line.type !== "command") {
+            this.error("Move route command expected", line);
+        }
+        const routeReader = new TokenReader(this, line);
+        if (routeReader.word() === "end") {
+            routeReader.end();
+            break;
+        }
+        moveRoute.list.push(this.parseRouteCommand(routeReader));
+    }
+    this.push(205, indent, [characterId, moveRoute]);
+    for (const command of moveRoute.list) {
+        this.push(505, indent, [command]);
+    }
+    moveRoute.list.push({ code: 0, indent: null, parameters: [] });
+  };
+
+  parseRouteCommand(reader: TokenReader): MZ.EventMoveCommand {
+    const name = reader.line.keyword;
+    const route = ROUTE_COMMANDS[name];
+    if (!route) {
+        this.error("Unknown move route command '%1'".format(name), reader.line);
+    }
+    const [code, args] = route;
+    const params = [...args].map(arg => (arg === "n" ? reader.number() : reader.string()));
+    reader.end();
+    if (code === 44) {
+        const [seName, volume, pitch, pan] = params;
+        return { code, indent: null, parameters: [{ name: seName, volume, pitch, pan }] };
+    }
+    return { code, indent: null, parameters: params };
+  };
+
+  compileBattle(reader: TokenReader, indent: number): void {
+    let designation = 0;
+    let troopId = 0;
+    if (reader.acceptWord("random")) {
+        designation = 2;
+    } else {
+        designation = reader.acceptWord("variable") ? 1 : 0;
+        troopId = reader.number();
+    }
+    let canEscape = false;
+    let canLose = false;
+    while (!reader.isEnd()) {
+        const option = reader.word();
+        if (option === "escape") {
+            canEscape = true;
+        } else if (option === "lose") {
+            canLose = true;
+        } else {
+            reader.unexpected(option);
+        }
+    }
+    this.push(301, indent, [designation, troopId, canEscape, canLose]);
+    if (canEscape || canLose) {
+        // The branches must be written in the order win, escape and lose.
+        const sections = ["win"];
+        if (canEscape) sections.push("escape");
+        if (canLose) sections.push("lose");
+        let marker = this.readMarker(reader.line, sections.concat("end"));
+        sections.forEach((name, i) => {
+            this.push(BATTLE_CODES[name], indent, []);
+            if (marker.keyword === name) {
+                this.checkMarker(marker);
+                const rest = sections.slice(i + 1).concat("end");
+                marker = this.compileBranch(indent, reader.line, rest);
+            } else {
+                this.push(0, indent + 1, []);
+            }
+        });
+        this.push(604, indent, []);
+    }
+  };
+}
+
+//-----------------------------------------------------------------------------
+// TokenReader
+//
+// The cursor over the tokens of a command line.
+
+class TokenReader {
+  _parser: EventScriptParser
+  line: ScriptLine
+  _index: number
+
+  constructor(parser: EventScriptParser, line: ScriptLine) {
+    this._parser = parser;
+    this.line = line;
+    this._index = 0;
+  }
+
+  isEnd(): boolean {
+    return this._index >= this.line.tokens.length;
+  };
+
+  isAt(type: ScriptToken["type"]): boolean {
+    return !this.isEnd() && this.line.tokens[this._index].type === type;
+  };
+
+  read(type: ScriptToken["type"], description: string): any {
+    if (!this.isAt(type)) {
+        const token = this.line.tokens[this._index];
+        const found = token ? "'" + token.value + "'" : "end of line";
+        this._parser.error("Expected %1 but found %2".format(description, found), this.line);
+    }
+    return this.line.tokens[this._index++].value;
+  };
+
+  word(): string {
+    return this.read("word", "a name");
+  };
+
+  number(): number {
+    return this.read("number", "a number");
+  };
+
+  string(): string {
+    return this.read("string", "a string");
+  };
+
+  op(value: string): void {
+    if (this.read("op", "'" + value + "'") !== value) {
+        this._index--;
+        this.unexpected(this.line.tokens[this._index].value);
+    }
+  };
+
+  acceptWord(value: string): boolean {
+    if (this.isAt("word") && this.line.tokens[this._index].value === value) {
+        this._index++;
+        return true;
+    }
+    return false;
+  };
+
+  choose(values: string[], type: ScriptToken["type"] = "word"): number {
+    const value = this.read(type, values.map(v => "'" + v + "'").join(", "));
+    const index = values.indexOf(value);
+    if (index < 0) {
+        this.unexpected(value);
+    }
+    return index;
+  };
+
+  onOff(): number {
+    return this.choose(["on", "off"]);
+  };
+
+  range(): [number, number] {
+    const startId = this.number();
+    if (this.isAt("op") && this.line.tokens[this._index].value === "..") {
+        this._index++;
+        return [startId, this.number()];
+    }
+    return [startId, startId];
+  };
+
+  end<T>(value?: T): T {
+    if (!this.isEnd()) {
+        this.unexpected(this.line.tokens[this._index].value);
+    }
+    return value as T;
+  };
+
+  unexpected(value: any): never {
+    return this._parser.error("Unexpected '%1'".format(value), this.line);
+  };
+}
+
+//-----------------------------------------------------------------------------
+// EventScriptWriter
+//
+// The decompiler that writes event commands as an event script. Commands it
+// does not know are written in the raw "@code [parameters]" form.
+
+class EventScriptWriter {
+  _list: MZ.EventCommand[]
+  _index: number
+  _lines: string[]
+
+  constructor(list: MZ.EventCommand[]) {
+    this._list = list;
+    this._index = 0;
+    this._lines = [];
+  }
+
+  decompile(): string {
+    while (this._index < this._list.length) {
+        const command = this._list[this._index++];
+        this.writeCommand(command);
+    }
+    return this._lines.map(line => line + "\n").join("");
+  };
+
+  write(indent: number, text: string): void {
+    this._lines.push("  ".repeat(Math.max(indent, 0)) + text);
+  };
+
+  writeTextLines(indent: number, code: number): void {
+    while (this._index < this._list.length && this._list[this._index].code === code) {
+        this.write(indent + 1, "> " + this._list[this._index++].parameters[0]);
+    }
+  };
+
+  quote(value: string): string {
+    return JSON.stringify(String(value));
+  };
+
+  writeCommand(command: MZ.EventCommand): void {
+    const indent = command.indent;
+    const params = command.parameters;
+    const text = this.commandText(command);
+    if (text === null) {
+        if (command.code !== 0) {
+            this.write(indent, "@" + command.code + " " + JSON.stringify(params));
+        }
+        return;
+    }
+    this.write(indent, text);
+    switch (command.code) {
+        case 101:
+            return this.writeTextLines(indent, 401);
+        case 105:
+            return this.writeTextLines(indent, 405);
+        case 108:
+            this.write(indent + 1, "> " + params[0]);
+            return this.writeTextLines(indent, 408);
+        case 355:
+            this.write(indent + 1, "> " + params[0]);
+            return this.writeTextLines(indent, 655);
+        case 205:
+            return this.writeMoveRoute(indent, params[1]);
+    }
+  };
+
+  commandText(command: MZ.EventCommand): string | null {
+    const params = command.parameters;
+    switch (command.code) {
+        case 101:
+            return this.messageText(params);
+        case 102:
+            return this.choiceText(params);
+        case 402:
+            return "when " + this.quote(params[1]);
+        case 403:
+            return "cancel";
+        case 105:
+            return "scroll" + (params[0] !== 2 ? " speed " + params[0] : "") + (params[1] ? " nofast" : "");
+        case 108:
+            return "comment";
+        case 355:
+            return "script";
+        case 111:
+            return "if " + this.conditionText(params);
+        case 411:
+            return "else";
+        case 112:
+            return "loop";
+        case 113:
+            return "break";
+        case 115:
+            return "exit";
+        case 117:
+            return "common " + params[0];
+        case 118:
+            return "label " + this.quote(params[0]);
+        case 119:
+            return "jump " + this.quote(params[0]);
+        case 121:
+            return "switch " + this.rangeText(params) + " = " + (params[2] === 0 ? "on" : "off");
+        case 122:
+            return this.variableText(params);
+        case 123:
+            return "self " + params[0] + " = " + (params[1] === 0 ? "on" : "off");
+        case 201:
+            return this.transferText(params);
+        case 205:
+            return this.moveText(params);
+        case 230:
+            return "wait " + params[0];
+        case 301:
+            return this.battleText(params);
+        case 601:
+            return "win";
+        case 602:
+            return "escape";
+        case 603:
+            return "lose";
+        case 404:
+        case 412:
+        case 413:
+        case 604:
+            return "end";
+        default:
+            return null;
+    }
+  };
+
+  messageText(params: any[]): string {
+    let text = "message";
+    if (params[0]) {
+        text += " face " + this.quote(params[0]) + " " + params[1];
+    }
+    if (params[4]) {
+        text += " name " + this.quote(params[4]);
+    }
+    if (params[2]) {
+        text += " background " + BACKGROUNDS[params[2]];
+    }
+    if (params[3] !== 2) {
+        text += " position " + MESSAGE_POSITIONS[params[3]];
+    }
+    return text;
+  };
+
+  choiceText(params: any[]): string {
+    let text = "choice";
+    if (params[1] >= 0) {
+        text += " cancel " + (params[1] + 1);
+    }
+    if (params[2] !== 0) {
+        text += " default " + (params[2] >= 0 ? params[2] + 1 : "none");
+    }
+    if (params[3] !== 2) {
+        text += " position " + CHOICE_POSITIONS[params[3]];
+    }
+    if (params[4]) {
+        text += " background " + BACKGROUNDS[params[4]];
+    }
+    return text;
+  };
+
+  conditionText(params: any[]): string {
+    const onOff = (value: number) => (value === 0 ? "on" : "off");
+    switch (params[0]) {
+        case 0:
+            return "switch " + params[1] + " " + onOff(params[2]);
+        case 1: {
+            const operand = (params[2] === 1 ? "variable " : "") + params[3];
+            return "variable " + params[1] + " " + COMPARISONS[params[4]] + " " + operand;
+        }
+        case 2:
+            return "self " + params[1] + " " + onOff(params[2]);
+        case 3:
+            return "timer " + (params[2] === 0 ? ">=" : "<=") + " " + params[1];
+        case 7:
+            return "gold " + [">=", "<=", "<"][params[2]] + " " + params[1];
+        case 8:
+            return "item " + params[1];
+        case 9:
+        case 10:
+            return (
+                (params[0] === 9 ? "weapon " : "armor ") + params[1] +
+                (params[2] ? " equipped" : "")
+            );
+        case 11:
+            return "button " + this.quote(params[1]) + " " + BUTTON_TYPES[params[2] || 0];
+        case 12:
+            return "script " + this.quote(params[1]);
+        default:
+            return "@" + JSON.stringify(params);
+    }
+  };
+
+  rangeText(params: any[]): string {
+    return params[0] === params[1] ? String(params[0]) : params[0] + ".." + params[1];
+  };
+
+  variableText(params: any[]): string {
+    const text = "variable " + this.rangeText(params) + " " + OPERATIONS[params[2]] + " ";
+    switch (params[3]) {
+        case 0:
+            return text + params[4];
+        case 1:
+            return text + "variable " + params[4];
+        case 2:
+            return text + "random " + params[4] + " " + params[5];
+        case 3:
+            return text + "gamedata " + params[4] + " " + params[5] + " " + params[6];
+        default:
+            return text + "script " + this.quote(params[4]);
+    }
+  };
+
+  transferText(params: any[]): string {
+    let text = "transfer " + (params[0] === 1 ? "variable " : "");
+    text += params[1] + " " + params[2] + " " + params[3];
+    if (params[4]) {
+        const name = Object.keys(DIRECTIONS).find(key => DIRECTIONS[key] === params[4]);
+        text += " direction " + name;
+    }
+    if (params[5]) {
+        text += " fade " + FADE_TYPES[params[5]];
+    }
+    return text;
+  };
+
+  moveText(params: any[]): string {
+    const characterId = params[0];
+    const moveRoute = params[1];
+    let text = "move ";
+    if (characterId < 0) {
+        text += "player";
+    } else if (characterId === 0) {
+        text += "this";
+    } else {
+        text += "event " + characterId;
+    }
+    text += moveRoute.repeat ? " repeat" : "";
+    text += moveRoute.skippable ? " skip" : "";
+    text += moveRoute.wait ? " wait" : "";
+    return text;
+  };
+
+  writeMoveRoute(indent: number, moveRoute: MZ.EventMoveRoute): void {
+    const names = Object.keys(ROUTE_COMMANDS);
+    for (const command of moveRoute.list) {
+        if (command.code === 0) {
+            continue;
+        }
+        const name = names.find(key => ROUTE_COMMANDS[key][0] === command.code);
+        let params = command.parameters || [];
+        if (command.code === 44) {
+            const se = params[0];
+            params = [se.name, se.volume, se.pitch, se.pan];
+        }
+        const args = params.map(param =>
+            typeof param === "string" ? this.quote(param) : String(param)
+        );
+        this.write(indent + 1, [name].concat(args).join(" "));
+    }
+    this.write(indent, "end");
+    // The copies of the route for the editor are written with the route.
+    while (this._index < this._list.length && this._list[this._index].code === 505) {
+        this._index++;
+    }
+  };
+
+  battleText(params: any[]): string {
+    let text = "battle ";
+    if (params[0] === 2) {
+        text += "random";
+    } else {
+        text += (params[0] === 1 ? "variable " : "") + params[1];
+    }
+    text += params[2] ? " escape" : "";
+    text += params[3] ? " lose" : "";
+    return text;
+  };
+}
@@ -77,7 +77,7 @@ export class ImageManager {
   };
 
   static loadBitmap(folder: string, filename: string): Bitmap {
-    if (filename) {
+    if (filename && !Utils.isHeadless()) {
         const url = folder + Utils.encodeURI(filename) + ".png";
         return this.loadBitmapFromUrl(url);
     } else {
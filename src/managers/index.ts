@@ -3,10 +3,35 @@ export { BattleManager } from './battle';
 export { ColorManager } from './color';
 export { ConfigManager } from './config';
 export { DataManager } from './data';
+export type { SaveContents } from './data';
+export { DebugManager } from './debug';
+export type { Breakpoint, EventLocation, InterpreterState } from './debug';
 export { EffectManager } from './effect';
+export { EnemyAIManager } from './enemyAI';
+export type { EnemyAIDecision, EnemyAIProfile, EnemyAITrace } from './enemyAI';
+export { EscapeCodeManager } from './escapeCode';
+export type {
+  EscapeArgument,
+  EscapeArgumentType,
+  EscapeCode,
+  EscapeCodeDefinition
+} from './escapeCode';
+export { EventScriptManager } from './eventScript';
+export type { EventScriptSections } from './eventScript';
 export { FontManager } from './font';
 export { ImageManager } from './image';
+export { LocaleManager } from './locale';
+export type { LocaleBundle, LocaleInfo } from './locale';
+export { PathfindingManager } from './pathfinding';
+export type { PathHeuristic, PathOptions, PathPoint, PathResult } from './pathfinding';
 export { PluginManager } from './plugin';
+export type {
+  PluginDefinition,
+  PluginHooks,
+  PluginHookName,
+  PluginParamSchema
+} from './plugin';
+export { ReplayManager } from './replay';
 export { SceneManager } from './scene';
 export { SoundManager } from './sound';
 export { StorageManager } from './storage';
@@ -0,0 +1,385 @@
+import { Utils } from '../dom';
+import { StorageManager } from '.';
+import {
+  $dataActors,
+  $dataClasses,
+  $dataSkills,
+  $dataItems,
+  $dataWeapons,
+  $dataArmors,
+  $dataEnemies,
+  $dataStates,
+  $dataTroops,
+  $dataCommonEvents,
+  $dataSystem,
+  $gameActors
+} from '.';
+import { MZ } from '../MZ';
+
+export type LocaleInfo = {
+  id: string
+  name: string
+  rtl?: boolean
+};
+
+type LocaleIndex = {
+  base: string
+  locales: LocaleInfo[]
+};
+
+export type LocaleBundle = {
+  strings: {[id: string]: string}
+  context?: {[id: string]: string[]}
+};
+
+type LocaleEntry = {
+  id: string
+  object: any
+  key: string | number
+};
+
+const DATABASE_FIELDS: [string, string[]][] = [
+  ["actors", ["name", "nickname", "profile"]],
+  ["classes", ["name"]],
+  ["skills", ["name", "description", "message1", "message2"]],
+  ["items", ["name", "description"]],
+  ["weapons", ["name", "description"]],
+  ["armors", ["name", "description"]],
+  ["enemies", ["name"]],
+  ["states", ["name", "message1", "message2", "message3", "message4"]]
+];
+
+const SYSTEM_TYPES = ["elements", "skillTypes", "weaponTypes", "armorTypes", "equipTypes"];
+
+//-----------------------------------------------------------------------------
+// LocaleManager
+//
+// The static class that translates database text, event messages and terms
+// with the locale bundles in data/locales.
+
+export class LocaleManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _index: LocaleIndex = { base: "", locales: [] };
+  static _indexLoaded = false;
+  static _locale = "";
+  static _loadedLocale: string | null = null;
+  static _strings: {[id: string]: string} = {};
+  static _baseStrings: {[id: string]: string} = {};
+
+  static loadIndex(): void {
+    // data/Locales.json is optional. Without it the game has one language.
+    this.loadJson("data/Locales.json", (index: LocaleIndex) => {
+        this._index = index;
+        this.onIndexLoad();
+    }, () => this.onIndexLoad());
+  };
+
+  static onIndexLoad(): void {
+    this._indexLoaded = true;
+    this.loadBundle();
+  };
+
+  static isReady(): boolean {
+    return this._indexLoaded && this._loadedLocale === this.locale();
+  };
+
+  static hasLocales(): boolean {
+    return this._index.locales.length > 0;
+  };
+
+  static locales(): LocaleInfo[] {
+    return this._index.locales;
+  };
+
+  static baseLocale(): string {
+    return this._index.base || "";
+  };
+
+  static locale(): string {
+    const ids = this._index.locales.map(info => info.id);
+    return ids.includes(this._locale) ? this._locale : this.baseLocale();
+  };
+
+  static setLocale(locale: string): void {
+    this._locale = locale;
+    if (this._indexLoaded) {
+        this.loadBundle();
+    }
+  };
+
+  static localeInfo(): LocaleInfo | null {
+    return this._index.locales.find(info => info.id === this.locale()) || null;
+  };
+
+  static localeName(): string {
+    const info = this.localeInfo();
+    return info ? info.name : "";
+  };
+
+  static isRTL(): boolean {
+    const info = this.localeInfo();
+    return !!info && !!info.rtl;
+  };
+
+  static loadBundle(): void {
+    const locale = this.locale();
+    if (locale === this._loadedLocale) {
+        return;
+    }
+    if (locale === this.baseLocale()) {
+        this.onBundleLoad(locale, { strings: {} });
+    } else {
+        const url = "data/locales/%1.json".format(locale);
+        this.loadJson(url, (bundle: LocaleBundle) => {
+            this.onBundleLoad(locale, bundle);
+        }, () => {
+            // Every key falls back to the base language.
+            this.onBundleLoad(locale, { strings: {} });
+        });
+    }
+  };
+
+  static onBundleLoad(locale: string, bundle: LocaleBundle): void {
+    if (locale === this.locale()) {
+        this._strings = bundle.strings || {};
+        this._loadedLocale = locale;
+        this.applyDatabase();
+    }
+  };
+
+  static loadJson(url: string, onLoad: (data: any) => void, onError: () => void): void {
+    if (Utils.isHeadless()) {
+        const fs = require("fs");
+        const path = require("path");
+        const filePath = path.join(window.RMMZ_HEADLESS, url);
+        if (fs.existsSync(filePath)) {
+            onLoad(JSON.parse(fs.readFileSync(filePath, { encoding: "utf8" })));
+        } else {
+            onError();
+        }
+        return;
+    }
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", url);
+    xhr.overrideMimeType("application/json");
+    xhr.onload = () => (xhr.status < 400 ? onLoad(JSON.parse(xhr.responseText)) : onError());
+    xhr.onerror = onError;
+    xhr.send();
+  };
+
+  static string(id: string): string | undefined {
+    return this._strings[id];
+  };
+
+  static text(text: string, locationId = ""): string {
+    // Event text is keyed by where it is, or by the checksum of the base
+    // text for bundles that do not list the location.
+    if (!text) {
+        return text;
+    }
+    const located = locationId ? this._strings[locationId] : undefined;
+    const translated = located !== undefined ? located : this._strings[this.textId(text)];
+    return translated !== undefined ? translated : text;
+  };
+
+  static textLines(lines: string[], locationId = ""): string[] {
+    return lines.length > 0 ? this.text(lines.join("\n"), locationId).split("\n") : lines;
+  };
+
+  static textId(text: string): string {
+    const bytes = unescape(encodeURIComponent(text));
+    return "text." + StorageManager.checksum(bytes);
+  };
+
+  static applyDatabase(): void {
+    if (!$dataSystem) {
+        return;
+    }
+    const actorTexts = this.actorTexts();
+    for (const entry of this.databaseEntries()) {
+        if (!(entry.id in this._baseStrings)) {
+            this._baseStrings[entry.id] = entry.object[entry.key];
+        }
+        const translated = this._strings[entry.id];
+        entry.object[entry.key] =
+            translated !== undefined ? translated : this._baseStrings[entry.id];
+    }
+    this.updateGameActors(actorTexts);
+  };
+
+  static actorTexts(): string[][] {
+    return $dataActors.map(actor =>
+        actor ? [actor.name, actor.nickname, actor.profile] : []
+    );
+  };
+
+  static updateGameActors(lastTexts: string[][]): void {
+    // Renames the actors whose names were not changed in the game.
+    if (!$gameActors) {
+        return;
+    }
+    for (const actor of Object.values($gameActors._data)) {
+        const data = actor && actor.actor();
+        if (data && lastTexts[data.id]) {
+            const [name, nickname, profile] = lastTexts[data.id];
+            if (actor._name === name) {
+                actor._name = data.name;
+            }
+            if (actor._nickname === nickname) {
+                actor._nickname = data.nickname;
+            }
+            if (actor._profile === profile) {
+                actor._profile = data.profile;
+            }
+        }
+    }
+  };
+
+  static databaseEntries(): LocaleEntry[] {
+    const entries: LocaleEntry[] = [];
+    const tables: {[name: string]: any[]} = {
+        actors: $dataActors,
+        classes: $dataClasses,
+        skills: $dataSkills,
+        items: $dataItems,
+        weapons: $dataWeapons,
+        armors: $dataArmors,
+        enemies: $dataEnemies,
+        states: $dataStates
+    };
+    for (const [name, fields] of DATABASE_FIELDS) {
+        for (const data of tables[name]) {
+            if (data) {
+                for (const field of fields) {
+                    const id = "%1.%2.%3".format(name, data.id, field);
+                    entries.push({ id: id, object: data, key: field });
+                }
+            }
+        }
+    }
+    entries.push({ id: "system.gameTitle", object: $dataSystem, key: "gameTitle" });
+    entries.push({ id: "system.currencyUnit", object: $dataSystem, key: "currencyUnit" });
+    for (const type of SYSTEM_TYPES) {
+        this.pushArrayEntries(entries, "system." + type, (($dataSystem as any)[type]));
+    }
+    const terms = $dataSystem.terms;
+    this.pushArrayEntries(entries, "terms.basic", terms.basic);
+    this.pushArrayEntries(entries, "terms.params", terms.params);
+    this.pushArrayEntries(entries, "terms.commands", terms.commands);
+    for (const key of Object.keys(terms.messages)) {
+        entries.push({ id: "terms.messages." + key, object: terms.messages, key: key });
+    }
+    return entries;
+  };
+
+  static pushArrayEntries(entries: LocaleEntry[], prefix: string, array: (string | null)[]): void {
+    array.forEach((value, index) => {
+        if (typeof value === "string") {
+            entries.push({ id: prefix + "." + index, object: array, key: index });
+        }
+    });
+  };
+
+  static makeTemplate(maps: {[mapId: number]: MZ.DataMap}): LocaleBundle {
+    const template: LocaleBundle & { context: {} } = { strings: {}, context: {} };
+    for (const entry of this.databaseEntries()) {
+        const base = entry.id in this._baseStrings ? this._baseStrings[entry.id] : entry.object[entry.key];
+        if (base) {
+            template.strings[entry.id] = base;
+        }
+    }
+    $dataCommonEvents.forEach(commonEvent => {
+        if (commonEvent) {
+            const prefix = this.commonEventTextPrefix(commonEvent.id);
+            const context = "CommonEvent %1".format(commonEvent.id);
+            this.addEventTexts(template, commonEvent.list, prefix, context);
+        }
+    });
+    $dataTroops.forEach(troop => {
+        if (troop) {
+            troop.pages.forEach((page, i) => {
+                const prefix = this.troopTextPrefix(troop.id, i);
+                const context = "Troop %1 page %2".format(troop.id, i + 1);
+                this.addEventTexts(template, page.list, prefix, context);
+            });
+        }
+    });
+    for (const mapId of Object.keys(maps).map(Number)) {
+        const map = maps[mapId];
+        const mapContext = "Map%1".format(mapId.padZero(3));
+        this.addText(template, this.mapNameId(mapId), map.displayName, mapContext);
+        for (const event of map.events) {
+            if (event) {
+                event.pages.forEach((page, i) => {
+                    const prefix = this.mapEventTextPrefix(mapId, event.id, i);
+                    const context = "Map%1 EV%2 page %3".format(
+                        mapId.padZero(3), event.id.padZero(3), i + 1
+                    );
+                    this.addEventTexts(template, page.list, prefix, context);
+                });
+            }
+        }
+    }
+    return template;
+  };
+
+  static commonEventTextPrefix(commonEventId: number): string {
+    return "common.%1".format(commonEventId);
+  };
+
+  static troopTextPrefix(troopId: number, pageIndex: number): string {
+    return "troop.%1.%2".format(troopId, pageIndex);
+  };
+
+  static mapEventTextPrefix(mapId: number, eventId: number, pageIndex: number): string {
+    return "map.%1.%2.%3".format(mapId, eventId, pageIndex);
+  };
+
+  static mapNameId(mapId: number): string {
+    return "map.%1.displayName".format(mapId);
+  };
+
+  static addEventTexts(
+    template: LocaleBundle,
+    list: MZ.EventCommand[],
+    prefix: string,
+    context: string
+  ): void {
+    for (let i = 0; i < list.length; i++) {
+        const command = list[i];
+        const params = command.parameters;
+        const id = "%1.%2.".format(prefix, i);
+        if (command.code === 101) {
+            this.addText(template, id + "speaker", params[4], context);
+            this.addText(template, id + "text", this.joinLines(list, i + 1, 401), context);
+        } else if (command.code === 105) {
+            this.addText(template, id + "text", this.joinLines(list, i + 1, 405), context);
+        } else if (command.code === 102) {
+            params[0].forEach((choice: string, j: number) => {
+                this.addText(template, id + "choice." + j, choice, context);
+            });
+        }
+    }
+  };
+
+  static joinLines(list: MZ.EventCommand[], start: number, code: number): string {
+    const lines = [];
+    for (let i = start; i < list.length && list[i].code === code; i++) {
+        lines.push(list[i].parameters[0]);
+    }
+    return lines.join("\n");
+  };
+
+  static addText(template: LocaleBundle, id: string, text: string, context: string): void {
+    if (text) {
+        const contexts = (template.context![id] = template.context![id] || []);
+        template.strings[id] = text;
+        if (!contexts.includes(context)) {
+            contexts.push(context);
+        }
+    }
+  };
+}
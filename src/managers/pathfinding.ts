@@ -0,0 +1,284 @@
+import { $gameMap } from '.';
+import type { Game_Character } from '../game';
+import { MZ } from '../MZ';
+
+export type PathPoint = {
+  x: number
+  y: number
+};
+
+export type PathResult = {
+  // The tiles to step on, without the start. When the goal cannot be
+  // reached, the path leads to the tile closest to it.
+  path: PathPoint[]
+  complete: boolean
+};
+
+export type PathOptions = {
+  heuristic?: string
+  // The number of tiles the search may visit. The default is the whole map.
+  searchLimit?: number
+  // Whether other characters block the path. Such paths are not cached,
+  // since characters move every step.
+  characters?: boolean
+};
+
+// Estimates the steps left from the loop-aware distance to the goal.
+export type PathHeuristic = (dx: number, dy: number) => number;
+
+type CachedPath = {
+  points: PathPoint[]
+  complete: boolean
+};
+
+const DIRECTIONS: MZ.MoveDirection[] = [2, 4, 6, 8];
+
+//-----------------------------------------------------------------------------
+// NodeHeap
+//
+// The binary heap of the open tiles, ordered by their score.
+
+class NodeHeap {
+  _nodes: number[] = [];
+  _scores: number[] = [];
+
+  isEmpty(): boolean {
+    return this._nodes.length === 0;
+  };
+
+  push(node: number, score: number): void {
+    const nodes = this._nodes;
+    const scores = this._scores;
+    let i = nodes.length;
+    nodes.push(node);
+    scores.push(score);
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (scores[parent] <= score) {
+            break;
+        }
+        nodes[i] = nodes[parent];
+        scores[i] = scores[parent];
+        i = parent;
+    }
+    nodes[i] = node;
+    scores[i] = score;
+  };
+
+  pop(): number {
+    const nodes = this._nodes;
+    const scores = this._scores;
+    const top = nodes[0];
+    const node = nodes.pop()!;
+    const score = scores.pop()!;
+    const length = nodes.length;
+    if (length > 0) {
+        let i = 0;
+        for (;;) {
+            let child = i * 2 + 1;
+            if (child >= length) {
+                break;
+            }
+            if (child + 1 < length && scores[child + 1] < scores[child]) {
+                child++;
+            }
+            if (scores[child] >= score) {
+                break;
+            }
+            nodes[i] = nodes[child];
+            scores[i] = scores[child];
+            i = child;
+        }
+        nodes[i] = node;
+        scores[i] = score;
+    }
+    return top;
+  };
+}
+
+//-----------------------------------------------------------------------------
+// PathfindingManager
+//
+// The static class that finds the paths of characters on the map with the A*
+// search. Paths that only depend on the map are cached until the map or its
+// tile events change.
+
+export class PathfindingManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static _heuristics: {[name: string]: PathHeuristic} = {};
+  static _cache = new Map<string, CachedPath[]>();
+  static _cacheSize = 0;
+  static _maxCacheSize = 256;
+
+  static registerHeuristic(name: string, heuristic: PathHeuristic): void {
+    this._heuristics[name] = heuristic;
+  };
+
+  static heuristic(name: string): PathHeuristic {
+    const heuristic = this._heuristics[name];
+    if (!heuristic) {
+        throw new Error("Unknown heuristic: %1".format(name));
+    }
+    return heuristic;
+  };
+
+  static clearCache(): void {
+    this._cache.clear();
+    this._cacheSize = 0;
+  };
+
+  static findPath(
+    character: Game_Character,
+    goalX: number,
+    goalY: number,
+    options: PathOptions = {}
+  ): PathResult {
+    const heuristic = options.heuristic || "manhattan";
+    const searchLimit = options.searchLimit || $gameMap.width() * $gameMap.height();
+    if (options.characters) {
+        const path = this.search(character, goalX, goalY, heuristic, searchLimit, true);
+        return this.makeResult(path, 0);
+    }
+    const key = [
+        $gameMap.mapId(),
+        character.passabilityType(),
+        heuristic,
+        searchLimit,
+        goalX,
+        goalY
+    ].join(":");
+    const cached = this.cachedPath(key, character.x, character.y);
+    if (cached) {
+        return cached;
+    }
+    const path = this.search(character, goalX, goalY, heuristic, searchLimit, false);
+    this.addCache(key, path);
+    return this.makeResult(path, 0);
+  };
+
+  static cachedPath(key: string, x: number, y: number): PathResult | null {
+    // Any path through the start leads to the same goal from there.
+    for (const path of this._cache.get(key) || []) {
+        const index = path.points.findIndex(point => point.x === x && point.y === y);
+        if (index >= 0) {
+            return this.makeResult(path, index);
+        }
+    }
+    return null;
+  };
+
+  static addCache(key: string, path: CachedPath): void {
+    if (this._cacheSize >= this._maxCacheSize) {
+        this.clearCache();
+    }
+    const paths = this._cache.get(key) || [];
+    paths.push(path);
+    this._cache.set(key, paths);
+    this._cacheSize++;
+  };
+
+  static makeResult(path: CachedPath, startIndex: number): PathResult {
+    return { path: path.points.slice(startIndex + 1), complete: path.complete };
+  };
+
+  static search(
+    character: Game_Character,
+    goalX: number,
+    goalY: number,
+    heuristicName: string,
+    searchLimit: number,
+    characters: boolean
+  ): CachedPath {
+    const heuristic = this.heuristic(heuristicName);
+    const width = $gameMap.width();
+    const size = width * $gameMap.height();
+    const goal = goalY * width + goalX;
+    const start = character.y * width + character.x;
+    const costs = new Int32Array(size).fill(-1);
+    const parents = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = new NodeHeap();
+    const estimate = (x: number, y: number) =>
+        heuristic($gameMap.deltaX(goalX, x), $gameMap.deltaY(goalY, y));
+    let best = start;
+    let bestEstimate = estimate(character.x, character.y);
+    let visited = 0;
+
+    costs[start] = 0;
+    open.push(start, bestEstimate);
+    while (!open.isEmpty()) {
+        const node = open.pop();
+        if (closed[node]) {
+            continue;
+        }
+        closed[node] = 1;
+        if (node === goal) {
+            best = node;
+            break;
+        }
+        if (++visited > searchLimit) {
+            break;
+        }
+        const x = node % width;
+        const y = Math.floor(node / width);
+        for (const d of DIRECTIONS) {
+            const x2 = $gameMap.roundXWithDirection(x, d);
+            const y2 = $gameMap.roundYWithDirection(y, d);
+            const node2 = y2 * width + x2;
+            if (closed[node2] || !this.canStep(character, x, y, d, node2 === goal, characters)) {
+                continue;
+            }
+            const cost = costs[node] + 1;
+            if (costs[node2] < 0 || cost < costs[node2]) {
+                const estimate2 = estimate(x2, y2);
+                costs[node2] = cost;
+                parents[node2] = node;
+                open.push(node2, cost + estimate2);
+                if (estimate2 < bestEstimate) {
+                    best = node2;
+                    bestEstimate = estimate2;
+                }
+            }
+        }
+    }
+
+    const points: PathPoint[] = [];
+    for (let node = best; node >= 0; node = parents[node]) {
+        points.unshift({ x: node % width, y: Math.floor(node / width) });
+    }
+    return { points: points, complete: best === goal };
+  };
+
+  static canStep(
+    character: Game_Character,
+    x: number,
+    y: number,
+    d: MZ.MoveDirection,
+    toGoal: boolean,
+    characters: boolean
+  ): boolean {
+    // Characters on the goal do not block it, so that the search can lead to
+    // the player or to an event to touch.
+    const x2 = $gameMap.roundXWithDirection(x, d);
+    const y2 = $gameMap.roundYWithDirection(y, d);
+    if (!$gameMap.isValid(x2, y2)) {
+        return false;
+    }
+    if (character.isThrough() || character.isDebugThrough()) {
+        return true;
+    }
+    if (!character.isMapPassable(x, y, d)) {
+        return false;
+    }
+    return !characters || toGoal || !character.isCollidedWithCharacters(x2, y2);
+  };
+}
+
+PathfindingManager.registerHeuristic("manhattan", (dx, dy) => Math.abs(dx) + Math.abs(dy));
+PathfindingManager.registerHeuristic("euclidean", (dx, dy) => Math.sqrt(dx * dx + dy * dy));
+PathfindingManager.registerHeuristic("chebyshev", (dx, dy) => Math.max(Math.abs(dx), Math.abs(dy)));
+// Searches all directions evenly.
+PathfindingManager.registerHeuristic("dijkstra", () => 0);
@@ -1,4 +1,8 @@
 import { Utils } from '../dom';
+import type { SaveContents } from '.';
+import type { Game_Action, Game_Battler } from '../game';
+import type { Scene_Base } from '../scenes';
+import { MZ } from '../MZ';
 
 type PluginParams = {[key: string]: any};
 type Plugin = {
@@ -6,6 +10,55 @@ type Plugin = {
   description: string
   status: boolean
   parameters: PluginParams
+  module?: boolean
+};
+
+export type PluginParamSchema =
+  | { type: "string", default?: string, options?: string[] }
+  | { type: "number", default?: number, min?: number, max?: number, integer?: boolean }
+  | { type: "boolean", default?: boolean }
+  | { type: "struct", fields: {[name: string]: PluginParamSchema}, default?: object }
+  | { type: "array", items: PluginParamSchema, default?: any[] };
+
+export type PluginDefinition = {
+  name: string
+  // Plugins that must be enabled and set up before this one.
+  dependencies?: string[]
+  // Plugins that are set up before or after this one when they are enabled.
+  after?: string[]
+  before?: string[]
+  parameters?: {[name: string]: PluginParamSchema}
+  main?: (parameters: PluginParams) => void
+};
+
+export type PluginHooks = {
+  onSceneCreate: (scene: Scene_Base) => void
+  onBattleStart: () => void
+  beforeAction: (subject: Game_Battler, action: Game_Action) => void
+  afterAction: (subject: Game_Battler, action: Game_Action) => void
+  onActionResult: (subject: Game_Battler, target: Game_Battler) => void
+  onSave: (contents: SaveContents) => void
+  onLoad: (contents: SaveContents) => void
+  onMapSetup: (mapId: MZ.MapID) => void
+};
+
+export type PluginHookName = keyof PluginHooks;
+
+const HOOK_NAMES: PluginHookName[] = [
+  "onSceneCreate",
+  "onBattleStart",
+  "beforeAction",
+  "afterAction",
+  "onActionResult",
+  "onSave",
+  "onLoad",
+  "onMapSetup"
+];
+
+type HookEntry<K extends PluginHookName> = {
+  pluginName: string
+  callback: PluginHooks[K]
+  order: number
 };
 
 type _HTMLScriptElement = HTMLScriptElement & {
@@ -26,29 +79,40 @@ export class PluginManager {
   static _errorUrls: Array<string> = [];
   static _parameters: {[key: string]: PluginParams} = {};
   static _commands: {[key: string]: (...args: Array<any>) => void} = {};
+  static _hooks: {[K in PluginHookName]?: Array<HookEntry<K>>} = {};
+  static _modules: Array<string> = [];
+  static _definitions: {[name: string]: PluginDefinition} = {};
+  static _modulesStarted = false;
 
   static setup(plugins: Array<Plugin>): void {
     for (const plugin of plugins) {
         if (plugin.status && !this._scripts.includes(plugin.name)) {
             this.setParameters(plugin.name, plugin.parameters);
-            this.loadScript(plugin.name);
+            this.loadScript(plugin.name, !!plugin.module);
             this._scripts.push(plugin.name);
+            if (plugin.module) {
+                this._modules.push(plugin.name);
+            }
         }
     }
   };
 
-  static parameters(name: string): PluginParams {
-    return this._parameters[name.toLowerCase()] || {};
+  static parameters(name: string, schema?: {[name: string]: PluginParamSchema}): PluginParams {
+    const parameters = this._parameters[name.toLowerCase()] || {};
+    if (schema) {
+        return this.coerceParameters(name, parameters, schema);
+    }
+    return parameters;
   };
 
   static setParameters(name: string, parameters: PluginParams): void {
     this._parameters[name.toLowerCase()] = parameters;
   };
 
-  static loadScript(filename: string): void {
+  static loadScript(filename: string, isModule = false): void {
     const url = this.makeUrl(filename);
     const script = document.createElement("script") as _HTMLScriptElement;
-    script.type = "text/javascript";
+    script.type = isModule ? "module" : "text/javascript";
     script.src = url;
     script.async = false;
     script.defer = true;
@@ -76,6 +140,198 @@ export class PluginManager {
     throw new Error("Failed to load: " + url);
   };
 
+  static definePlugin(definition: PluginDefinition): void {
+    // Called by an ES module plugin when it is evaluated. The plugin is set
+    // up later by setupModules, once every plugin has been loaded.
+    this._definitions[definition.name] = definition;
+  };
+
+  static setupModules(): void {
+    if (this._modulesStarted) {
+        return;
+    }
+    this._modulesStarted = true;
+    for (const name of this.sortModules()) {
+        const definition = this._definitions[name];
+        const schema = definition.parameters;
+        if (schema) {
+            const parameters = this.parameters(name, schema);
+            this.setParameters(name, parameters);
+        }
+        if (definition.main) {
+            definition.main(this.parameters(name));
+        }
+    }
+  };
+
+  static sortModules(): string[] {
+    const names = this._modules.filter(name => this._definitions[name]);
+    const missing = this._modules.filter(name => !this._definitions[name]);
+    if (missing.length > 0) {
+        throw new Error("Plugin module did not call definePlugin: " + missing.join(", "));
+    }
+    const edges = this.moduleEdges(names);
+    const sorted: string[] = [];
+    const remaining = names.slice();
+    while (remaining.length > 0) {
+        // [Note] The first ready plugin in the plugin list is taken each
+        //   time, so that the list order is kept where possible.
+        const next = remaining.find(name =>
+            edges[name].every(before => sorted.includes(before))
+        );
+        if (!next) {
+            throw new Error("Circular plugin dependencies: " + remaining.join(", "));
+        }
+        sorted.push(next);
+        remaining.splice(remaining.indexOf(next), 1);
+    }
+    return sorted;
+  };
+
+  static moduleEdges(names: string[]): {[name: string]: string[]} {
+    // edges[name] lists the modules that must be set up before name.
+    const edges: {[name: string]: string[]} = {};
+    for (const name of names) {
+        edges[name] = [];
+    }
+    for (const name of names) {
+        const definition = this._definitions[name];
+        for (const dependency of definition.dependencies || []) {
+            if (!this._scripts.includes(dependency)) {
+                throw new Error("Plugin " + name + " requires " + dependency);
+            }
+        }
+        const after = (definition.dependencies || []).concat(definition.after || []);
+        for (const other of after) {
+            if (edges[other] && !edges[name].includes(other)) {
+                edges[name].push(other);
+            }
+        }
+        for (const other of definition.before || []) {
+            if (edges[other] && !edges[other].includes(name)) {
+                edges[other].push(name);
+            }
+        }
+    }
+    return edges;
+  };
+
+  static coerceParameters(
+    pluginName: string,
+    parameters: PluginParams,
+    schema: {[name: string]: PluginParamSchema}
+  ): PluginParams {
+    const result: PluginParams = {};
+    for (const name of Object.keys(schema)) {
+        const path = pluginName + ": " + name;
+        result[name] = this.coerceParameter(path, parameters[name], schema[name]);
+    }
+    return result;
+  };
+
+  static coerceParameter(path: string, value: any, schema: PluginParamSchema): any {
+    // The plugin manager stores every value as a string, and structs and
+    // arrays as JSON strings.
+    if (value === undefined || value === "") {
+        if (schema.default !== undefined) {
+            return schema.default;
+        } else if (schema.type !== "struct" && schema.type !== "array") {
+            return schema.type === "number" ? 0 : schema.type === "boolean" ? false : "";
+        }
+    }
+    switch (schema.type) {
+        case "string":
+            return this.coerceString(path, value, schema.options);
+        case "number":
+            return this.coerceNumber(path, value, schema);
+        case "boolean":
+            return this.coerceBoolean(path, value);
+        case "struct":
+            return this.coerceStruct(path, value, schema.fields);
+        case "array":
+            return this.coerceArray(path, value, schema.items);
+    }
+  };
+
+  static coerceString(path: string, value: any, options?: string[]): string {
+    const text = String(value);
+    if (options && !options.includes(text)) {
+        this.throwParameterError(path, "must be one of " + options.join(", "));
+    }
+    return text;
+  };
+
+  static coerceNumber(
+    path: string,
+    value: any,
+    schema: { min?: number, max?: number, integer?: boolean }
+  ): number {
+    const number = Number(value);
+    if (isNaN(number)) {
+        this.throwParameterError(path, "must be a number");
+    }
+    if (schema.integer && !Number.isInteger(number)) {
+        this.throwParameterError(path, "must be an integer");
+    }
+    if (schema.min !== undefined && number < schema.min) {
+        this.throwParameterError(path, "must be at least " + schema.min);
+    }
+    if (schema.max !== undefined && number > schema.max) {
+        this.throwParameterError(path, "must be at most " + schema.max);
+    }
+    return number;
+  };
+
+  static coerceBoolean(path: string, value: any): boolean {
+    if (value === true || value === "true") {
+        return true;
+    } else if (value === false || value === "false") {
+        return false;
+    }
+    return this.throwParameterError(path, "must be true or false");
+  };
+
+  static coerceStruct(
+    path: string,
+    value: any,
+    fields: {[name: string]: PluginParamSchema}
+  ): PluginParams {
+    const object = this.parseJsonParameter(path, value || {});
+    if (typeof object !== "object" || object === null || Array.isArray(object)) {
+        this.throwParameterError(path, "must be a struct");
+    }
+    const result: PluginParams = {};
+    for (const name of Object.keys(fields)) {
+        result[name] = this.coerceParameter(path + "." + name, object[name], fields[name]);
+    }
+    return result;
+  };
+
+  static coerceArray(path: string, value: any, items: PluginParamSchema): any[] {
+    const array = this.parseJsonParameter(path, value || []);
+    if (!Array.isArray(array)) {
+        this.throwParameterError(path, "must be an array");
+    }
+    return array.map((item: any, i: number) =>
+        this.coerceParameter(path + "[" + i + "]", item, items)
+    );
+  };
+
+  static parseJsonParameter(path: string, value: any): any {
+    if (typeof value !== "string") {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return this.throwParameterError(path, "is not valid JSON");
+    }
+  };
+
+  static throwParameterError(path: string, message: string): never {
+    throw new Error("Plugin parameter " + path + " " + message);
+  };
+
   static registerCommand(pluginName: string, commandName: string, func: (...args: Array<any>) => void): void {
     const key = pluginName + ":" + commandName;
     this._commands[key] = func;
@@ -88,4 +344,62 @@ export class PluginManager {
         func.bind(self)(args);
     }
   };
+
+  static registerHook<K extends PluginHookName>(
+    pluginName: string,
+    hookName: K,
+    callback: PluginHooks[K],
+    order = 0
+  ): void {
+    // Hooks are called in ascending order, and in the order of registration
+    // when the order is the same.
+    if (!HOOK_NAMES.includes(hookName)) {
+        throw new Error("Unknown plugin hook: " + hookName);
+    }
+    const entries = this.hookEntries(hookName);
+    const entry: HookEntry<K> = { pluginName, callback, order };
+    const index = entries.findIndex(e => e.order > order);
+    if (index >= 0) {
+        entries.splice(index, 0, entry);
+    } else {
+        entries.push(entry);
+    }
+    this._hooks[hookName] = entries as any;
+  };
+
+  static unregisterHooks(pluginName: string): void {
+    for (const hookName of Object.keys(this._hooks) as PluginHookName[]) {
+        const entries = this.hookEntries(hookName);
+        this._hooks[hookName] = entries.filter(
+            e => e.pluginName !== pluginName
+        ) as any;
+    }
+  };
+
+  static hookEntries<K extends PluginHookName>(hookName: K): Array<HookEntry<K>> {
+    return (this._hooks[hookName] || []) as Array<HookEntry<K>>;
+  };
+
+  static callHook<K extends PluginHookName>(
+    hookName: K,
+    ...args: Parameters<PluginHooks[K]>
+  ): void {
+    for (const entry of this.hookEntries(hookName)) {
+        (entry.callback as (...args: any[]) => void)(...args);
+    }
+  };
+
+  static hookUsage(): {[pluginName: string]: PluginHookName[]} {
+    const usage: {[pluginName: string]: PluginHookName[]} = {};
+    for (const hookName of Object.keys(this._hooks) as PluginHookName[]) {
+        for (const entry of this.hookEntries(hookName)) {
+            const hookNames = usage[entry.pluginName] || [];
+            if (!hookNames.includes(hookName)) {
+                hookNames.push(hookName);
+            }
+            usage[entry.pluginName] = hookNames;
+        }
+    }
+    return usage;
+  };
 }
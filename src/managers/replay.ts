@@ -0,0 +1,269 @@
+import { Graphics, Input, JsonEx, Random, TouchInput, Utils } from '../dom';
+import { DataManager, SaveContents } from '.';
+import { SceneManager } from '.';
+import { StorageManager } from '.';
+import { $gameMap, $gameMessage, $gameSystem } from '.';
+import { Scene_Map } from '../scenes';
+import { MZ } from '../MZ';
+
+type InputFrame = {
+  keys: string[]
+  latest: string | null
+  time: number
+  dir4: MZ.MoveDirection
+  dir8: MZ.MoveDirection8
+  axis: "" | "x" | "y"
+};
+
+type TouchFrame = {
+  state: typeof TouchInput._currentState
+  x: number
+  y: number
+  time: number
+  clicked: boolean
+  pressed: [boolean, boolean]
+  moved: boolean
+};
+
+type ReplayFrame = {
+  input: InputFrame
+  touch?: TouchFrame
+};
+
+export type ReplayData = {
+  version: number
+  seed: number
+  frameCount: number
+  save: string
+  frames: ReplayFrame[]
+  finalRandom?: number[]
+};
+
+//-----------------------------------------------------------------------------
+// ReplayManager
+//
+// The static class that records the input of a play session and replays it.
+
+export class ReplayManager {
+  constructor() {
+    throw new Error("This is a static class");
+  }
+
+  static VERSION = 1;
+
+  static _data: ReplayData | null = null;
+  static _recording = false;
+  static _replaying = false;
+  static _index = 0;
+  static _isLoaded = false;
+
+  static isRecording(): boolean {
+    return this._recording;
+  };
+
+  static isReplaying(): boolean {
+    return this._replaying;
+  };
+
+  static data(): ReplayData | null {
+    return this._data;
+  };
+
+  static canStartRecording(): boolean {
+    const scene = SceneManager._scene;
+    return (
+        !this._replaying &&
+        scene instanceof Scene_Map &&
+        scene.isStarted() &&
+        !SceneManager.isSceneChanging() &&
+        !$gameMap.isEventRunning() &&
+        !$gameMessage.isBusy()
+    );
+  };
+
+  static startRecording(): boolean {
+    // [Note] Recording starts only while the map is idle, because the snapshot
+    //   does not contain $gameTemp, $gameMessage and the scene itself.
+    if (this.canStartRecording()) {
+        this._data = {
+            version: this.VERSION,
+            seed: Random.seed(),
+            frameCount: Graphics.frameCount,
+            save: JsonEx.stringify(DataManager.makeSaveContents()),
+            frames: []
+        };
+        this._recording = true;
+        return true;
+    }
+    return false;
+  };
+
+  static stopRecording(): void {
+    if (this._recording) {
+        this._recording = false;
+        this._data!.finalRandom = Random.saveState();
+    }
+  };
+
+  static saveRecording(saveName = "replay"): Promise<void> {
+    return StorageManager.saveObject(saveName, this._data!);
+  };
+
+  static loadRecording(saveName = "replay"): void {
+    StorageManager.loadObject(saveName)
+        .then(data => {
+            this._data = data as ReplayData;
+            return 0;
+        })
+        .catch(() => 0)
+        .then(() => {
+            this._isLoaded = true;
+            return 0;
+        });
+  };
+
+  static isLoaded(): boolean {
+    return this._isLoaded;
+  };
+
+  static isReplayRequested(): boolean {
+    return Utils.isOptionValid("replay");
+  };
+
+  static hasReplay(): boolean {
+    return !!this._data && this._data.version <= this.VERSION;
+  };
+
+  static startReplay(data?: ReplayData): void {
+    if (data) {
+        this._data = data;
+    }
+    this._recording = false;
+    this._replaying = true;
+    this._index = 0;
+    this.setupReplaySession();
+  };
+
+  static stopReplay(): void {
+    if (this._replaying) {
+        this._replaying = false;
+        this.checkReplayResult();
+    }
+  };
+
+  static checkReplayResult(): void {
+    const finalRandom = this._data!.finalRandom;
+    if (this._index >= this._data!.frames.length && finalRandom) {
+        if (!Random.saveState().equals(finalRandom)) {
+            console.warn("Replay diverged from the recorded session.");
+        }
+    }
+  };
+
+  static setupReplaySession(): void {
+    const data = this._data!;
+    const contents = JsonEx.parse(data.save) as SaveContents;
+    DataManager.migrateSaveContents(contents);
+    DataManager.createGameObjects();
+    DataManager.extractSaveContents(contents);
+    DataManager.correctDataErrors();
+    $gameSystem.onAfterLoad();
+    Graphics.frameCount = data.frameCount;
+    SceneManager.goto(Scene_Map);
+  };
+
+  static updateInput(sceneActive: boolean): void {
+    // [Note] Only the frames in which the scene is updated are recorded,
+    //   because loading and window focus take a different number of frames
+    //   every time.
+    if (sceneActive) {
+        if (this._recording) {
+            this.recordFrame();
+        } else if (this._replaying) {
+            this.replayFrame();
+        }
+    }
+  };
+
+  static recordFrame(): void {
+    const frame: ReplayFrame = { input: this.makeInputFrame() };
+    if (TouchInput.isPressed() || this.hasTouchEvent()) {
+        frame.touch = this.makeTouchFrame();
+    }
+    this._data!.frames.push(frame);
+  };
+
+  static replayFrame(): void {
+    const frame = this._data!.frames[this._index++];
+    if (frame) {
+        this.applyInputFrame(frame.input);
+        this.applyTouchFrame(frame.touch);
+    }
+    if (this._index >= this._data!.frames.length) {
+        this.stopReplay();
+    }
+  };
+
+  static hasTouchEvent(): boolean {
+    const state = TouchInput._currentState as {[key: string]: any};
+    return Object.keys(state).some(key => !!state[key]) || TouchInput.isClicked();
+  };
+
+  static makeInputFrame(): InputFrame {
+    const state = Input._currentState;
+    return {
+        keys: Object.keys(state).filter(name => state[name]),
+        latest: Input._latestButton,
+        time: Input._pressedTime,
+        dir4: Input._dir4,
+        dir8: Input._dir8,
+        axis: Input._preferredAxis
+    };
+  };
+
+  static makeTouchFrame(): TouchFrame {
+    return {
+        state: Object.assign({}, TouchInput._currentState),
+        x: TouchInput._x,
+        y: TouchInput._y,
+        time: TouchInput._pressedTime,
+        clicked: TouchInput._clicked,
+        pressed: [TouchInput._mousePressed, TouchInput._screenPressed],
+        moved: TouchInput._moved
+    };
+  };
+
+  static applyInputFrame(frame: InputFrame): void {
+    const state: {[key: string]: boolean} = {};
+    for (const name of frame.keys) {
+        state[name] = true;
+    }
+    Input._currentState = state;
+    Input._previousState = Object.assign({}, state);
+    Input._latestButton = frame.latest;
+    Input._pressedTime = frame.time;
+    Input._dir4 = frame.dir4;
+    Input._dir8 = frame.dir8;
+    Input._preferredAxis = frame.axis;
+  };
+
+  static applyTouchFrame(frame?: TouchFrame): void {
+    if (frame) {
+        TouchInput._currentState = Object.assign({}, frame.state);
+        TouchInput._x = frame.x;
+        TouchInput._y = frame.y;
+        TouchInput._pressedTime = frame.time;
+        TouchInput._clicked = frame.clicked;
+        TouchInput._mousePressed = frame.pressed[0];
+        TouchInput._screenPressed = frame.pressed[1];
+        TouchInput._moved = frame.moved;
+    } else {
+        TouchInput._currentState = TouchInput._createNewState();
+        TouchInput._pressedTime = 0;
+        TouchInput._clicked = false;
+        TouchInput._mousePressed = false;
+        TouchInput._screenPressed = false;
+        TouchInput._moved = false;
+    }
+  };
+}
@@ -1,10 +1,12 @@
 import { Input, TouchInput, WebAudio, Video, Graphics, Utils } from '../dom';
 import { Bitmap } from '../pixi';
-import { Scene_Base } from '../scenes';
+import { Scene_Base, Scene_MenuBase } from '../scenes';
 import { ImageManager } from '.';
 import { EffectManager } from '.';
 import { AudioManager } from '.';
 import { PluginManager } from '.';
+import { ReplayManager } from '.';
+import { SoundManager } from '.';
 
 export type LoadError = ["LoadError", string, () => void]
 
@@ -71,6 +73,7 @@ export class SceneManager {
 
   static checkPluginErrors(): void {
     PluginManager.checkErrors();
+    PluginManager.setupModules();
   };
 
   static initGraphics(): void {
@@ -163,6 +166,9 @@ export class SceneManager {
             case 116: // F5
                 this.reloadGame();
                 break;
+            case 117: // F6
+                this.switchReplayRecording();
+                break;
             case 119: // F8
                 this.showDevTools();
                 break;
@@ -176,6 +182,21 @@ export class SceneManager {
     }
   };
 
+  static switchReplayRecording(): void {
+    if (Utils.isOptionValid("test")) {
+        if (ReplayManager.isRecording()) {
+            ReplayManager.stopRecording();
+            ReplayManager.saveRecording().catch(e => {
+                SoundManager.playBuzzer();
+                console.error("Failed to save the replay");
+                console.error(e);
+            });
+        } else {
+            ReplayManager.startRecording();
+        }
+    }
+  };
+
   static showDevTools(): void {
     if (Utils.isNwjs() && Utils.isOptionValid("test")) {
         nw.Window.get().showDevTools();
@@ -233,6 +254,14 @@ export class SceneManager {
   static updateInputData(): void {
     Input.update();
     TouchInput.update();
+    ReplayManager.updateInput(this.willUpdateScene());
+  };
+
+  static willUpdateScene(): boolean {
+    if (this.isSceneChanging() && !this.isCurrentSceneBusy()) {
+        return false;
+    }
+    return !!this._scene && this._scene.isStarted() && this.isGameActive();
   };
 
   static updateEffekseer(): void {
@@ -251,6 +280,7 @@ export class SceneManager {
         this._nextScene = null;
         if (this._scene) {
             this._scene.create();
+            PluginManager.callHook("onSceneCreate", this._scene);
             this.onSceneCreate();
         }
         if (this._exiting) {
@@ -334,7 +364,9 @@ export class SceneManager {
   };
 
   static push(sceneClass: Constructable<Scene_Base>): void {
-    this._stack.push(this._scene!.constructor);
+    if (this._scene) {
+        this._stack.push(this._scene.constructor);
+    }
     this.goto(sceneClass);
   };
 
@@ -374,6 +406,19 @@ export class SceneManager {
     this._backgroundBitmap = this.snap();
   };
 
+  static snapForThumbnail(width: number, height: number): Bitmap {
+    // [Note] On a menu screen the background shows the map, which makes a
+    //   better thumbnail than the menu itself.
+    const useBackground = this._scene instanceof Scene_MenuBase && !!this._backgroundBitmap;
+    const source = useBackground ? this._backgroundBitmap! : this.snap();
+    const bitmap = new Bitmap(width, height);
+    bitmap.blt(source, 0, 0, source.width, source.height, 0, 0, width, height);
+    if (!useBackground) {
+        source.destroy();
+    }
+    return bitmap;
+  };
+
   static backgroundBitmap(): Bitmap | null {
     return this._backgroundBitmap;
   };
@@ -3,6 +3,15 @@ import localforage from 'localforage';
 import { JsonEx, Utils } from '../dom';
 import { $dataSystem } from '.';
 
+export type StorageBackend = {
+  saveZip(saveName: string, zip: string): Promise<void>
+  loadZip(saveName: string): Promise<string | null>
+  exists(saveName: string): boolean
+  remove(saveName: string): Promise<void>
+  list(): string[]
+  // Called once at boot. exists() and list() may rely on what it loads.
+  prepare?(): Promise<void>
+};
 
 //-----------------------------------------------------------------------------
 // StorageManager
@@ -16,19 +25,67 @@ export class StorageManager {
 
   static _forageKeys: Array<string> = [];
   static _forageKeysUpdated = false;
+  static _backends: {[name: string]: StorageBackend} = {};
+  static _backendName = "";
+  static _backendReady = false;
+  static _crcTable: number[] | null = null;
 
   static isLocalMode(): boolean {
-    return Utils.isNwjs();
+    return Utils.isNwjs() || Utils.isHeadless();
+  };
+
+  static registerBackend(name: string, backend: StorageBackend): void {
+    this._backends[name] = backend;
+  };
+
+  static setBackend(name: string): void {
+    if (!this._backends[name]) {
+        throw new Error("Unknown storage backend: " + name);
+    }
+    this._backendName = name;
+    this._backendReady = false;
+  };
+
+  static backendName(): string {
+    if (!this._backendName) {
+        this._backendName = this.isLocalMode() ? "fs" : "localforage";
+    }
+    return this._backendName;
+  };
+
+  static backend(): StorageBackend {
+    const name = this.backendName();
+    const backend = this._backends[name];
+    if (!backend) {
+        throw new Error("Unknown storage backend: " + name);
+    }
+    return backend;
+  };
+
+  static prepareBackend(): Promise<void> {
+    const backend = this.backend();
+    this._backendReady = false;
+    const promise = backend.prepare ? backend.prepare() : Promise.resolve();
+    return promise
+        .catch(e => console.error(e))
+        .then(() => {
+            this._backendReady = true;
+        });
+  };
+
+  static isBackendReady(): boolean {
+    return this._backendReady;
   };
 
   static saveObject(saveName: string, object: object): Promise<void> {
     return this.objectToJson(object)
         .then(json => this.jsonToZip(json))
-        .then(zip => this.saveZip(saveName, zip));
+        .then(zip => this.saveZip(saveName, this.addChecksum(zip)));
   };
 
   static loadObject(saveName: string): Promise<object> {
     return this.loadZip(saveName)
+        .then(zip => this.verifyChecksum(zip))
         .then(zip => this.zipToJson(zip))
         .then(json => this.jsonToObject(json));
   };
@@ -84,36 +141,76 @@ export class StorageManager {
     });
   };
 
-  static saveZip(saveName: string, zip: string): Promise<void> {
-    if (this.isLocalMode()) {
-        return this.saveToLocalFile(saveName, zip);
-    } else {
-        return this.saveToForage(saveName, zip);
+  static addChecksum(zip: string): string {
+    return this.checksumHeader() + this.checksum(zip) + "\n" + zip;
+  };
+
+  static verifyChecksum(zip: string | null): Promise<string | null> {
+    // Data saved before checksums were added has no header and is accepted
+    // as it is.
+    return new Promise((resolve, reject) => {
+        const header = this.checksumHeader();
+        if (zip && zip.startsWith(header)) {
+            const start = header.length;
+            const expected = zip.slice(start, start + 8);
+            const body = zip.slice(start + 9);
+            if (this.checksum(body) === expected) {
+                resolve(body);
+            } else {
+                reject(new Error("Save data is corrupted"));
+            }
+        } else {
+            resolve(zip);
+        }
+    });
+  };
+
+  static checksumHeader(): string {
+    return "#crc32:";
+  };
+
+  static checksum(data: string): string {
+    // CRC-32 of the low byte of each character.
+    const table = this.crcTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
     }
+    return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
   };
 
-  static loadZip(saveName: string): Promise<string | null> {
-    if (this.isLocalMode()) {
-        return this.loadFromLocalFile(saveName);
-    } else {
-        return this.loadFromForage(saveName);
+  static crcTable(): number[] {
+    if (!this._crcTable) {
+        this._crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            this._crcTable.push(c >>> 0);
+        }
     }
+    return this._crcTable;
+  };
+
+  static saveZip(saveName: string, zip: string): Promise<void> {
+    return this.backend().saveZip(saveName, zip);
+  };
+
+  static loadZip(saveName: string): Promise<string | null> {
+    return this.backend().loadZip(saveName);
   };
 
   static exists(saveName: string): boolean {
-    if (this.isLocalMode()) {
-        return this.localFileExists(saveName);
-    } else {
-        return this.forageExists(saveName);
-    }
+    return this.backend().exists(saveName);
   };
 
-  static remove(saveName: string): void | Promise<void> {
-    if (this.isLocalMode()) {
-        return this.removeLocalFile(saveName);
-    } else {
-        return this.removeForage(saveName);
-    }
+  static remove(saveName: string): Promise<void> {
+    return this.backend().remove(saveName);
+  };
+
+  static list(): string[] {
+    return this.backend().list();
   };
 
   static saveToLocalFile(saveName: string, zip: string): Promise<void> {
@@ -161,6 +258,17 @@ export class StorageManager {
     this.fsUnlink(this.filePath(saveName));
   };
 
+  static localFileNames(): string[] {
+    const fs = require("fs");
+    const dirPath = this.fileDirectoryPath();
+    if (!fs.existsSync(dirPath)) {
+        return [];
+    }
+    return (fs.readdirSync(dirPath) as string[])
+        .filter(name => name.endsWith(".rmmzsave"))
+        .map(name => name.slice(0, -".rmmzsave".length));
+  };
+
   static saveToForage(saveName: string, zip: string): Promise<void> {
     const key = this.forageKey(saveName);
     const testKey = this.forageTestKey();
@@ -199,6 +307,13 @@ export class StorageManager {
     return this._forageKeysUpdated;
   };
 
+  static forageNames(): string[] {
+    const prefix = this.forageKey("");
+    return this._forageKeys
+        .filter(key => key.startsWith(prefix))
+        .map(key => key.slice(prefix.length));
+  };
+
   static fsMkdir(path: string): void {
     const fs = require("fs");
     if (!fs.existsSync(path)) {
@@ -236,7 +351,9 @@ export class StorageManager {
 
   static fileDirectoryPath(): string {
     const path = require("path");
-    const base = path.dirname((process as any).mainModule.filename);
+    const base = Utils.isHeadless()
+        ? window.RMMZ_HEADLESS
+        : path.dirname((process as any).mainModule.filename);
     return path.join(base, "save/");
   };
 
@@ -254,3 +371,58 @@ export class StorageManager {
     return "rmmzsave.test";
   };
 }
+
+//-----------------------------------------------------------------------------
+// Storage backends
+//
+// "fs" writes files to the save folder, "localforage" writes to the browser's
+// storage and "memory" keeps the data only while the game is running.
+
+function createMemoryBackend(): StorageBackend {
+  const store: {[saveName: string]: string} = {};
+  return {
+    saveZip(saveName, zip) {
+        store[saveName] = zip;
+        return Promise.resolve();
+    },
+    loadZip(saveName) {
+        if (saveName in store) {
+            return Promise.resolve(store[saveName]);
+        } else {
+            return Promise.reject(new Error("Savefile not found"));
+        }
+    },
+    exists(saveName) {
+        return saveName in store;
+    },
+    remove(saveName) {
+        delete store[saveName];
+        return Promise.resolve();
+    },
+    list() {
+        return Object.keys(store);
+    }
+  };
+}
+
+StorageManager.registerBackend("fs", {
+  saveZip: (saveName, zip) => StorageManager.saveToLocalFile(saveName, zip),
+  loadZip: saveName => StorageManager.loadFromLocalFile(saveName),
+  exists: saveName => StorageManager.localFileExists(saveName),
+  remove: saveName => {
+      StorageManager.removeLocalFile(saveName);
+      return Promise.resolve();
+  },
+  list: () => StorageManager.localFileNames()
+});
+
+StorageManager.registerBackend("localforage", {
+  saveZip: (saveName, zip) => StorageManager.saveToForage(saveName, zip),
+  loadZip: saveName => StorageManager.loadFromForage(saveName),
+  exists: saveName => StorageManager.forageExists(saveName),
+  remove: saveName => StorageManager.removeForage(saveName),
+  list: () => StorageManager.forageNames(),
+  prepare: () => StorageManager.updateForageKeys()
+});
+
+StorageManager.registerBackend("memory", createMemoryBackend());
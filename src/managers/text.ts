@@ -1,3 +1,4 @@
+import { LocaleManager } from '.';
 import { $dataSystem } from '.';
 
 //-----------------------------------------------------------------------------
@@ -23,7 +24,11 @@ export class TextManager {
   };
 
   static message(messageId: string): string {
-    return $dataSystem.terms.messages[messageId] || "";
+    return (
+        $dataSystem.terms.messages[messageId] ||
+        LocaleManager.string("terms.messages." + messageId) ||
+        ""
+    );
   };
 
   static get currencyUnit(): string {
@@ -77,6 +82,8 @@ export class TextManager {
   static get alwaysDash(): string {return this.message("alwaysDash") }
   static get commandRemember(): string {return this.message("commandRemember") }
   static get touchUI(): string {return this.message("touchUI") }
+  static get textSpeed(): string {return this.message("textSpeed") }
+  static get language(): string {return this.message("language") }
   static get bgmVolume(): string {return this.message("bgmVolume") }
   static get bgsVolume(): string {return this.message("bgsVolume") }
   static get meVolume(): string {return this.message("meVolume") }
@@ -86,7 +93,14 @@ export class TextManager {
   static get expNext(): string {return this.message("expNext") }
   static get saveMessage(): string {return this.message("saveMessage") }
   static get loadMessage(): string {return this.message("loadMessage") }
+  static get newerSaveMessage(): string {return this.message("newerSaveMessage") }
   static get file(): string {return this.message("file") }
+  static get recoveredMessage(): string {return this.message("recoveredMessage") }
+  static get copySavefile(): string {return this.message("copySavefile") }
+  static get deleteSavefile(): string {return this.message("deleteSavefile") }
+  static get editNote(): string {return this.message("editNote") }
+  static get copyMessage(): string {return this.message("copyMessage") }
+  static get levelLabel(): string {return this.message("levelLabel") || this.levelA }
   static get autosave(): string {return this.message("autosave") }
   static get partyName(): string {return this.message("partyName") }
   static get emerge(): string {return this.message("emerge") }
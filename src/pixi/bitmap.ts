@@ -498,6 +498,29 @@ export class Bitmap {
     this._baseTexture!.update();
   };
 
+  /**
+  * Draws a circle with a gradation from the center to the edge.
+  *
+  * @param {number} x - The x coordinate based on the circle center.
+  * @param {number} y - The y coordinate based on the circle center.
+  * @param {number} radius - The radius of the circle.
+  * @param {string} color1 - The color at the center.
+  * @param {string} color2 - The color at the edge.
+  */
+  gradientFillCircle(x: number, y: number, radius: number, color1: string, color2: string): void {
+    const context = this.context;
+    const grad = context.createRadialGradient(x, y, 0, x, y, radius);
+    grad.addColorStop(0, color1);
+    grad.addColorStop(1, color2);
+    context.save();
+    context.fillStyle = grad;
+    context.beginPath();
+    context.arc(x, y, radius, 0, Math.PI * 2, false);
+    context.fill();
+    context.restore();
+    this._baseTexture!.update();
+  };
+
   /**
   * Draws the outline text to the bitmap.
   *
@@ -641,7 +664,8 @@ export class Bitmap {
     this._image.onerror = this._onError.bind(this);
     this._destroyCanvas();
     this._loadingState = "loading";
-    if (Utils.hasEncryptedImages()) {
+    // Data URLs, such as save file snapshots, are never encrypted.
+    if (Utils.hasEncryptedImages() && !this._url.startsWith("data:")) {
         this._startDecrypting();
     } else {
         this._image.src = this._url;
@@ -3,16 +3,33 @@ import { Bitmap, Sprite, Point } from '.';
 import { ScreenSprite } from '.';
 import { Graphics } from '../dom';
 
-export type WeatherType = "none" | "rain" | "storm" | "snow"
+export type WeatherType =
+  | "none"
+  | "rain"
+  | "storm"
+  | "snow"
+  | "fog"
+  | "sandstorm"
+  | "leaves"
+  | "blizzard"
 
 class WeatherSprite extends Sprite {
   ax = 0
   ay = 0
+  weatherType: WeatherType = "none"
+  // The frames since the particle was born, and its lifetime for the types
+  // that fade by age.
+  age = 0
+  life = 0
+  spin = 0
 }
 
+const LEAF_COLORS = ["#b85a20", "#d89a30", "#8a9a38"];
+
 //-----------------------------------------------------------------------------
 /**
- * The weather effect which displays rain, storm, or snow.
+ * The weather effect which displays rain, storm, snow, fog, sandstorm, falling
+ * leaves or blizzard, blown by the wind.
  *
  * @class
  * @extends PIXI.Container
@@ -24,9 +41,16 @@ export class Weather extends PIXI.Container {
   _rainBitmap?: Bitmap
   _stormBitmap?: Bitmap
   _snowBitmap?: Bitmap
+  _fogBitmap?: Bitmap
+  _sandBitmap?: Bitmap
+  _blizzardBitmap?: Bitmap
+  _leafBitmaps: Bitmap[] = []
   _dimmerSprite?: ScreenSprite
   type: WeatherType = "none"
   power = 0
+  fadingType: WeatherType = "none"
+  fadingPower = 0
+  wind = 0
   origin = new Point()
 
   constructor()
@@ -51,7 +75,8 @@ export class Weather extends PIXI.Container {
     this._createDimmer();
 
     /**
-     * The type of the weather in ["none", "rain", "storm", "snow"].
+     * The type of the weather in ["none", "rain", "storm", "snow", "fog",
+     * "sandstorm", "leaves", "blizzard"].
      *
      * @type string
      */
@@ -64,6 +89,27 @@ export class Weather extends PIXI.Container {
      */
     this.power = 0;
 
+    /**
+     * The type of the weather that fades out while the new type fades in.
+     *
+     * @type string
+     */
+    this.fadingType = "none";
+
+    /**
+     * The power of the fading weather in the range (0, 9).
+     *
+     * @type number
+     */
+    this.fadingPower = 0;
+
+    /**
+     * The wind in the range (-9, 9). It blows to the right when positive.
+     *
+     * @type number
+     */
+    this.wind = 0;
+
     /**
      * The origin point of the weather for scrolling.
      *
@@ -81,6 +127,12 @@ export class Weather extends PIXI.Container {
     this._rainBitmap!.destroy();
     this._stormBitmap!.destroy();
     this._snowBitmap!.destroy();
+    this._fogBitmap!.destroy();
+    this._sandBitmap!.destroy();
+    this._blizzardBitmap!.destroy();
+    for (const bitmap of this._leafBitmaps) {
+        bitmap.destroy();
+    }
   };
 
   /**
@@ -98,6 +150,18 @@ export class Weather extends PIXI.Container {
     this._stormBitmap.fillAll("white");
     this._snowBitmap = new Bitmap(9, 9);
     this._snowBitmap.drawCircle(4, 4, 4, "white");
+    this._fogBitmap = new Bitmap(128, 128);
+    this._fogBitmap.gradientFillCircle(64, 64, 64, "rgba(255,255,255,0.6)", "rgba(255,255,255,0)");
+    this._sandBitmap = new Bitmap(4, 2);
+    this._sandBitmap.fillAll("#d8c090");
+    this._blizzardBitmap = new Bitmap(3, 12);
+    this._blizzardBitmap.gradientFillRect(0, 0, 3, 12, "rgba(255,255,255,0)", "white", true);
+    this._leafBitmaps = LEAF_COLORS.map(color => {
+        const bitmap = new Bitmap(12, 8);
+        bitmap.drawCircle(4, 4, 3, color);
+        bitmap.drawCircle(8, 4, 3, color);
+        return bitmap;
+    });
   };
 
   _createDimmer(): void {
@@ -107,16 +171,65 @@ export class Weather extends PIXI.Container {
   };
 
   _updateDimmer(): void {
-    this._dimmerSprite!.opacity = Math.floor(this.power * 6);
+    const current = this.power * this._dimmerRate(this.type);
+    const fading = this.fadingPower * this._dimmerRate(this.fadingType);
+    const color = this._dimmerColor(current >= fading ? this.type : this.fadingType);
+    this._dimmerSprite!.setColor(color[0], color[1], color[2]);
+    this._dimmerSprite!.opacity = Math.floor(current + fading);
+  };
+
+  _dimmerRate(type: WeatherType): number {
+    switch (type) {
+        case "fog":
+            return 10;
+        case "sandstorm":
+        case "blizzard":
+            return 8;
+        case "leaves":
+            return 0;
+        default:
+            return 6;
+    }
+  };
+
+  _dimmerColor(type: WeatherType): number[] {
+    switch (type) {
+        case "fog":
+            return [224, 224, 232];
+        case "sandstorm":
+            return [176, 136, 80];
+        case "blizzard":
+            return [200, 200, 216];
+        default:
+            return [80, 80, 80];
+    }
+  };
+
+  _density(type: WeatherType): number {
+    // The particles per power.
+    switch (type) {
+        case "fog":
+            return 2;
+        case "leaves":
+            return 4;
+        case "sandstorm":
+        case "blizzard":
+            return 14;
+        default:
+            return 10;
+    }
   };
 
   _updateAllSprites(): void {
-    const maxSprites = Math.floor(this.power * 10);
-    while (this._sprites.length < maxSprites) {
-        this._addSprite();
+    // The sprites of the fading type stay until its power runs out.
+    for (const sprite of this._sprites.slice()) {
+        if (sprite.weatherType !== this.type && sprite.weatherType !== this.fadingType) {
+            this._removeSprite(sprite);
+        }
     }
-    while (this._sprites.length > maxSprites) {
-        this._removeSprite();
+    this._updateSpriteCount(this.type, this.power);
+    if (this.fadingType !== this.type) {
+        this._updateSpriteCount(this.fadingType, this.fadingPower);
     }
     for (const sprite of this._sprites) {
         this._updateSprite(sprite);
@@ -125,19 +238,39 @@ export class Weather extends PIXI.Container {
     }
   };
 
-  _addSprite(): void {
+  _updateSpriteCount(type: WeatherType, power: number): void {
+    const sprites = this._sprites.filter(sprite => sprite.weatherType === type);
+    const maxSprites = type === "none" ? 0 : Math.floor(power * this._density(type));
+    for (let i = sprites.length; i < maxSprites; i++) {
+        this._addSprite(type);
+    }
+    for (let i = sprites.length; i > maxSprites; i--) {
+        this._removeSprite(sprites[i - 1]);
+    }
+  };
+
+  _addSprite(type: WeatherType): void {
     const sprite = new WeatherSprite((this as any).viewport);
+    sprite.weatherType = type;
     sprite.opacity = 0;
+    if (type === "fog" || type === "leaves") {
+        sprite.anchor.x = 0.5;
+        sprite.anchor.y = 0.5;
+        // Born right away so that they have a lifetime to fade in over.
+        this._rebornSprite(sprite);
+    }
     this._sprites.push(sprite);
     this.addChild(sprite);
   };
 
-  _removeSprite(): void {
-    this.removeChild(this._sprites.pop()!);
+  _removeSprite(sprite: WeatherSprite): void {
+    this._sprites.remove(sprite);
+    this.removeChild(sprite);
   };
 
   _updateSprite(sprite: WeatherSprite): void {
-    switch (this.type) {
+    sprite.age++;
+    switch (sprite.weatherType) {
         case "rain":
             this._updateRainSprite(sprite);
             break;
@@ -147,15 +280,32 @@ export class Weather extends PIXI.Container {
         case "snow":
             this._updateSnowSprite(sprite);
             break;
+        case "fog":
+            this._updateFogSprite(sprite);
+            break;
+        case "sandstorm":
+            this._updateSandstormSprite(sprite);
+            break;
+        case "leaves":
+            this._updateLeavesSprite(sprite);
+            break;
+        case "blizzard":
+            this._updateBlizzardSprite(sprite);
+            break;
     }
-    if (sprite.opacity < 40) {
+    if (sprite.life > 0 ? sprite.age >= sprite.life : sprite.opacity < 40) {
         this._rebornSprite(sprite);
     }
   };
 
+  _windAngle(): number {
+    // Tilts falling particles toward the direction of the wind.
+    return (this.wind * Math.PI) / 48;
+  };
+
   _updateRainSprite(sprite: WeatherSprite): void {
     sprite.bitmap = this._rainBitmap!;
-    sprite.rotation = Math.PI / 16;
+    sprite.rotation = Math.PI / 16 - this._windAngle();
     sprite.ax -= 6 * Math.sin(sprite.rotation);
     sprite.ay += 6 * Math.cos(sprite.rotation);
     sprite.opacity -= 6;
@@ -163,7 +313,7 @@ export class Weather extends PIXI.Container {
 
   _updateStormSprite(sprite: WeatherSprite): void {
     sprite.bitmap = this._stormBitmap!;
-    sprite.rotation = Math.PI / 8;
+    sprite.rotation = Math.PI / 8 - this._windAngle();
     sprite.ax -= 8 * Math.sin(sprite.rotation);
     sprite.ay += 8 * Math.cos(sprite.rotation);
     sprite.opacity -= 8;
@@ -171,15 +321,62 @@ export class Weather extends PIXI.Container {
 
   _updateSnowSprite(sprite: WeatherSprite): void {
     sprite.bitmap = this._snowBitmap!;
-    sprite.rotation = Math.PI / 16;
+    sprite.rotation = Math.PI / 16 - this._windAngle();
     sprite.ax -= 3 * Math.sin(sprite.rotation);
     sprite.ay += 3 * Math.cos(sprite.rotation);
     sprite.opacity -= 3;
   };
 
+  _updateFogSprite(sprite: WeatherSprite): void {
+    // Drifts with the wind and swells in and out over its lifetime.
+    sprite.bitmap = this._fogBitmap!;
+    sprite.scale.x = 3;
+    sprite.scale.y = 1.5;
+    sprite.ax += 0.2 + this.wind * 0.3;
+    sprite.opacity = 96 * Math.sin((Math.PI * sprite.age) / sprite.life);
+  };
+
+  _updateSandstormSprite(sprite: WeatherSprite): void {
+    // Blows to the right unless the wind blows to the left.
+    const direction = this.wind < 0 ? -1 : 1;
+    sprite.bitmap = this._sandBitmap!;
+    sprite.ax += direction * (8 + Math.abs(this.wind));
+    sprite.ay += 1 + Math.sin(sprite.age / 4 + sprite.spin);
+    sprite.opacity -= 4;
+  };
+
+  _updateLeavesSprite(sprite: WeatherSprite): void {
+    const fade = Math.min(sprite.age, sprite.life - sprite.age, 20) / 20;
+    sprite.ax += this.wind * 0.6 + Math.sin(sprite.age / 20 + sprite.spin) * 1.2;
+    sprite.ay += 1.5;
+    sprite.rotation += sprite.spin * 0.05;
+    sprite.opacity = 255 * fade;
+  };
+
+  _updateBlizzardSprite(sprite: WeatherSprite): void {
+    sprite.bitmap = this._blizzardBitmap!;
+    sprite.rotation = Math.PI / 5 - this._windAngle();
+    sprite.ax -= 7 * Math.sin(sprite.rotation);
+    sprite.ay += 7 * Math.cos(sprite.rotation);
+    sprite.opacity -= 5;
+  };
+
   _rebornSprite(sprite: WeatherSprite): void {
-    sprite.ax = Math.randomInt(Graphics.width + 100) - 100 + this.origin.x;
-    sprite.ay = Math.randomInt(Graphics.height + 200) - 200 + this.origin.y;
-    sprite.opacity = 160 + Math.randomInt(60);
+    // [Note] Particles use Math.random so that rendering never advances the
+    //   game's Random sequence.
+    sprite.ax = Math.floor(Math.random() * (Graphics.width + 100)) - 100 + this.origin.x;
+    sprite.ay = Math.floor(Math.random() * (Graphics.height + 200)) - 200 + this.origin.y;
+    sprite.opacity = 160 + Math.floor(Math.random() * 60);
+    sprite.age = 0;
+    sprite.spin = Math.random() * 2 - 1;
+    if (sprite.weatherType === "fog") {
+        sprite.life = 300 + Math.floor(Math.random() * 200);
+        sprite.opacity = 0;
+    } else if (sprite.weatherType === "leaves") {
+        const index = Math.floor(Math.random() * this._leafBitmaps.length);
+        sprite.bitmap = this._leafBitmaps[index];
+        sprite.life = 200 + Math.floor(Math.random() * 100);
+        sprite.opacity = 0;
+    }
   };
 }
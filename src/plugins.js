@@ -1,5 +1,6 @@
 // Generated by RPG Maker.
 // Do not edit this file directly.
 var $plugins = [
-  {"name":"Dev","status": true,"description":"Injections for rmmz-ts development","parameters":{}}
+  {"name":"Dev","status": true,"description":"Injections for rmmz-ts development","parameters":{}},
+  {"name":"Terms","status": true,"description":"Sets the terms that the database does not have.","parameters":{"textSpeed":"Text Speed","language":"Language","newerSaveMessage":"This file was saved by a newer version of the game.","recoveredMessage":"The save data was damaged, so a backup was loaded.","copySavefile":"Copy","deleteSavefile":"Delete","editNote":"Note","copyMessage":"Select the file to copy to.","levelLabel":""}}
 ];
@@ -0,0 +1,133 @@
+//=============================================================================
+// rmmz-ts - Day Night
+//=============================================================================
+
+/*:
+ * @target MZ
+ * @plugindesc Controls the time of day and the lights on the map.
+ *
+ * @help DayNight.js
+ *
+ * This plugin provides commands for the clock in Game_System, which sets the
+ * ambient light of maps without an <Ambient: r, g, b> note tag, and for the
+ * lights that characters carry.
+ *
+ * Events and actors get a light with a note tag:
+ *   <Light: 144, #ffcc88, 10>
+ * The radius is in pixels, and the optional pulse is the percent by which it
+ * grows and shrinks every second. The leader's light follows the player.
+ *
+ * @command setTime
+ * @text Set Time
+ * @desc Sets the time of day.
+ *
+ * @arg hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @default 12
+ * @text Hour
+ *
+ * @arg minute
+ * @type number
+ * @min 0
+ * @max 59
+ * @default 0
+ * @text Minute
+ *
+ * @command addTime
+ * @text Add Time
+ * @desc Moves the clock forward by the given minutes.
+ *
+ * @arg minutes
+ * @type number
+ * @min -1440
+ * @default 60
+ * @text Minutes
+ *
+ * @command setClock
+ * @text Set Clock
+ * @desc Starts or stops the clock and sets its speed.
+ *
+ * @arg running
+ * @type boolean
+ * @default true
+ * @text Running
+ *
+ * @arg speed
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @default 1
+ * @text Speed
+ * @desc Game minutes per second of play.
+ *
+ * @command setLight
+ * @text Set Light
+ * @desc Gives a character a light, or changes it over time.
+ *
+ * @arg characterId
+ * @type number
+ * @min -1
+ * @default 0
+ * @text Character
+ * @desc -1 for the player, 0 for this event, or an event ID.
+ *
+ * @arg radius
+ * @type number
+ * @min 0
+ * @default 144
+ * @text Radius
+ * @desc The radius in pixels. 0 turns the light off.
+ *
+ * @arg color
+ * @type string
+ * @default #ffffff
+ * @text Color
+ * @desc The color as #rrggbb.
+ *
+ * @arg pulse
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 0
+ * @text Pulse
+ * @desc The percent by which the radius changes every second.
+ *
+ * @arg duration
+ * @type number
+ * @min 0
+ * @default 0
+ * @text Duration
+ * @desc The frames over which the light changes.
+ */
+
+(() => {
+    const pluginName = "DayNight";
+
+    PluginManager.registerCommand(pluginName, "setTime", args => {
+        $gameSystem.setClockTime(Number(args.hour), Number(args.minute));
+    });
+
+    PluginManager.registerCommand(pluginName, "addTime", args => {
+        $gameSystem.addClockTime(Number(args.minutes));
+    });
+
+    PluginManager.registerCommand(pluginName, "setClock", args => {
+        $gameSystem.setClockSpeed(Number(args.speed));
+        if (args.running === "true") {
+            $gameSystem.startClock();
+        } else {
+            $gameSystem.stopClock();
+        }
+    });
+
+    PluginManager.registerCommand(pluginName, "setLight", function(args) {
+        const character = this.character(Number(args.characterId));
+        if (character) {
+            const radius = Number(args.radius);
+            const light = character.lightFromNote([radius, args.color, args.pulse].join(","));
+            character.setLight(radius > 0 ? light : null, Number(args.duration));
+        }
+    });
+})();
@@ -0,0 +1,67 @@
+//=============================================================================
+// rmmz-ts - Terms
+//=============================================================================
+
+/*:
+ * @target MZ
+ * @plugindesc Sets the terms that the database does not have.
+ *
+ * @help Terms.js
+ *
+ * This plugin sets the base language text of the terms that rmmz-ts adds to
+ * the options and save screens, since the editor's Terms tab does not list
+ * them. The locale bundles translate them with the keys
+ * "terms.messages.<parameter name>", such as "terms.messages.editNote".
+ *
+ * It does not provide plugin commands.
+ *
+ * @param textSpeed
+ * @text Text Speed
+ * @default Text Speed
+ *
+ * @param language
+ * @text Language
+ * @default Language
+ *
+ * @param newerSaveMessage
+ * @text Newer Save Message
+ * @desc Shown when a file was saved by a newer version of the game.
+ * @default This file was saved by a newer version of the game.
+ *
+ * @param recoveredMessage
+ * @text Recovered Message
+ * @desc Shown when a damaged save was loaded from its backup.
+ * @default The save data was damaged, so a backup was loaded.
+ *
+ * @param copySavefile
+ * @text Copy Command
+ * @default Copy
+ *
+ * @param deleteSavefile
+ * @text Delete Command
+ * @default Delete
+ *
+ * @param editNote
+ * @text Note Command
+ * @default Note
+ *
+ * @param copyMessage
+ * @text Copy Message
+ * @desc Shown while choosing the file to copy to.
+ * @default Select the file to copy to.
+ *
+ * @param levelLabel
+ * @text Level Label
+ * @desc The label of the level on the save screen. Empty uses "Level (abbr.)".
+ * @default
+ */
+
+(() => {
+    const pluginName = "Terms";
+    const parameters = PluginManager.parameters(pluginName);
+
+    const _TextManager_message = TextManager.message;
+    TextManager.message = function(messageId) {
+        return _TextManager_message.call(this, messageId) || parameters[messageId] || "";
+    };
+})();
@@ -0,0 +1,125 @@
+//=============================================================================
+// rmmz-ts - Weather
+//=============================================================================
+
+/*:
+ * @target MZ
+ * @plugindesc Sets the extended weather types, the wind and the weather BGS.
+ *
+ * @help Weather.js
+ *
+ * This plugin provides commands for the weather types that the editor's
+ * "Set Weather Effect" command does not offer, for the wind that blows the
+ * particles, and for the BGS that plays with each type of weather.
+ *
+ * A map sets its weather when it is entered with a note tag giving the type,
+ * the power and the optional wind:
+ *   <Weather: snow, 5, -3>
+ * Use <Weather: none> for maps, such as interiors, that have no weather.
+ *
+ * @command setWeather
+ * @text Set Weather
+ * @desc Changes the weather. A different type fades in over the old one.
+ *
+ * @arg type
+ * @type select
+ * @option none
+ * @option rain
+ * @option storm
+ * @option snow
+ * @option fog
+ * @option sandstorm
+ * @option leaves
+ * @option blizzard
+ * @default fog
+ * @text Type
+ *
+ * @arg power
+ * @type number
+ * @min 1
+ * @max 9
+ * @default 5
+ * @text Power
+ *
+ * @arg duration
+ * @type number
+ * @min 0
+ * @default 60
+ * @text Duration
+ * @desc The frames over which the weather changes.
+ *
+ * @arg wait
+ * @type boolean
+ * @default false
+ * @text Wait for Completion
+ *
+ * @command setWind
+ * @text Set Wind
+ * @desc Changes the wind that blows the weather.
+ *
+ * @arg power
+ * @type number
+ * @min -9
+ * @max 9
+ * @default 0
+ * @text Power
+ * @desc Positive blows to the right and negative to the left.
+ *
+ * @arg duration
+ * @type number
+ * @min 0
+ * @default 60
+ * @text Duration
+ * @desc The frames over which the wind changes.
+ *
+ * @command setWeatherBgs
+ * @text Set Weather BGS
+ * @desc Sets the BGS that plays with a type of weather.
+ *
+ * @arg type
+ * @type select
+ * @option rain
+ * @option storm
+ * @option snow
+ * @option fog
+ * @option sandstorm
+ * @option leaves
+ * @option blizzard
+ * @default rain
+ * @text Type
+ *
+ * @arg name
+ * @type file
+ * @dir audio/bgs/
+ * @text BGS
+ * @desc None stops the weather from playing a BGS.
+ *
+ * @arg volume
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 90
+ * @text Volume
+ * @desc The volume at the power of 9. Weaker weather is quieter.
+ */
+
+(() => {
+    const pluginName = "Weather";
+
+    PluginManager.registerCommand(pluginName, "setWeather", function(args) {
+        const duration = Number(args.duration);
+        $gameScreen.changeWeather(args.type, Number(args.power), duration);
+        if (args.wait === "true") {
+            this.wait(duration);
+        }
+    });
+
+    PluginManager.registerCommand(pluginName, "setWind", args => {
+        $gameScreen.changeWind(Number(args.power), Number(args.duration));
+    });
+
+    PluginManager.registerCommand(pluginName, "setWeatherBgs", args => {
+        const bgs = { name: args.name, volume: Number(args.volume), pitch: 100, pan: 0 };
+        $gameSystem.setWeatherBgs(args.type, args.name ? bgs : null);
+    });
+})();
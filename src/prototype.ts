@@ -1,3 +1,5 @@
+import { Random } from './dom/random';
+
 //-----------------------------------------------------------------------------
 /**
  * This section contains some methods that will be added to the standard
@@ -87,13 +89,14 @@ Object.defineProperty(Array.prototype, "remove", {
 
 /**
 * Generates a random integer in the range (0, max-1).
+* The value comes from Random, so it is reproducible from the seed.
 *
 * @memberof JsExtensions
 * @param {number} max - The upper boundary (excluded).
 * @returns {number} A random integer.
 */
 Math.randomInt = function(max) {
-  return Math.floor(max * Math.random());
+  return Random.randomInt(max);
 };
 
 /**
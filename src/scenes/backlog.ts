@@ -0,0 +1,83 @@
+import { Scene_MenuBase } from '.';
+import { Window_Backlog } from '../windows';
+import { ImageManager, SoundManager } from '../managers';
+import { $gameSystem } from '../managers';
+import { Rectangle } from '../pixi';
+import { Graphics, Input, TouchInput } from '../dom';
+
+//-----------------------------------------------------------------------------
+// Scene_Backlog
+//
+// The scene class of the screen for rereading the messages already shown.
+
+export class Scene_Backlog extends Scene_MenuBase {
+  _backlogWindow?: Window_Backlog
+
+  constructor()
+  constructor(thisClass: Constructable<Scene_Backlog>)
+  constructor(arg?: any) {
+    super(Scene_MenuBase);
+    if (typeof arg === "function" && arg === Scene_Backlog) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(..._: any): void {
+    super.initialize();
+  };
+
+  create(): void {
+    super.create();
+    this.loadFaces();
+    this.createBacklogWindow();
+  };
+
+  start(): void {
+    super.start();
+    // Redraws the faces, which are loaded by now.
+    this._backlogWindow!.paint();
+  };
+
+  update(): void {
+    super.update();
+    if (this.isCancelTriggered()) {
+        SoundManager.playCancel();
+        this.popScene();
+    }
+  };
+
+  isCancelTriggered(): boolean {
+    return (
+        Input.isTriggered("cancel") ||
+        Input.isTriggered("menu") ||
+        TouchInput.isCancelled()
+    );
+  };
+
+  helpAreaHeight(): number {
+    return 0;
+  };
+
+  loadFaces(): void {
+    for (const entry of $gameSystem.messageLog()) {
+        if (entry.faceName) {
+            ImageManager.loadFace(entry.faceName);
+        }
+    }
+  };
+
+  createBacklogWindow(): void {
+    const rect = this.backlogWindowRect();
+    this._backlogWindow = new Window_Backlog(rect);
+    this.addWindow(this._backlogWindow);
+  };
+
+  backlogWindowRect(): Rectangle {
+    const wx = 0;
+    const wy = this.mainAreaTop();
+    const ww = Graphics.boxWidth;
+    const wh = this.mainAreaHeight();
+    return new Rectangle(wx, wy, ww, wh);
+  };
+}
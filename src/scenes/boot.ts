@@ -2,7 +2,7 @@ import { Scene_Base } from '.';
 import { Scene_Title } from '.';
 import { Scene_Battle } from '.';
 import { Scene_Map } from '.';
-import { SceneManager, SoundManager, ColorManager, ImageManager, FontManager, ConfigManager, DataManager, StorageManager } from '../managers';
+import { SceneManager, SoundManager, ColorManager, ImageManager, FontManager, ConfigManager, DataManager, StorageManager, ReplayManager, LocaleManager } from '../managers';
 import { Graphics, Utils } from '../dom';
 import { Window_TitleCommand } from '../windows';
 import { $dataSystem } from '../managers';
@@ -33,14 +33,14 @@ export class Scene_Boot extends Scene_Base {
   create(): void {
     super.create();
     DataManager.loadDatabase();
-    StorageManager.updateForageKeys();
+    StorageManager.prepareBackend();
   };
 
   isReady(): boolean {
     if (!this._databaseLoaded) {
         if (
             DataManager.isDatabaseLoaded() &&
-            StorageManager.forageKeysUpdated()
+            StorageManager.isBackendReady()
         ) {
             this._databaseLoaded = true;
             this.onDatabaseLoaded();
@@ -52,6 +52,7 @@ export class Scene_Boot extends Scene_Base {
 
   onDatabaseLoaded(): void {
     this.setEncryptionInfo();
+    LocaleManager.loadIndex();
     this.loadSystemImages();
     this.loadPlayerData();
     this.loadGameFonts();
@@ -71,7 +72,11 @@ export class Scene_Boot extends Scene_Base {
 
   loadPlayerData(): void {
     DataManager.loadGlobalInfo();
+    DataManager.loadReadMessages();
     ConfigManager.load();
+    if (ReplayManager.isReplayRequested()) {
+        ReplayManager.loadRecording();
+    }
   };
 
   loadGameFonts(): void {
@@ -81,7 +86,13 @@ export class Scene_Boot extends Scene_Base {
   };
 
   isPlayerDataLoaded(): boolean {
-    return DataManager.isGlobalInfoLoaded() && ConfigManager.isLoaded();
+    return (
+        DataManager.isGlobalInfoLoaded() &&
+        DataManager.isReadMessagesLoaded() &&
+        ConfigManager.isLoaded() &&
+        LocaleManager.isReady() &&
+        (!ReplayManager.isReplayRequested() || ReplayManager.isLoaded())
+    );
   };
 
   start(): void {
@@ -93,6 +104,8 @@ export class Scene_Boot extends Scene_Base {
     } else if (DataManager.isEventTest()) {
         DataManager.setupEventTest();
         SceneManager.goto(Scene_Map);
+    } else if (ReplayManager.hasReplay()) {
+        ReplayManager.startReplay();
     } else {
         this.startNormalGame();
     }
@@ -1,5 +1,6 @@
 import { Scene_MenuBase } from '.';
-import { Window_Base, Window_DebugEdit, Window_DebugRange } from '../windows';
+import { Window_Base, Window_DebugEdit, Window_DebugRange, Window_DebugInterpreter } from '../windows';
+import { DebugManager } from '../managers';
 
 import { Rectangle } from '../pixi';
 import { Graphics } from '../dom';
@@ -12,6 +13,7 @@ import { Graphics } from '../dom';
 export class Scene_Debug extends Scene_MenuBase {
   _rangeWindow?: Window_DebugRange
   _editWindow?: Window_DebugEdit
+  _interpreterWindow?: Window_DebugInterpreter
   _debugHelpWindow?: Window_Base
 
   constructor()
@@ -32,9 +34,22 @@ export class Scene_Debug extends Scene_MenuBase {
     super.create();
     this.createRangeWindow();
     this.createEditWindow();
+    this.createInterpreterWindow();
     this.createDebugHelpWindow();
   };
 
+  update(): void {
+    super.update();
+    const interpreterMode = this.isInterpreterMode();
+    this._editWindow!.visible = !interpreterMode;
+    this._interpreterWindow!.visible = interpreterMode;
+  };
+
+  isInterpreterMode(): boolean {
+    const rangeWindow = this._rangeWindow!;
+    return rangeWindow.isInterpreterMode(rangeWindow.index());
+  };
+
   needsCancelButton(): boolean {
     return false;
   };
@@ -71,6 +86,18 @@ export class Scene_Debug extends Scene_MenuBase {
     return new Rectangle(wx, wy, ww, wh);
   };
 
+  createInterpreterWindow(): void {
+    const rect = this.editWindowRect();
+    this._interpreterWindow = new Window_DebugInterpreter(rect);
+    this._interpreterWindow.setHandler("ok", this.onInterpreterOk.bind(this));
+    this._interpreterWindow.setHandler("shift", this.onStepInto.bind(this));
+    this._interpreterWindow.setHandler("pagedown", this.onStepOver.bind(this));
+    this._interpreterWindow.setHandler("pageup", this.onResume.bind(this));
+    this._interpreterWindow.setHandler("cancel", this.onInterpreterCancel.bind(this));
+    this._interpreterWindow.hide();
+    this.addWindow(this._interpreterWindow);
+  };
+
   createDebugHelpWindow(): void {
     const rect = this.debugHelpWindowRect();
     this._debugHelpWindow = new Window_Base(rect);
@@ -86,8 +113,49 @@ export class Scene_Debug extends Scene_MenuBase {
   };
 
   onRangeOk(): void {
-    this._editWindow!.activate();
-    this._editWindow!.select(0);
+    if (this.isInterpreterMode()) {
+        this._interpreterWindow!.refresh();
+        this._interpreterWindow!.activate();
+        this._interpreterWindow!.select(0);
+    } else {
+        this._editWindow!.activate();
+        this._editWindow!.select(0);
+    }
+    this.refreshHelpWindow();
+  };
+
+  onInterpreterOk(): void {
+    const interpreter = this._interpreterWindow!.interpreter();
+    if (interpreter) {
+        DebugManager.toggleBreakpoint(interpreter);
+    }
+    this.onInterpreterCommand();
+  };
+
+  onStepInto(): void {
+    DebugManager.stepInto();
+    this.onInterpreterCommand();
+  };
+
+  onStepOver(): void {
+    DebugManager.stepOver();
+    this.onInterpreterCommand();
+  };
+
+  onResume(): void {
+    DebugManager.resume();
+    this.onInterpreterCommand();
+  };
+
+  onInterpreterCommand(): void {
+    this._interpreterWindow!.refresh();
+    this._interpreterWindow!.activate();
+    this.refreshHelpWindow();
+  };
+
+  onInterpreterCancel(): void {
+    this._rangeWindow!.activate();
+    this._interpreterWindow!.deselect();
     this.refreshHelpWindow();
   };
 
@@ -100,14 +168,16 @@ export class Scene_Debug extends Scene_MenuBase {
   refreshHelpWindow(): void {
     const helpWindow = this._debugHelpWindow!;
     helpWindow.contents.clear();
-    if (this._editWindow!.active) {
+    if (this._editWindow!.active || this._interpreterWindow!.active) {
         const rect = helpWindow.baseTextRect();
         helpWindow.drawTextEx(this.helpText(), rect.x, rect.y, rect.width);
     }
   };
 
   helpText(): string {
-    if ((this._rangeWindow as any).mode() === "switch") {
+    if (this._interpreterWindow!.active) {
+        return this.interpreterHelpText();
+    } else if ((this._rangeWindow as any).mode() === "switch") {
         return "Enter : ON / OFF";
     } else {
         return (
@@ -116,4 +186,17 @@ export class Scene_Debug extends Scene_MenuBase {
         );
     }
   };
+
+  interpreterHelpText(): string {
+    const state = this._interpreterWindow!.state();
+    const branch = state ? JSON.stringify(state.branch) : "";
+    const wait = state ? state.waitMode + " " + state.waitCount : "";
+    const indent = state ? state.indent : "";
+    return (
+        "Indent : " + indent + "    Wait : " + wait + "\n" +
+        "Branch : " + branch + "\n" +
+        "Enter    : Breakpoint  Shift  : Step into\n" +
+        "Pagedown : Step over   Pageup : Continue"
+    );
+  };
 }
@@ -1,6 +1,7 @@
 import { Scene_MenuBase } from '.';
-import { Window_Help, Window_SavefileList } from '../windows';
-import { DataManager } from '../managers';
+import { Scene_SavefileNote } from '.';
+import { Window_Help, Window_SavefileList, Window_SavefileCommand } from '../windows';
+import { DataManager, SceneManager, SoundManager, TextManager } from '../managers';
 import { Rectangle } from '../pixi';
 import { Graphics } from '../dom';
 import { $gameSystem } from '../managers';
@@ -12,6 +13,8 @@ import { $gameSystem } from '../managers';
 
 export class Scene_File extends Scene_MenuBase {
   _listWindow?: Window_SavefileList
+  _commandWindow?: Window_SavefileCommand
+  _copySourceId = -1
 
   constructor()
   constructor(thisClass: Constructable<Scene_File>)
@@ -25,6 +28,11 @@ export class Scene_File extends Scene_MenuBase {
 
   initialize(..._: any): void {
     super.initialize();
+    this._copySourceId = -1;
+  };
+
+  isReady(): boolean {
+    return super.isReady() && DataManager.areSavefileSnapshotsLoaded();
   };
 
   create(): void {
@@ -32,6 +40,7 @@ export class Scene_File extends Scene_MenuBase {
     DataManager.loadAllSavefileImages();
     this.createHelpWindow();
     this.createListWindow();
+    this.createCommandWindow();
     this._helpWindow!.setText(this.helpWindowText());
   };
 
@@ -69,8 +78,9 @@ export class Scene_File extends Scene_MenuBase {
   createListWindow(): void {
     const rect = this.listWindowRect();
     this._listWindow = new Window_SavefileList(rect);
-    this._listWindow.setHandler("ok", this.onSavefileOk.bind(this));
-    this._listWindow.setHandler("cancel", this.popScene.bind(this));
+    this._listWindow.setHandler("ok", this.onListOk.bind(this));
+    this._listWindow.setHandler("cancel", this.onListCancel.bind(this));
+    this._listWindow.setHandler("shift", this.onListShift.bind(this));
     this._listWindow.setMode(this.mode(), this.needsAutosave());
     this._listWindow.selectSavefile(this.firstSavefileId());
     this._listWindow.refresh();
@@ -85,6 +95,24 @@ export class Scene_File extends Scene_MenuBase {
     return new Rectangle(wx, wy, ww, wh);
   };
 
+  createCommandWindow(): void {
+    const rect = this.commandWindowRect();
+    this._commandWindow = new Window_SavefileCommand(rect);
+    this._commandWindow.setHandler("copy", this.commandCopy.bind(this));
+    this._commandWindow.setHandler("delete", this.commandDelete.bind(this));
+    this._commandWindow.setHandler("note", this.commandNote.bind(this));
+    this._commandWindow.setHandler("cancel", this.onCommandCancel.bind(this));
+    this.addWindow(this._commandWindow);
+  };
+
+  commandWindowRect(): Rectangle {
+    const ww = 240;
+    const wh = this.calcWindowHeight(4, true);
+    const wx = (Graphics.boxWidth - ww) / 2;
+    const wy = this.mainAreaTop() + (this.mainAreaHeight() - wh) / 2;
+    return new Rectangle(wx, wy, ww, wh);
+  };
+
   mode(): string | null {
     return null;
   };
@@ -105,6 +133,93 @@ export class Scene_File extends Scene_MenuBase {
     return 0;
   };
 
+  onListOk(): void {
+    if (this.isCopying()) {
+        this.onCopyDestinationOk();
+    } else {
+        this.onSavefileOk();
+    }
+  };
+
+  onListCancel(): void {
+    if (this.isCopying()) {
+        this.endCopy();
+        this.activateListWindow();
+    } else {
+        this.popScene();
+    }
+  };
+
+  onListShift(): void {
+    if (this.isCopying()) {
+        this.activateListWindow();
+    } else {
+        this._commandWindow!.setSavefileId(this.savefileId());
+        this._commandWindow!.open();
+        this._commandWindow!.activate();
+    }
+  };
+
+  onCommandCancel(): void {
+    this._commandWindow!.close();
+    this.activateListWindow();
+  };
+
+  commandCopy(): void {
+    this._commandWindow!.close();
+    this._copySourceId = this.savefileId();
+    this._listWindow!.setMode("copy", this.needsAutosave());
+    this._helpWindow!.setText(TextManager.copyMessage);
+    this.activateListWindow();
+  };
+
+  commandDelete(): void {
+    this._commandWindow!.close();
+    DataManager.deleteSavefile(this.savefileId())
+        .then(() => this.onFileCommandSuccess())
+        .catch(() => this.onFileCommandFailure());
+  };
+
+  commandNote(): void {
+    SceneManager.push(Scene_SavefileNote);
+    SceneManager.prepareNextScene(this.savefileId());
+  };
+
+  isCopying(): boolean {
+    return this._copySourceId >= 0;
+  };
+
+  onCopyDestinationOk(): void {
+    const sourceId = this._copySourceId;
+    const destinationId = this.savefileId();
+    this.endCopy();
+    if (sourceId === destinationId) {
+        this.activateListWindow();
+    } else {
+        DataManager.copySavefile(sourceId, destinationId)
+            .then(() => this.onFileCommandSuccess())
+            .catch(() => this.onFileCommandFailure());
+    }
+  };
+
+  endCopy(): void {
+    this._copySourceId = -1;
+    this._listWindow!.setMode(this.mode(), this.needsAutosave());
+    this._helpWindow!.setText(this.helpWindowText());
+  };
+
+  onFileCommandSuccess(): void {
+    SoundManager.playSave();
+    this._listWindow!.refresh();
+    this.activateListWindow();
+  };
+
+  onFileCommandFailure(): void {
+    SoundManager.playBuzzer();
+    this._listWindow!.refresh();
+    this.activateListWindow();
+  };
+
   onSavefileOk(): void {
     //
   };
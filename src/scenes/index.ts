@@ -16,6 +16,9 @@ export { Scene_Base } from './base';
     export { Scene_File } from './file';
       export { Scene_Load } from './load';
       export { Scene_Save } from './save';
+    export { Scene_SavefileNote } from './savefileNote';
+    export { Scene_Backlog } from './backlog';
+    export { Scene_WorldMap } from './worldMap';
     export { Scene_GameEnd } from './gameEnd';
     export { Scene_ItemBase } from './itemBase';
       export { Scene_Item } from './item';
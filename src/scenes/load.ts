@@ -4,6 +4,7 @@ import { Scene_Map } from '.';
 import { SceneManager, SoundManager, DataManager, TextManager } from '../managers';
 import { $gameMap, $gamePlayer, $gameSystem } from '../managers';
 import { $dataSystem } from '../managers';
+import { Input, TouchInput } from '../dom';
 
 //-----------------------------------------------------------------------------
 // Scene_Load
@@ -12,6 +13,7 @@ import { $dataSystem } from '../managers';
 
 export class Scene_Load extends Scene_File {
   _loadSuccess = false
+  _recoveryWait = 0
 
   constructor()
   constructor(thisClass: Constructable<Scene_Load>)
@@ -26,6 +28,22 @@ export class Scene_Load extends Scene_File {
   initialize(..._: any): void {
     super.initialize();
     this._loadSuccess = false;
+    this._recoveryWait = 0;
+  };
+
+  update(): void {
+    super.update();
+    if (this._recoveryWait > 0) {
+        this.updateRecoveryWait();
+    }
+  };
+
+  updateRecoveryWait(): void {
+    this._recoveryWait--;
+    if (this._recoveryWait === 0 || Input.isTriggered("ok") || TouchInput.isClicked()) {
+        this._recoveryWait = 0;
+        this.startLoadedGame();
+    }
   };
 
   terminate(): void {
@@ -50,7 +68,10 @@ export class Scene_Load extends Scene_File {
   onSavefileOk(): void {
     super.onSavefileOk();
     const savefileId = this.savefileId();
-    if (this.isSavefileEnabled(savefileId)) {
+    this._helpWindow!.setText(this.helpWindowText());
+    if (DataManager.isSavefileNewer(savefileId)) {
+        this.onLoadFailure();
+    } else if (this.isSavefileEnabled(savefileId)) {
         this.executeLoad(savefileId);
     } else {
         this.onLoadFailure();
@@ -65,6 +86,19 @@ export class Scene_Load extends Scene_File {
 
   onLoadSuccess(): void {
     SoundManager.playLoad();
+    if (DataManager.isRecoveredFromBackup()) {
+        this._helpWindow!.setText(TextManager.recoveredMessage);
+        this._recoveryWait = this.recoveryWaitFrames();
+    } else {
+        this.startLoadedGame();
+    }
+  };
+
+  recoveryWaitFrames(): number {
+    return 180;
+  };
+
+  startLoadedGame(): void {
     this.fadeOutAll();
     this.reloadMapIfUpdated();
     SceneManager.goto(Scene_Map);
@@ -73,6 +107,9 @@ export class Scene_Load extends Scene_File {
 
   onLoadFailure(): void {
     SoundManager.playBuzzer();
+    if (DataManager.isSavefileNewer(this.savefileId())) {
+        this._helpWindow!.setText(TextManager.newerSaveMessage);
+    }
     this.activateListWindow();
   };
 
@@ -5,6 +5,8 @@ import { Scene_Title } from '.';
 import { Scene_Gameover } from '.';
 import { Scene_Menu } from '.';
 import { Scene_Debug } from '.';
+import { Scene_Backlog } from '.';
+import { Scene_WorldMap } from '.';
 import {
   AudioManager,
   BattleManager,
@@ -18,7 +20,7 @@ import {
 import { Graphics, Input, TouchInput } from '../dom';
 import { Rectangle } from '../pixi';
 import { Window_MapName, Window_MenuCommand } from '../windows';
-import { Spriteset_Map, Sprite_Button } from '../sprites';
+import { Spriteset_Map, Sprite_Button, Sprite_Minimap } from '../sprites';
 import { $gameMap, $gameMessage, $gamePlayer, $gameScreen, $gameSystem, $gameTemp, $gameTimer } from '../managers';
 import { $dataMap } from '../managers';
 import { MZ } from '../MZ';
@@ -39,6 +41,7 @@ export class Scene_Map extends Scene_Message {
   
   _mapNameWindow?: Window_MapName
   _menuButton?: Sprite_Button
+  _minimap?: Sprite_Minimap
   _spriteset?: Spriteset_Map
 
   menuCalling = false
@@ -123,12 +126,14 @@ export class Scene_Map extends Scene_Message {
     this.updateDestination();
     this.updateMenuButton();
     this.updateMapNameWindow();
+    this.updateMinimap();
     this.updateMainMultiply();
     if (this.isSceneChangeOk()) {
         this.updateScene();
     } else if (SceneManager.isNextScene(Scene_Battle)) {
         this.updateEncounterEffect();
     }
+    this.updateCallBacklog();
     this.updateWaitCount();
   };
 
@@ -185,6 +190,7 @@ export class Scene_Map extends Scene_Message {
     if (!SceneManager.isNextScene(Scene_Battle)) {
         this._spriteset!.update();
         this._mapNameWindow!.hide();
+        this._minimap!.visible = false;
         this.hideMenuButton();
         SceneManager.snapForBackground();
     }
@@ -246,6 +252,19 @@ export class Scene_Map extends Scene_Message {
     }
   };
 
+  updateMinimap(): void {
+    if (this.isSceneChangeOk() && this.isMinimapToggled()) {
+        $gameSystem.setMinimapVisible(!$gameSystem.isMinimapVisible());
+    }
+    this._minimap!.visible = $gameSystem.isMinimapVisible() && $gameMap.isMinimapEnabled();
+  };
+
+  isMinimapToggled(): boolean {
+    // [Note] The tab key switches the skip mode of messages, so the minimap
+    //   is toggled with the map key while shift is held.
+    return Input.isTriggered("map") && Input.isPressed("shift");
+  };
+
   isMenuEnabled(): boolean {
     return $gameSystem.isMenuEnabled() && !$gameMap.isEventRunning();
   };
@@ -268,7 +287,10 @@ export class Scene_Map extends Scene_Message {
   };
 
   isAnyButtonPressed(): boolean {
-    return !!this._menuButton && this._menuButton.isPressed();
+    return (
+        (!!this._menuButton && this._menuButton.isPressed()) ||
+        this._minimap!.isPressed()
+    );
   };
 
   onMapTouch(): void {
@@ -292,6 +314,9 @@ export class Scene_Map extends Scene_Message {
     if (!SceneManager.isSceneChanging()) {
         this.updateCallMenu();
     }
+    if (!SceneManager.isSceneChanging()) {
+        this.updateCallWorldMap();
+    }
     if (!SceneManager.isSceneChanging()) {
         this.updateCallDebug();
     }
@@ -299,6 +324,7 @@ export class Scene_Map extends Scene_Message {
 
   createDisplayObjects(): void {
     this.createSpriteset();
+    this.createMinimap();
     this.createWindowLayer();
     this.createAllWindows();
     this.createButtons();
@@ -310,6 +336,27 @@ export class Scene_Map extends Scene_Message {
     this._spriteset.update();
   };
 
+  createMinimap(): void {
+    // [Note] Added below the window layer, which draws its other children
+    //   over every window, so that messages are shown over it.
+    const rect = this.minimapRect();
+    this._minimap = new Sprite_Minimap(rect.width, rect.height);
+    this._minimap.x = rect.x + (Graphics.width - Graphics.boxWidth) / 2;
+    this._minimap.y = rect.y + (Graphics.height - Graphics.boxHeight) / 2;
+    this._minimap.setClickHandler(() => Input.virtualClick("map"));
+    this.addChild(this._minimap);
+    this.updateMinimap();
+  };
+
+  minimapRect(): Rectangle {
+    // At the top right, below the menu button.
+    const ww = 192;
+    const wh = 144;
+    const wx = Graphics.boxWidth - ww - 8;
+    const wy = (ConfigManager.touchUI && !this.isBottomButtonMode() ? this.buttonAreaBottom() : 0) + 8;
+    return new Rectangle(wx, wy, ww, wh);
+  };
+
   createAllWindows(): void {
     this.createMapNameWindow();
     super.createAllWindows();
@@ -381,6 +428,35 @@ export class Scene_Map extends Scene_Message {
     this._waitCount = 2;
   };
 
+  updateCallBacklog(): void {
+    // The backlog can also be opened while a message is showing.
+    if (this.isActive() && !SceneManager.isSceneChanging() && this.isBacklogCalled()) {
+        SoundManager.playOk();
+        SceneManager.push(Scene_Backlog);
+        $gameTemp.clearDestination();
+    }
+  };
+
+  isBacklogCalled(): boolean {
+    return Input.isTriggered("pageup") && $gameSystem.messageLog().length > 0;
+  };
+
+  updateCallWorldMap(): void {
+    if (this.isWorldMapEnabled() && this.isWorldMapCalled()) {
+        SoundManager.playOk();
+        SceneManager.push(Scene_WorldMap);
+        $gameTemp.clearDestination();
+    }
+  };
+
+  isWorldMapEnabled(): boolean {
+    return $gameMap.isMinimapEnabled() && !$gameMap.isEventRunning();
+  };
+
+  isWorldMapCalled(): boolean {
+    return Input.isTriggered("map") && !Input.isPressed("shift");
+  };
+
   updateCallDebug(): void {
     if (this.isDebugCalled()) {
         SceneManager.push(Scene_Debug);
@@ -1,7 +1,7 @@
 import { Scene_MenuBase } from '.';
 
 import { Window_Options } from '../windows';
-import { ConfigManager } from '../managers';
+import { ConfigManager, LocaleManager } from '../managers';
 import { Rectangle } from '../pixi';
 import { Graphics } from '../dom';
 
@@ -55,7 +55,7 @@ export class Scene_Options extends Scene_MenuBase {
 
   maxCommands(): number {
     // Increase this value when adding option items.
-    return 7;
+    return LocaleManager.locales().length > 1 ? 9 : 8;
   };
 
   maxVisibleCommands(): number {
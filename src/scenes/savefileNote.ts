@@ -0,0 +1,90 @@
+import { Scene_MenuBase } from '.';
+
+import { Window_Base, Window_NoteEdit, Window_NameInput } from '../windows';
+import { DataManager } from '../managers';
+import { Rectangle } from '../pixi';
+import { Graphics } from '../dom';
+
+//-----------------------------------------------------------------------------
+// Scene_SavefileNote
+//
+// The scene class of the screen for editing the note of a save file.
+
+export class Scene_SavefileNote extends Scene_MenuBase {
+  _savefileId = 0
+  _maxLength = 0
+  _editWindow?: Window_NoteEdit
+  _inputWindow?: Window_NameInput
+
+  constructor()
+  constructor(thisClass: Constructable<Scene_SavefileNote>)
+  constructor(arg?: any) {
+    super(Scene_MenuBase);
+    if (typeof arg === "function" && arg === Scene_SavefileNote) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(..._: any): void {
+    super.initialize();
+  };
+
+  prepare(savefileId: number, maxLength = 20): void {
+    this._savefileId = savefileId;
+    this._maxLength = maxLength;
+  };
+
+  create(): void {
+    super.create();
+    this.createEditWindow();
+    this.createInputWindow();
+  };
+
+  start(): void {
+    super.start();
+    this._editWindow!.refresh();
+  };
+
+  createEditWindow(): void {
+    const rect = this.editWindowRect();
+    this._editWindow = new Window_NoteEdit(rect);
+    this._editWindow.setupText(
+        DataManager.savefileNote(this._savefileId),
+        this._maxLength
+    );
+    // [Note] Window_NameEdit's name() shadows the name property of
+    //   PIXI.DisplayObject, so the window is added as the Window_Base it is.
+    this.addWindow(this._editWindow as unknown as Window_Base);
+  };
+
+  editWindowRect(): Rectangle {
+    const inputWindowHeight = this.calcWindowHeight(9, true);
+    const ww = 600;
+    const wh = this.calcWindowHeight(1, false);
+    const wx = (Graphics.boxWidth - ww) / 2;
+    const wy = (Graphics.boxHeight - (wh + inputWindowHeight + 8)) / 2;
+    return new Rectangle(wx, wy, ww, wh);
+  };
+
+  createInputWindow(): void {
+    const rect = this.inputWindowRect();
+    this._inputWindow = new Window_NameInput(rect);
+    this._inputWindow.setEditWindow(this._editWindow!);
+    this._inputWindow.setHandler("ok", this.onInputOk.bind(this));
+    this.addWindow(this._inputWindow);
+  };
+
+  inputWindowRect(): Rectangle {
+    const wx = this._editWindow!.x;
+    const wy = this._editWindow!.y + this._editWindow!.height + 8;
+    const ww = this._editWindow!.width;
+    const wh = this.calcWindowHeight(9, true);
+    return new Rectangle(wx, wy, ww, wh);
+  };
+
+  onInputOk(): void {
+    DataManager.setSavefileNote(this._savefileId, this._editWindow!.note());
+    this.popScene();
+  };
+}
@@ -0,0 +1,177 @@
+import { Scene_MenuBase } from '.';
+import { Sprite_Minimap } from '../sprites';
+import { SoundManager } from '../managers';
+import { $gameMap, $gamePlayer } from '../managers';
+import { Rectangle } from '../pixi';
+import { Graphics, Input, TouchInput } from '../dom';
+
+//-----------------------------------------------------------------------------
+// Scene_WorldMap
+//
+// The scene class of the full screen map, which can be panned and zoomed.
+
+export class Scene_WorldMap extends Scene_MenuBase {
+  _mapSprite?: Sprite_Minimap
+  _zoomIndex = 0
+  _dragX = 0
+  _dragY = 0
+
+  constructor()
+  constructor(thisClass: Constructable<Scene_WorldMap>)
+  constructor(arg?: any) {
+    super(Scene_MenuBase);
+    if (typeof arg === "function" && arg === Scene_WorldMap) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(..._: any): void {
+    super.initialize();
+    this._zoomIndex = 0;
+    this._dragX = 0;
+    this._dragY = 0;
+  };
+
+  create(): void {
+    super.create();
+    this.createHelpWindow();
+    this.createMapSprite();
+  };
+
+  start(): void {
+    super.start();
+    this._helpWindow!.setText($gameMap.displayName());
+  };
+
+  update(): void {
+    super.update();
+    if (this.isCancelTriggered()) {
+        SoundManager.playCancel();
+        this.popScene();
+    } else {
+        this.updateZoom();
+        this.updateScroll();
+        this.updateDrag();
+    }
+  };
+
+  isCancelTriggered(): boolean {
+    return (
+        Input.isTriggered("cancel") ||
+        Input.isTriggered("menu") ||
+        Input.isTriggered("map") ||
+        TouchInput.isCancelled()
+    );
+  };
+
+  helpAreaHeight(): number {
+    return this.calcWindowHeight(1, false);
+  };
+
+  createMapSprite(): void {
+    const rect = this.mapSpriteRect();
+    this._mapSprite = new Sprite_Minimap(rect.width, rect.height);
+    this._mapSprite.x = rect.x;
+    this._mapSprite.y = rect.y;
+    this._mapSprite.setCenter($gamePlayer._realX + 0.5, $gamePlayer._realY + 0.5);
+    this._zoomIndex = this.fittingZoomIndex(rect);
+    this._mapSprite.setZoom(this.zoomLevels()[this._zoomIndex]);
+    this.addWindow(this._mapSprite);
+  };
+
+  mapSpriteRect(): Rectangle {
+    const wx = 0;
+    const wy = this.mainAreaTop();
+    const ww = Graphics.boxWidth;
+    const wh = this.mainAreaHeight();
+    return new Rectangle(wx, wy, ww, wh);
+  };
+
+  zoomLevels(): number[] {
+    return [0.5, 1, 2, 4];
+  };
+
+  fittingZoomIndex(rect: Rectangle): number {
+    // The largest zoom that shows the whole map, or the smallest one.
+    const size = this._mapSprite!.tileSize();
+    const levels = this.zoomLevels();
+    for (let i = levels.length - 1; i > 0; i--) {
+        const scale = size * levels[i];
+        if ($gameMap.width() * scale <= rect.width && $gameMap.height() * scale <= rect.height) {
+            return i;
+        }
+    }
+    return 0;
+  };
+
+  needsPageButtons(): boolean {
+    return true;
+  };
+
+  createPageButtons(): void {
+    super.createPageButtons();
+    this._pageupButton!.setClickHandler(this.changeZoom.bind(this, -1));
+    this._pagedownButton!.setClickHandler(this.changeZoom.bind(this, 1));
+  };
+
+  updateZoom(): void {
+    if (Input.isRepeated("pagedown") || TouchInput.wheelY < 0) {
+        this.changeZoom(1);
+    } else if (Input.isRepeated("pageup") || TouchInput.wheelY > 0) {
+        this.changeZoom(-1);
+    }
+  };
+
+  changeZoom(delta: number): void {
+    const index = (this._zoomIndex + delta).clamp(0, this.zoomLevels().length - 1);
+    if (index !== this._zoomIndex) {
+        SoundManager.playCursor();
+        this._zoomIndex = index;
+        this._mapSprite!.setZoom(this.zoomLevels()[index]);
+    }
+  };
+
+  updateScroll(): void {
+    const d = Input.dir8;
+    if (Input.isTriggered("ok")) {
+        this.scrollTo($gamePlayer._realX + 0.5, $gamePlayer._realY + 0.5);
+    } else if (d > 0) {
+        const dx = d % 3 === 0 ? 1 : d % 3 === 1 ? -1 : 0;
+        const dy = d <= 3 ? 1 : d >= 7 ? -1 : 0;
+        const speed = this.scrollSpeed() / this.tileScale();
+        const sprite = this._mapSprite!;
+        this.scrollTo(sprite.centerX() + dx * speed, sprite.centerY() + dy * speed);
+    }
+  };
+
+  updateDrag(): void {
+    // Drags the map with the mouse or a finger.
+    if (TouchInput.isTriggered()) {
+        this._dragX = TouchInput.x;
+        this._dragY = TouchInput.y;
+    } else if (TouchInput.isPressed() && TouchInput.isMoved()) {
+        const scale = this.tileScale();
+        const sprite = this._mapSprite!;
+        const x = sprite.centerX() - (TouchInput.x - this._dragX) / scale;
+        const y = sprite.centerY() - (TouchInput.y - this._dragY) / scale;
+        this._dragX = TouchInput.x;
+        this._dragY = TouchInput.y;
+        this.scrollTo(x, y);
+    }
+  };
+
+  scrollTo(x: number, y: number): void {
+    this._mapSprite!.setCenter(x.clamp(0, $gameMap.width()), y.clamp(0, $gameMap.height()));
+  };
+
+  tileScale(): number {
+    // The screen pixels per tile.
+    return this._mapSprite!.tileSize() * this._mapSprite!.zoom();
+  };
+
+  scrollSpeed(): number {
+    // In screen pixels per frame.
+    return 8;
+  };
+}
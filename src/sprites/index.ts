@@ -4,6 +4,7 @@ export { Sprite_Clickable } from './clickable';
     export { Sprite_Enemy } from './enemy';
   export { Sprite_Button } from './button';
   export { Sprite_Picture } from './picture';
+  export { Sprite_Minimap } from './minimap';
 export { Sprite_Animation } from './animation';
 export { Sprite_AnimationMV } from './animationMV';
 export { Sprite_Balloon } from './balloon';
@@ -11,6 +12,7 @@ export { Sprite_Character } from './character';
 export { Sprite_Damage } from './damage';
 export { Sprite_Destination } from './destination';
 export { Sprite_Gauge } from './gauge';
+export { Sprite_Lighting } from './lighting';
 export { Sprite_Name } from './name';
 export { Sprite_StateIcon } from './stateIcon';
 export { Sprite_StateOverlay } from './stateOverlay';
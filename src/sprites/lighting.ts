@@ -0,0 +1,125 @@
+import { Sprite, Bitmap } from '../pixi';
+import { Graphics } from '../dom';
+import { $gameMap, $gamePlayer } from '../managers';
+import type { CharacterLight, Game_Character } from '../game';
+import { MZ } from '../MZ';
+
+type LightSpot = {
+  x: number
+  y: number
+  radius: number
+  color: MZ.RGBColorArray
+};
+
+//-----------------------------------------------------------------------------
+// Sprite_Lighting
+//
+// The sprite for darkening the map with its ambient light, and for lighting
+// the map around the characters that carry a light.
+
+export class Sprite_Lighting extends Sprite {
+  _drawnState = ""
+
+  constructor()
+  constructor(thisClass: Constructable<Sprite_Lighting>)
+  constructor(arg?: any) {
+    super(Sprite);
+    if (typeof arg === "function" && arg === Sprite_Lighting) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(..._: any): void {
+    super.initialize();
+    this._drawnState = "";
+    this.createBitmap();
+    this.update();
+  };
+
+  destroy(options?: any): void {
+    this.bitmap!.destroy();
+    super.destroy(options);
+  };
+
+  createBitmap(): void {
+    this.bitmap = new Bitmap(Graphics.width, Graphics.height);
+    // Multiplied with the map, so that white leaves it as it is.
+    this.blendMode = 2;
+  };
+
+  update(): void {
+    super.update();
+    const ambient = $gameMap.ambientColor();
+    this.visible = ambient.some(value => value < 255);
+    if (this.visible) {
+        // [Note] The bitmap is drawn again only when the light or the
+        //   positions have changed, as uploading it is slow.
+        const spots = this.lightSpots();
+        const state = JSON.stringify([ambient.map(Math.round), spots]);
+        if (state !== this._drawnState) {
+            this._drawnState = state;
+            this.redraw(ambient, spots);
+        }
+    } else {
+        this._drawnState = "";
+    }
+  };
+
+  redraw(ambient: MZ.RGBColorArray, spots: LightSpot[]): void {
+    this.bitmap!.fillAll(this.colorText(ambient, 1));
+    for (const spot of spots) {
+        this.drawLight(spot);
+    }
+  };
+
+  lightSpots(): LightSpot[] {
+    // The lights on the screen, rounded to whole pixels.
+    const spots: LightSpot[] = [];
+    for (const character of this.characters()) {
+        const light = character.light();
+        if (light && light.radius > 0) {
+            const spot = this.lightSpot(character, light);
+            if (
+                spot.x + spot.radius > 0 &&
+                spot.y + spot.radius > 0 &&
+                spot.x - spot.radius < Graphics.width &&
+                spot.y - spot.radius < Graphics.height
+            ) {
+                spots.push(spot);
+            }
+        }
+    }
+    return spots;
+  };
+
+  characters(): Game_Character[] {
+    const events: Game_Character[] = $gameMap.events();
+    return events.concat($gamePlayer.followers().data(), $gamePlayer);
+  };
+
+  lightSpot(character: Game_Character, light: CharacterLight): LightSpot {
+    const wave = light.pulse > 0 ? Math.sin((Graphics.frameCount * Math.PI) / 30) : 0;
+    return {
+        x: Math.round(character.screenX()),
+        y: Math.round(character.screenY() - $gameMap.tileHeight() / 2),
+        radius: Math.round(light.radius * (1 + (light.pulse / 100) * wave)),
+        color: light.color.map(Math.round) as MZ.RGBColorArray
+    };
+  };
+
+  drawLight(spot: LightSpot): void {
+    this.bitmap!.gradientFillCircle(
+        spot.x,
+        spot.y,
+        spot.radius,
+        this.colorText(spot.color, 1),
+        this.colorText(spot.color, 0)
+    );
+  };
+
+  colorText(color: MZ.RGBColorArray, alpha: number): string {
+    const [r, g, b] = color.map(Math.round);
+    return "rgba(%1,%2,%3,%4)".format(r, g, b, alpha);
+  };
+}
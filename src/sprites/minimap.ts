@@ -0,0 +1,292 @@
+import { Sprite, Bitmap } from '../pixi';
+import { Sprite_Clickable } from '.';
+import { $dataMap, $gameMap, $gamePlayer } from '../managers';
+import type { Game_Event } from '../game';
+import { MZ } from '../MZ';
+
+type MinimapMarker = {
+  x: number
+  y: number
+  color: string
+};
+
+const DIRECTIONS: MZ.MoveDirection[] = [2, 4, 6, 8];
+
+//-----------------------------------------------------------------------------
+// Sprite_Minimap
+//
+// The sprite for displaying the explored part of the map, drawn from the
+// passability and regions of its tiles, with the player, the vehicles and the
+// events that have a <Minimap> note tag.
+
+export class Sprite_Minimap extends Sprite_Clickable {
+  _mapId = 0
+  _mapBitmap: Bitmap | null = null
+  _mapSprite: Sprite | null = null
+  _markerSprite: Sprite | null = null
+  _revealed = new Uint8Array(0)
+  _exploredCount = -1
+  _centerX = 0
+  _centerY = 0
+  _following = true
+  _zoom = 1
+  _clickHandler: (() => void) | null = null
+
+  constructor(width: number, height: number)
+  constructor(thisClass: Constructable<Sprite_Minimap>)
+  constructor(arg?: any) {
+    super(Sprite_Clickable);
+    if (typeof arg === "function" && arg === Sprite_Minimap) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(width?: number, height?: number): void {
+    super.initialize();
+    this._mapId = 0;
+    this._exploredCount = -1;
+    this._following = true;
+    this._zoom = 1;
+    this._clickHandler = null;
+    this.createBackground(width!, height!);
+    this.createMapSprite();
+    this.createMarkerSprite(width!, height!);
+  };
+
+  destroy(options?: any): void {
+    this.bitmap!.destroy();
+    this._markerSprite!.bitmap!.destroy();
+    if (this._mapBitmap) {
+        this._mapBitmap.destroy();
+    }
+    super.destroy(options);
+  };
+
+  createBackground(width: number, height: number): void {
+    this.bitmap = new Bitmap(width, height);
+    this.bitmap.fillAll(this.backgroundColor());
+  };
+
+  createMapSprite(): void {
+    this._mapSprite = new Sprite();
+    this.addChild(this._mapSprite);
+  };
+
+  createMarkerSprite(width: number, height: number): void {
+    this._markerSprite = new Sprite();
+    this._markerSprite.bitmap = new Bitmap(width, height);
+    this.addChild(this._markerSprite);
+  };
+
+  tileSize(): number {
+    // The pixels per tile at the zoom of 1.
+    return 4;
+  };
+
+  zoom(): number {
+    return this._zoom;
+  };
+
+  setZoom(zoom: number): void {
+    this._zoom = zoom;
+  };
+
+  centerX(): number {
+    return this._centerX;
+  };
+
+  centerY(): number {
+    return this._centerY;
+  };
+
+  setCenter(x: number, y: number): void {
+    // In tiles. The sprite stops following the player until followPlayer.
+    this._centerX = x;
+    this._centerY = y;
+    this._following = false;
+  };
+
+  followPlayer(): void {
+    this._following = true;
+  };
+
+  update(): void {
+    super.update();
+    if (this.visible) {
+        if (this._mapId !== $gameMap.mapId()) {
+            this.createMapBitmap();
+        }
+        this.updateReveal();
+        this.updateCenter();
+        this.updateMapFrame();
+        this.updateMarkers();
+    }
+  };
+
+  setClickHandler(method: () => void): void {
+    this._clickHandler = method;
+  };
+
+  onClick(): void {
+    if (this._clickHandler) {
+        this._clickHandler();
+    }
+  };
+
+  createMapBitmap(): void {
+    const size = this.tileSize();
+    if (this._mapBitmap) {
+        this._mapBitmap.destroy();
+    }
+    this._mapId = $gameMap.mapId();
+    this._mapBitmap = new Bitmap($gameMap.width() * size, $gameMap.height() * size);
+    this._mapBitmap.smooth = false;
+    this._mapSprite!.bitmap = this._mapBitmap;
+    this._revealed = new Uint8Array($gameMap.width() * $gameMap.height());
+    this._exploredCount = -1;
+  };
+
+  updateReveal(): void {
+    // Draws the tiles explored since the last update.
+    if (this._exploredCount !== $gameMap.exploredCount()) {
+        this._exploredCount = $gameMap.exploredCount();
+        const width = $gameMap.width();
+        const height = $gameMap.height();
+        const size = this.tileSize();
+        const regionColors = this.regionColors();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!this._revealed[y * width + x] && $gameMap.isExplored(x, y)) {
+                    this._revealed[y * width + x] = 1;
+                    const color = this.tileColor(x, y, regionColors);
+                    this._mapBitmap!.fillRect(x * size, y * size, size, size, color);
+                }
+            }
+        }
+    }
+  };
+
+  updateCenter(): void {
+    if (this._following) {
+        this._centerX = $gamePlayer._realX + 0.5;
+        this._centerY = $gamePlayer._realY + 0.5;
+    }
+  };
+
+  updateMapFrame(): void {
+    const sprite = this._mapSprite!;
+    const width = this.bitmap!.width / this._zoom;
+    const height = this.bitmap!.height / this._zoom;
+    const x = this._centerX * this.tileSize() - width / 2;
+    const y = this._centerY * this.tileSize() - height / 2;
+    sprite.setFrame(x, y, width, height);
+    sprite.scale.x = this._zoom;
+    sprite.scale.y = this._zoom;
+  };
+
+  updateMarkers(): void {
+    const bitmap = this._markerSprite!.bitmap!;
+    const scale = this.tileSize() * this._zoom;
+    const radius = Math.max(scale / 2, 2);
+    bitmap.clear();
+    for (const marker of this.markers()) {
+        const x = (marker.x + 0.5 - this._centerX) * scale + bitmap.width / 2;
+        const y = (marker.y + 0.5 - this._centerY) * scale + bitmap.height / 2;
+        if (x >= 0 && y >= 0 && x < bitmap.width && y < bitmap.height) {
+            bitmap.drawCircle(x, y, radius, marker.color);
+        }
+    }
+  };
+
+  markers(): MinimapMarker[] {
+    // Drawn in order, so the player comes last to stay on top.
+    const markers: MinimapMarker[] = [];
+    for (const event of $gameMap.events()) {
+        const color = this.eventColor(event);
+        if (color && $gameMap.isExplored(event.x, event.y)) {
+            markers.push({ x: event._realX, y: event._realY, color: color });
+        }
+    }
+    for (const vehicle of $gameMap.vehicles()) {
+        if (!vehicle.isTransparent() && !vehicle._driving) {
+            markers.push({ x: vehicle._realX, y: vehicle._realY, color: this.vehicleColor() });
+        }
+    }
+    markers.push({ x: $gamePlayer._realX, y: $gamePlayer._realY, color: this.playerColor() });
+    return markers;
+  };
+
+  eventColor(event: Game_Event): string | null {
+    // <Minimap> or <Minimap: #rrggbb> on an event with an active page.
+    const note = event.event().meta["Minimap"];
+    if (!note || !event.page()) {
+        return null;
+    }
+    return note === true ? this.eventMarkerColor() : note.trim();
+  };
+
+  regionColors(): {[regionId: number]: string} {
+    // <Minimap Regions: 1 #c08040, 2 #4080c0> paints the listed regions.
+    const colors: {[regionId: number]: string} = {};
+    const note = $dataMap.meta["Minimap Regions"];
+    if (typeof note === "string") {
+        for (const entry of note.split(",")) {
+            const [regionId, color] = entry.trim().split(/\s+/);
+            colors[Number(regionId)] = color;
+        }
+    }
+    return colors;
+  };
+
+  tileColor(x: number, y: number, regionColors: {[regionId: number]: string}): string {
+    const regionColor = regionColors[$gameMap.regionId(x, y)];
+    if (regionColor) {
+        return regionColor;
+    } else if (DIRECTIONS.some(d => $gameMap.isPassable(x, y, d))) {
+        return $gameMap.isDamageFloor(x, y) ? this.damageFloorColor() : this.floorColor();
+    } else if ($gameMap.isBoatPassable(x, y)) {
+        return this.shallowWaterColor();
+    } else if ($gameMap.isShipPassable(x, y)) {
+        return this.deepWaterColor();
+    } else {
+        return this.wallColor();
+    }
+  };
+
+  backgroundColor(): string {
+    return "rgba(0, 0, 0, 0.6)";
+  };
+
+  floorColor(): string {
+    return "#c8c0a8";
+  };
+
+  damageFloorColor(): string {
+    return "#c86050";
+  };
+
+  wallColor(): string {
+    return "#484850";
+  };
+
+  shallowWaterColor(): string {
+    return "#5890d0";
+  };
+
+  deepWaterColor(): string {
+    return "#305898";
+  };
+
+  playerColor(): string {
+    return "#ffffff";
+  };
+
+  vehicleColor(): string {
+    return "#60e060";
+  };
+
+  eventMarkerColor(): string {
+    return "#ffd040";
+  };
+}
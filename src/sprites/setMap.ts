@@ -2,6 +2,7 @@ import { Graphics } from '../dom';
 import { Spriteset_Base } from '.';
 import { Sprite_Character } from '.';
 import { Sprite_Destination } from '.';
+import { Sprite_Lighting } from '.';
 import { Sprite_Balloon } from '.';
 import { Game_Character } from '../game';
 import { Sprite, TilingSprite, Tilemap, Weather } from '../pixi';
@@ -23,6 +24,7 @@ export class Spriteset_Map extends Spriteset_Base {
   _tilemap?: Tilemap
   _shadowSprite?: Sprite
   _destinationSprite?: Sprite_Destination
+  _lightingSprite?: Sprite_Lighting
   _weather?: Weather
   _parallaxName?: string
 
@@ -59,6 +61,7 @@ export class Spriteset_Map extends Spriteset_Base {
     this.createCharacters();
     this.createShadow();
     this.createDestination();
+    this.createLighting();
     this.createWeather();
   };
 
@@ -146,6 +149,12 @@ export class Spriteset_Map extends Spriteset_Base {
     this._tilemap!.addChild(this._destinationSprite);
   };
 
+  createLighting(): void {
+    // Above the tilemap, so that it lights the characters with the tiles.
+    this._lightingSprite = new Sprite_Lighting();
+    this._baseSprite!.addChild(this._lightingSprite);
+  };
+
   createWeather(): void {
     this._weather = new Weather();
     this.addChild(this._weather);
@@ -183,6 +192,9 @@ export class Spriteset_Map extends Spriteset_Base {
   updateWeather(): void {
     this._weather!.type = $gameScreen.weatherType();
     this._weather!.power = $gameScreen.weatherPower();
+    this._weather!.fadingType = $gameScreen.fadingWeatherType();
+    this._weather!.fadingPower = $gameScreen.fadingWeatherPower();
+    this._weather!.wind = $gameScreen.windPower();
     this._weather!.origin.x = $gameMap.displayX() * $gameMap.tileWidth();
     this._weather!.origin.y = $gameMap.displayY() * $gameMap.tileHeight();
   };
@@ -0,0 +1,169 @@
+import { Window_Scrollable } from '.';
+import { ColorManager, ImageManager } from '../managers';
+import { $gameSystem } from '../managers';
+import { MessageLogEntry } from '../game';
+import { Input } from '../dom';
+import { Rectangle } from '../pixi';
+
+//-----------------------------------------------------------------------------
+// Window_Backlog
+//
+// The window for rereading the messages on the backlog screen.
+
+export class Window_Backlog extends Window_Scrollable {
+  _entryTops: number[] = []
+  _entryHeights: number[] = []
+  _overallHeight = 0
+
+  constructor(rect: Rectangle)
+  constructor(thisClass: Constructable<Window_Backlog>)
+  constructor(arg?: any) {
+    super(Window_Scrollable);
+    if (typeof arg === "function" && arg === Window_Backlog) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(rect?: Rectangle): void {
+    super.initialize(rect);
+    this._entryTops = [];
+    this._entryHeights = [];
+    this._overallHeight = 0;
+    this.refresh();
+    this.scrollToBottom();
+  };
+
+  contentsHeight(): number {
+    return this.innerHeight + this.itemHeight();
+  };
+
+  entries(): MessageLogEntry[] {
+    return $gameSystem.messageLog();
+  };
+
+  overallHeight(): number {
+    return this._overallHeight;
+  };
+
+  faceSize(): number {
+    return Math.floor(ImageManager.faceWidth / 2);
+  };
+
+  entrySpacing(): number {
+    return 12;
+  };
+
+  isWordWrapEnabled(): boolean {
+    return $gameSystem.isWordWrapEnabled();
+  };
+
+  textX(entry: MessageLogEntry): number {
+    return entry.faceName ? this.faceSize() + 16 : 0;
+  };
+
+  entryHeight(entry: MessageLogEntry): number {
+    const lineHeight = this.lineHeight();
+    let height = 0;
+    if (entry.speakerName) {
+        height += lineHeight;
+    }
+    if (entry.text) {
+        height += this.textSizeEx(entry.text, this.innerWidth - this.textX(entry)).height;
+    }
+    if (entry.choice) {
+        height += lineHeight;
+    }
+    if (entry.faceName) {
+        height = Math.max(height, this.faceSize());
+    }
+    return height + this.entrySpacing();
+  };
+
+  refresh(): void {
+    // The layout is measured once, as measuring the text is slow.
+    this._entryTops = [];
+    this._entryHeights = [];
+    let y = 0;
+    for (const entry of this.entries()) {
+        const height = this.entryHeight(entry);
+        this._entryTops.push(y);
+        this._entryHeights.push(height);
+        y += height;
+    }
+    this._overallHeight = Math.max(y, this.innerHeight);
+    this.paint();
+  };
+
+  scrollToBottom(): void {
+    this.scrollTo(0, this.maxScrollY());
+  };
+
+  paint(): void {
+    if (this.contents) {
+        this.contents.clear();
+        const entries = this.entries();
+        const baseY = this.scrollBaseY();
+        for (let i = 0; i < entries.length; i++) {
+            const y = this._entryTops[i] - baseY;
+            const height = this._entryHeights[i];
+            if (y + height > 0 && y < this.contentsHeight()) {
+                this.drawEntry(entries[i], y);
+            }
+        }
+    }
+  };
+
+  drawEntry(entry: MessageLogEntry, y: number): void {
+    const x = this.textX(entry);
+    const width = this.innerWidth - x;
+    if (entry.faceName) {
+        this.drawLogFace(entry.faceName, entry.faceIndex, 0, y);
+    }
+    if (entry.speakerName) {
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText(entry.speakerName, x, y, width);
+        this.resetTextColor();
+        y += this.lineHeight();
+    }
+    if (entry.text) {
+        const textHeight = this.textSizeEx(entry.text, width).height;
+        this.drawTextEx(entry.text, x, y, width);
+        y += textHeight;
+    }
+    if (entry.choice) {
+        this.changeTextColor(ColorManager.powerUpColor());
+        this.drawText("> " + entry.choice, x, y, width);
+        this.resetTextColor();
+    }
+  };
+
+  drawLogFace(faceName: string, faceIndex: number, x: number, y: number): void {
+    const bitmap = ImageManager.loadFace(faceName);
+    const pw = ImageManager.faceWidth;
+    const ph = ImageManager.faceHeight;
+    const sx = (faceIndex % 4) * pw;
+    const sy = Math.floor(faceIndex / 4) * ph;
+    const size = this.faceSize();
+    this.contents.blt(bitmap, sx, sy, pw, ph, x, y, size, size);
+  };
+
+  update(): void {
+    super.update();
+    if (this.active) {
+        this.processScrollKeys();
+    }
+  };
+
+  processScrollKeys(): void {
+    if (Input.isRepeated("down")) {
+        this.smoothScrollDown(1);
+    } else if (Input.isRepeated("up")) {
+        this.smoothScrollUp(1);
+    } else if (Input.isRepeated("pagedown")) {
+        this.smoothScrollBy(0, this.innerHeight);
+    } else if (Input.isRepeated("pageup")) {
+        this.smoothScrollBy(0, -this.innerHeight);
+    }
+  };
+}
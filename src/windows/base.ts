@@ -2,14 +2,20 @@ import { Window } from '../pixi/window';
 import { Utils } from '../dom';
 import {
   ColorManager,
-  TextManager,
   ImageManager,
   SoundManager,
+  EscapeCodeManager,
 } from '../managers';
-import { $gameSystem, $gameActors, $gameParty, $gameVariables } from '../managers';
+import { $gameSystem, $gameActors, $gameParty } from '../managers';
 import { Rectangle, Sprite, Bitmap } from '../pixi';
+import type { EscapeArgument, EscapeCode } from '../managers';
 import { MZ } from '../MZ';
 
+// The characters that word wrapping keeps off the start and the end of a line.
+const LINE_START_FORBIDDEN = ")]}>,.:;!?、。，．・：；？！ー…‥」』）］｝〉》】〕’”ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ";
+const LINE_END_FORBIDDEN = "([{<「『（［｛〈《【〔‘“";
+const CJK_CHARACTERS = /[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/;
+
 //-----------------------------------------------------------------------------
 // Window_Base
 //
@@ -131,6 +137,9 @@ export class Window_Base extends Window {
   resetFontSettings(): void {
     this.contents.fontFace = $gameSystem.mainFontFace();
     this.contents.fontSize = $gameSystem.mainFontSize();
+    this.contents.fontBold = false;
+    this.contents.fontItalic = false;
+    this.contents.outlineWidth = 3;
     this.resetTextColor();
   };
 
@@ -219,6 +228,10 @@ export class Window_Base extends Window {
     this.contents.outlineColor = color;
   };
 
+  changeOutlineWidth(width: number): void {
+    this.contents.outlineWidth = width;
+  };
+
   changePaintOpacity(enabled: boolean | number): void {
     this.contents.paintOpacity = enabled ? 255 : this.translucentOpacity();
   };
@@ -245,9 +258,9 @@ export class Window_Base extends Window {
     return textState.outputWidth;
   };
 
-  textSizeEx(text: string): { width: number, height: number } {
+  textSizeEx(text: string, width = 0): { width: number, height: number } {
     this.resetFontSettings();
-    const textState = this.createTextState(text, 0, 0, 0);
+    const textState = this.createTextState(text, 0, 0, width);
     textState.drawing = false;
     this.processAllText(textState);
     return { width: textState.outputWidth, height: textState.outputHeight };
@@ -257,6 +270,9 @@ export class Window_Base extends Window {
     const rtl = Utils.containsArabic(text);
     const textState = {} as MZ.TextState;
     textState.text = this.convertEscapeCharacters(text);
+    if (width > 0 && this.isWordWrapEnabled()) {
+        textState.text = this.wrapText(textState.text, width);
+    }
     textState.index = 0;
     textState.x = rtl ? x + width : x;
     textState.y = y;
@@ -307,20 +323,125 @@ export class Window_Base extends Window {
     /* eslint no-control-regex: 0 */
     text = text.replace(/\\/g, "\x1b");
     text = text.replace(/\x1b\x1b/g, "\\");
-    text = text.replace(/\x1bV\[(\d+)\]/gi, (_, p1) =>
-        String($gameVariables.value(parseInt(p1)))
-    );
-    text = text.replace(/\x1bV\[(\d+)\]/gi, (_, p1) =>
-        String($gameVariables.value(parseInt(p1)))
-    );
-    text = text.replace(/\x1bN\[(\d+)\]/gi, (_, p1) =>
-        this.actorName(parseInt(p1))
-    );
-    text = text.replace(/\x1bP\[(\d+)\]/gi, (_, p1) =>
-        this.partyMemberName(parseInt(p1))
+    return EscapeCodeManager.convert(this, text);
+  };
+
+  escapeCodeScopes(): string[] {
+    return ["text"];
+  };
+
+  isWordWrapEnabled(): boolean {
+    return false;
+  };
+
+  wrapText(text: string, width: number): string {
+    // Inserts line breaks where the converted text is wider than the width.
+    const contents = this.contents;
+    const fontSize = contents.fontSize;
+    const fontBold = contents.fontBold;
+    const fontItalic = contents.fontItalic;
+    let result = "";
+    let lineWidth = 0;
+    let breakIndex = -1;
+    let breakWidth = 0;
+    let breakSpace = false;
+    let last = "";
+    let index = 0;
+    while (index < text.length) {
+        const c = text[index];
+        if (c === "\n" || c === "\f") {
+            result += c;
+            index++;
+            lineWidth = 0;
+            breakIndex = -1;
+            last = "";
+            continue;
+        }
+        const [token, advance] =
+            c === "\x1b" ? this.measureEscapeToken(text, index) : this.measureCharacter(text, index);
+        index += token.length;
+        if (c === "\x1b" && advance === 0) {
+            result += token;
+            continue;
+        }
+        const glyph = c === "\x1b" ? c : token;
+        if (glyph === " ") {
+            result += token;
+            lineWidth += advance;
+            if (lineWidth > advance) {
+                breakIndex = result.length - 1;
+                breakWidth = lineWidth;
+                breakSpace = true;
+            }
+            last = glyph;
+            continue;
+        }
+        if (lineWidth > 0 && this.canBreakBetween(last, glyph)) {
+            breakIndex = result.length;
+            breakWidth = lineWidth;
+            breakSpace = false;
+        }
+        if (lineWidth > 0 && lineWidth + advance > width) {
+            if (breakIndex >= 0) {
+                const rest = result.slice(breakIndex + (breakSpace ? 1 : 0));
+                result = result.slice(0, breakIndex) + "\n" + rest;
+                lineWidth -= breakWidth;
+            } else {
+                result += "\n";
+                lineWidth = 0;
+            }
+            breakIndex = -1;
+        }
+        result += token;
+        lineWidth += advance;
+        last = glyph;
+    }
+    contents.fontSize = fontSize;
+    contents.fontBold = fontBold;
+    contents.fontItalic = fontItalic;
+    return result;
+  };
+
+  measureCharacter(text: string, index: number): [string, number] {
+    const code = text.charCodeAt(index);
+    const surrogate = code >= 0xd800 && code <= 0xdbff;
+    const c = text.slice(index, index + (surrogate ? 2 : 1));
+    return [c, this.textWidth(c)];
+  };
+
+  measureEscapeToken(text: string, index: number): [string, number] {
+    // Applies the font changes of the code and returns its width.
+    const arr = /^([$.|^!><{}\\]|[A-Z]+)/i.exec(text.slice(index + 1));
+    const code = arr ? EscapeCodeManager.code(arr[1]) : null;
+    let end = index + 1 + (arr ? arr[1].length : 0);
+    let width = 0;
+    if (code) {
+        const [arg, length] = EscapeCodeManager.readArgument(code, text, end);
+        end += length;
+        if (EscapeCodeManager.isAvailable(code, this)) {
+            if (code.measure) {
+                code.measure(this, arg);
+            }
+            if (code.width) {
+                width = code.width(this, arg);
+            }
+        }
+    }
+    return [text.slice(index, end), width];
+  };
+
+  canBreakBetween(last: string, next: string): boolean {
+    // Latin text breaks at spaces and CJK text between any two characters.
+    if (!last || LINE_START_FORBIDDEN.includes(next) || LINE_END_FORBIDDEN.includes(last)) {
+        return false;
+    }
+    return (
+        last === "-" ||
+        last === "\x1b" ||
+        next === "\x1b" ||
+        CJK_CHARACTERS.test(last) ||
+        CJK_CHARACTERS.test(next)
     );
-    text = text.replace(/\x1bG/gi, TextManager.currencyUnit);
-    return text;
   };
 
   actorName(n: number): string {
@@ -381,34 +502,83 @@ export class Window_Base extends Window {
     }
   };
 
+  obtainEscapeArgument(escapeCode: EscapeCode, textState: MZ.TextState): EscapeArgument {
+    const [arg, length] = EscapeCodeManager.readArgument(escapeCode, textState.text, textState.index);
+    textState.index += length;
+    return arg;
+  };
+
   processEscapeCharacter(code: string, textState: MZ.TextState): void {
-    switch (code) {
-        case "C":
-            this.processColorChange(this.obtainEscapeParam(textState) as number);
-            break;
-        case "I":
-            this.processDrawIcon(this.obtainEscapeParam(textState) as number, textState);
-            break;
-        case "PX":
-            textState.x = this.obtainEscapeParam(textState) as number;
-            break;
-        case "PY":
-            textState.y = this.obtainEscapeParam(textState) as number;
-            break;
-        case "FS":
-            this.contents.fontSize = this.obtainEscapeParam(textState) as number;
-            break;
-        case "{":
-            this.makeFontBigger();
-            break;
-        case "}":
-            this.makeFontSmaller();
-            break;
-    }
-  };
-
-  processColorChange(colorIndex: number): void {
-    this.changeTextColor(ColorManager.textColor(colorIndex));
+    // The argument of a code that this window does not use is skipped.
+    const escapeCode = EscapeCodeManager.code(code);
+    if (escapeCode) {
+        const arg = this.obtainEscapeArgument(escapeCode, textState);
+        if (escapeCode.process && EscapeCodeManager.isAvailable(escapeCode, this)) {
+            escapeCode.process(this, textState, arg);
+        }
+    }
+  };
+
+  processColorChange(colorIndex: number | string): void {
+    this.changeTextColor(this.escapeColor(colorIndex));
+  };
+
+  processOutlineColorChange(color: number | string): void {
+    // \OC without a color restores the default outline.
+    if (color === "") {
+        this.changeOutlineColor(ColorManager.outlineColor());
+    } else {
+        this.changeOutlineColor(this.escapeColor(color));
+    }
+  };
+
+  escapeColor(color: number | string): string {
+    // The color is either an index of the window skin palette or #RRGGBB.
+    const text = String(color);
+    if (/^#[0-9a-f]{6}$/i.test(text)) {
+        return text;
+    } else {
+        return ColorManager.textColor(parseInt(text) || 0);
+    }
+  };
+
+  processRuby(arg: string, textState: MZ.TextState): void {
+    // \RB[base,ruby] draws the ruby centered above the base text.
+    const [text, ruby] = arg.split(",");
+    const rtl = textState.rtl;
+    const fontSize = this.contents.fontSize;
+    const width = this.rubyWidth(arg);
+    const x = rtl ? textState.x - width : textState.x;
+    if (textState.drawing) {
+        const y = textState.y;
+        const height = textState.height;
+        const rubySize = this.rubyFontSize();
+        const rubyY = y + height / 2 - fontSize / 2 - rubySize;
+        const buffer = this.createTextBuffer(rtl);
+        this.contents.drawText(buffer + text, x, y, width, height, "center");
+        this.contents.fontSize = rubySize;
+        this.contents.drawText(buffer + (ruby || ""), x, rubyY, width, rubySize, "center");
+        this.contents.fontSize = fontSize;
+    }
+    textState.x += rtl ? -width : width;
+    this.flushTextState(textState);
+  };
+
+  rubyWidth(arg: string): number {
+    const [text, ruby] = arg.split(",");
+    return Math.max(this.textWidth(text), this.rubyTextWidth(ruby || ""));
+  };
+
+  rubyFontSize(): number {
+    return Math.floor($gameSystem.mainFontSize() / 2);
+  };
+
+  rubyTextWidth(ruby: string): number {
+    const fontSize = this.contents.fontSize;
+    this.contents.fontSize = this.rubyFontSize();
+    const width = this.textWidth(ruby);
+    this.contents.fontSize = fontSize;
+    return width;
   };
 
   processDrawIcon(iconIndex: number, textState: MZ.TextState): void {
@@ -433,35 +603,37 @@ export class Window_Base extends Window {
   calcTextHeight(textState: MZ.TextState): number {
     const lineSpacing = this.lineHeight() - $gameSystem.mainFontSize();
     const lastFontSize = this.contents.fontSize;
+    const lastFontBold = this.contents.fontBold;
+    const lastFontItalic = this.contents.fontItalic;
     const lines = textState.text.slice(textState.index).split("\n");
     const textHeight = this.maxFontSizeInLine(lines[0]) + lineSpacing;
     this.contents.fontSize = lastFontSize;
-    return textHeight;
+    this.contents.fontBold = lastFontBold;
+    this.contents.fontItalic = lastFontItalic;
+    return textHeight + this.spaceAboveLine(lines[0]);
   };
 
   maxFontSizeInLine(line: string): number {
     let maxFontSize = this.contents.fontSize;
-    const regExp = /\x1b({|}|FS)(\[(\d+)])?/gi;
-    for (;;) {
-        const array = regExp.exec(line);
-        if (!array) {
-            break;
+    EscapeCodeManager.scan(this, line, (code, arg) => {
+        if (code.measure) {
+            code.measure(this, arg);
+            maxFontSize = Math.max(maxFontSize, this.contents.fontSize);
         }
-        const code = String(array[1]).toUpperCase();
-        if (code === "{") {
-            this.makeFontBigger();
-        } else if (code === "}") {
-            this.makeFontSmaller();
-        } else if (code === "FS") {
-            this.contents.fontSize = parseInt(array[3]);
-        }
-        if (this.contents.fontSize > maxFontSize) {
-            maxFontSize = this.contents.fontSize;
-        }
-    }
+    });
     return maxFontSize;
   };
 
+  spaceAboveLine(line: string): number {
+    let space = 0;
+    EscapeCodeManager.scan(this, line, (code, arg) => {
+        if (code.space) {
+            space = Math.max(space, code.space(this, arg));
+        }
+    });
+    return space;
+  };
+
   drawIcon(iconIndex: number, x: number, y: number): void {
     const bitmap = ImageManager.loadSystem("IconSet");
     const pw = ImageManager.iconWidth;
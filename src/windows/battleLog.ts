@@ -1,6 +1,6 @@
 import { Window_Base } from '.';
 import { Input, TouchInput } from '../dom';
-import { DataManager, TextManager, SoundManager } from '../managers';
+import { DataManager, EnemyAIManager, TextManager, SoundManager } from '../managers';
 import { $gameTemp } from '../managers';
 import { $dataAnimations } from '../managers';
 import { Rectangle } from '../pixi';
@@ -317,6 +317,14 @@ export class Window_BattleLog extends Window_Base {
     this.push("performAction", subject, action);
     this.push("showAnimation", subject, targets.clone(), item.animationId);
     this.displayAction(subject, item);
+    this.displayAITrace(action);
+  };
+
+  displayAITrace(action: Game_Action): void {
+    const trace = EnemyAIManager.actionTrace(action);
+    if (trace && EnemyAIManager.isTraceEnabled()) {
+        this.push("addText", EnemyAIManager.traceText(trace));
+    }
   };
 
   endAction(subject: Game_Battler): void {
@@ -0,0 +1,94 @@
+import { Window_Selectable } from '.';
+import { DebugManager, InterpreterState } from '../managers';
+import { Game_Interpreter } from '../game';
+import { Rectangle } from '../pixi';
+import { Input } from '../dom';
+
+//-----------------------------------------------------------------------------
+// Window_DebugInterpreter
+//
+// The window for displaying the running interpreters on the debug screen.
+// Each row is an interpreter, followed by the child interpreters it called.
+
+export class Window_DebugInterpreter extends Window_Selectable {
+  _interpreters: Game_Interpreter[] = []
+
+  constructor(rect: Rectangle)
+  constructor(thisClass: Constructable<Window_DebugInterpreter>)
+  constructor(arg?: any) {
+    super(Window_Selectable);
+    if (typeof arg === "function" && arg === Window_DebugInterpreter) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(rect?: Rectangle): void {
+    super.initialize(rect);
+    this._interpreters = [];
+    this.refresh();
+  };
+
+  maxItems(): number {
+    return this._interpreters.length;
+  };
+
+  interpreter(): Game_Interpreter | null {
+    return this._interpreters[this.index()] || null;
+  };
+
+  state(): InterpreterState | null {
+    const interpreter = this.interpreter();
+    return interpreter ? DebugManager.interpreterState(interpreter) : null;
+  };
+
+  refresh(): void {
+    this._interpreters = [];
+    for (const root of DebugManager.rootInterpreters()) {
+        this._interpreters.push(...DebugManager.interpreterStack(root));
+    }
+    if (this.index() >= this.maxItems()) {
+        this.select(this.maxItems() - 1);
+    }
+    super.refresh();
+  };
+
+  drawItem(index: number): void {
+    const interpreter = this._interpreters[index];
+    const state = DebugManager.interpreterState(interpreter);
+    const rect = this.itemLineRect(index);
+    const mark = state.paused ? ">" : DebugManager.hasBreakpointAt(interpreter) ? "*" : " ";
+    const indent = "  ".repeat(state.depth);
+    const text = mark + " " + indent + this.sourceText(state);
+    const commandText = "#" + state.index + " (" + state.code + ")";
+    const commandWidth = this.textWidth("#0000 (000)");
+    this.resetTextColor();
+    this.drawText(text, rect.x, rect.y, rect.width - commandWidth);
+    this.drawText(commandText, rect.x, rect.y, rect.width, "right");
+  };
+
+  sourceText(state: InterpreterState): string {
+    const location = state.location;
+    if (location.commonEventId > 0) {
+        return "Common Event " + location.commonEventId;
+    } else if (location.troopId > 0) {
+        return "Troop " + location.troopId + " Page " + (location.pageIndex + 1);
+    } else {
+        return (
+            "Map " + location.mapId +
+            " EV" + location.eventId.padZero(3) +
+            " Page " + (location.pageIndex + 1)
+        );
+    }
+  };
+
+  processHandling(): void {
+    super.processHandling();
+    if (this.isOpenAndActive() && this.isHandled("shift") && Input.isTriggered("shift")) {
+        this.playCursorSound();
+        this.updateInputData();
+        this.deactivate();
+        this.callHandler("shift");
+    }
+  };
+}
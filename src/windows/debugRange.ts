@@ -36,12 +36,13 @@ export class Window_DebugRange extends Window_Selectable {
   };
 
   maxItems(): number {
-    return this._maxSwitches + this._maxVariables;
+    // The last item opens the interpreter panel.
+    return this._maxSwitches + this._maxVariables + 1;
   };
 
   update(): void {
     super.update();
-    if (this._editWindow) {
+    if (this._editWindow && !this.isInterpreterMode(this.index())) {
         const index = this.index();
         this._editWindow.setMode(this.mode(index));
         this._editWindow.setTopId(this.topId(index));
@@ -49,9 +50,16 @@ export class Window_DebugRange extends Window_Selectable {
   };
 
   mode(index: number): string {
+    if (this.isInterpreterMode(index)) {
+        return "interpreter";
+    }
     return this.isSwitchMode(index) ? "switch" : "variable";
   };
 
+  isInterpreterMode(index: number): boolean {
+    return index === this._maxSwitches + this._maxVariables;
+  };
+
   topId(index: number): number {
     if (this.isSwitchMode(index)) {
         return index * 10 + 1;
@@ -66,6 +74,10 @@ export class Window_DebugRange extends Window_Selectable {
 
   drawItem(index: number): void {
     const rect = this.itemLineRect(index);
+    if (this.isInterpreterMode(index)) {
+        this.drawText("Interpreters", rect.x, rect.y, rect.width);
+        return;
+    }
     const c = this.isSwitchMode(index) ? "S" : "V";
     const start = this.topId(index);
     const end = start + 9;
@@ -1,4 +1,5 @@
 import { Window_Base } from '.';
+import { $gameSystem } from '../managers';
 import { Rectangle } from '../pixi';
 import { MZ } from '../MZ';
 
@@ -40,6 +41,10 @@ export class Window_Help extends Window_Base {
     this.setText(item ? item.description : "");
   };
 
+  isWordWrapEnabled(): boolean {
+    return $gameSystem.isWordWrapEnabled();
+  };
+
   refresh(): void {
     const rect = this.baseTextRect();
     this.contents.clear();
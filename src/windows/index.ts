@@ -6,6 +6,7 @@ export { Window_Base } from './base';
   export { Window_NameBox } from './nameBox';
   export { Window_ScrollText } from './scrollText';
   export { Window_Scrollable } from './scrollable';
+    export { Window_Backlog } from './backlog';
     export { Window_Selectable } from './selectable';
       export { Window_Gold } from './gold';
       export { Window_Command } from './command';
@@ -17,6 +18,7 @@ export { Window_Base } from './base';
         export { Window_SkillType } from './skillType';
         export { Window_Options } from './options';
         export { Window_GameEnd } from './gameEnd';
+        export { Window_SavefileCommand } from './savefileCommand';
         export { Window_HorzCommand } from './horzCommand';
           export { Window_EquipCommand } from './equipCommand';
           export { Window_ShopCommand } from './shopCommand';
@@ -24,6 +26,7 @@ export { Window_Base } from './base';
       export { Window_StatusBase } from './statusBase';
         export { Window_Status } from './status';
         export { Window_NameEdit } from './nameEdit';
+          export { Window_NoteEdit } from './noteEdit';
         export { Window_EquipSlot } from './equipSlot';
         export { Window_EquipStatus } from './equipStatus';
         export { Window_ShopStatus } from './shopStatus';
@@ -44,6 +47,7 @@ export { Window_Base } from './base';
       export { Window_NumberInput } from './numberInput';
       export { Window_DebugEdit } from './debugEdit';
       export { Window_DebugRange } from './debugRange';
+      export { Window_DebugInterpreter } from './debugInterpreter';
       export { Window_SavefileList } from './savefileList';
       export { Window_ShopBuy } from './shopBuy';
       export { Window_ShopNumber } from './shopNumber';
@@ -1,6 +1,6 @@
 import { Window_Base } from '.';
-import { ImageManager } from '../managers';
-import { $gameMessage } from '../managers';
+import { ImageManager, ConfigManager } from '../managers';
+import { $gameMessage, $gameSystem } from '../managers';
 import { Graphics, Input, TouchInput } from '../dom';
 import { Bitmap, Rectangle } from '../pixi';
 import { Window_Gold, Window_NameBox, Window_ChoiceList, Window_NumberInput, Window_EventItem } from '.';
@@ -19,6 +19,10 @@ export class Window_Message extends Window_Base {
   _showFast = false
   _lineShowFast = false
   _pauseSkip = false
+  _speedRate = 100
+  _characterBudget = 0
+  _pageLength = 0
+  _autoWaitCount = 0
   _faceBitmap: Bitmap | null = null
   _textState: MZ.TextState | null = null
   _goldWindow: Window_Gold | null = null
@@ -47,6 +51,10 @@ export class Window_Message extends Window_Base {
     this._background = 0;
     this._positionType = 2;
     this._waitCount = 0;
+    this._speedRate = 100;
+    this._characterBudget = 0;
+    this._pageLength = 0;
+    this._autoWaitCount = 0;
     this._faceBitmap = null;
     this._textState = null;
     this._goldWindow = null;
@@ -87,6 +95,7 @@ export class Window_Message extends Window_Base {
     this.checkToNotClose();
     super.update();
     this.synchronizeNameBox();
+    this.updateMessageMode();
     while (!this.isOpening() && !this.isClosing()) {
         if (this.updateWait()) {
             return;
@@ -115,6 +124,25 @@ export class Window_Message extends Window_Base {
     this._nameBoxWindow!.openness = this.openness;
   };
 
+  updateMessageMode(): void {
+    if (this.isOpen() && $gameMessage.hasText()) {
+        if (Input.isTriggered("pagedown")) {
+            $gameMessage.setAutoMode(!$gameMessage.isAutoMode());
+        }
+        if (Input.isTriggered("tab")) {
+            $gameMessage.setSkipMode(!$gameMessage.isSkipMode());
+        }
+    }
+  };
+
+  isSkipping(): boolean {
+    // Only the messages that were read before are skipped.
+    return (
+        ($gameMessage.isSkipMode() || Input.isPressed("control")) &&
+        $gameMessage.isRead()
+    );
+  };
+
   canStart(): boolean {
     return $gameMessage.hasText() && !$gameMessage.scrollMode();
   };
@@ -125,6 +153,19 @@ export class Window_Message extends Window_Base {
     textState.x = this.newLineX(textState);
     textState.startX = textState.x;
     this._textState = textState;
+    this._speedRate = 100;
+    this._characterBudget = 0;
+    if (!$gameMessage.isRead()) {
+        // The skip mode stops at unread text.
+        $gameMessage.setSkipMode(false);
+    }
+    this.addMessageLog(textState.text);
+    if (this.isWordWrapEnabled()) {
+        // The log keeps the text unwrapped for the width of the backlog. The
+        // text is measured from the default font, as newPage draws it.
+        this.resetFontSettings();
+        textState.text = this.wrapText(textState.text, this.messageTextWidth(textState));
+    }
     this.newPage(this._textState);
     this.updatePlacement();
     this.updateBackground();
@@ -132,6 +173,34 @@ export class Window_Message extends Window_Base {
     this._nameBoxWindow!.start();
   };
 
+  addMessageLog(text: string): void {
+    // A message that is shown again after a scene change is logged once.
+    if ($gameMessage.isLogged()) {
+        return;
+    }
+    const speakerName = this.convertEscapeCharacters($gameMessage.speakerName());
+    for (const page of text.split("\f")) {
+        if (page) {
+            $gameSystem.addMessageLog({
+                speakerName: speakerName,
+                faceName: $gameMessage.faceName(),
+                faceIndex: $gameMessage.faceIndex(),
+                text: page,
+                choice: ""
+            });
+        }
+    }
+    $gameMessage.setLogged();
+  };
+
+  isWordWrapEnabled(): boolean {
+    return $gameSystem.isWordWrapEnabled();
+  };
+
+  messageTextWidth(textState: MZ.TextState): number {
+    return textState.rtl ? textState.startX : this.innerWidth - textState.startX;
+  };
+
   newLineX(textState: MZ.TextState): number {
     const faceExists = $gameMessage.faceName() !== "";
     const faceWidth = ImageManager.faceWidth;
@@ -161,6 +230,9 @@ export class Window_Message extends Window_Base {
   };
 
   updateWait(): boolean {
+    if (this.isSkipping()) {
+        this._waitCount = 0;
+    }
     if (this._waitCount > 0) {
         this._waitCount--;
         return true;
@@ -188,7 +260,7 @@ export class Window_Message extends Window_Base {
         return true;
     }
     if (this.pause) {
-        if (this.isTriggered()) {
+        if (this.isTriggered() || this.updateAutoAdvance()) {
             Input.update();
             this.pause = false;
             if (!this._textState) {
@@ -200,6 +272,21 @@ export class Window_Message extends Window_Base {
     return false;
   };
 
+  updateAutoAdvance(): boolean {
+    if (this.isSkipping()) {
+        return true;
+    }
+    if ($gameMessage.isAutoMode()) {
+        return --this._autoWaitCount <= 0;
+    }
+    return false;
+  };
+
+  autoWaitCount(): number {
+    // The auto mode waits longer for the pages with more text.
+    return 60 + this._pageLength * 3;
+  };
+
   isAnySubWindowActive(): boolean {
     return (
         this._choiceListWindow!.active ||
@@ -211,11 +298,15 @@ export class Window_Message extends Window_Base {
   updateMessage(): boolean {
     const textState = this._textState;
     if (textState) {
+        this.updateCharacterBudget();
         while (!this.isEndOfText(textState)) {
             if (this.needsNewPage(textState)) {
                 this.newPage(textState);
             }
             this.updateShowFast();
+            if (this.canBreakHere(textState) && this.isWaitingForCharacter()) {
+                break;
+            }
             this.processCharacter(textState);
             if (this.shouldBreakHere(textState)) {
                 break;
@@ -231,9 +322,37 @@ export class Window_Message extends Window_Base {
     }
   };
 
+  updateCharacterBudget(): void {
+    // The characters that are not shown in a frame are carried over, so the
+    // slow speeds show one character every few frames.
+    const rate = this.charactersPerFrame();
+    this._characterBudget = Math.min(this._characterBudget + rate, Math.max(rate, 1));
+  };
+
+  charactersPerFrame(): number {
+    const rates = [0.25, 0.5, 1, 2, Infinity];
+    const rate = rates[ConfigManager.textSpeed - 1] || 1;
+    return (rate * this._speedRate) / 100;
+  };
+
+  isWaitingForCharacter(): boolean {
+    return !this._showFast && !this._lineShowFast && this._characterBudget < 1;
+  };
+
+  processCharacter(textState: MZ.TextState): void {
+    const c = textState.text[textState.index];
+    super.processCharacter(textState);
+    if (c.charCodeAt(0) >= 0x20) {
+        this._pageLength++;
+        if (!this._showFast && !this._lineShowFast) {
+            this._characterBudget--;
+        }
+    }
+  };
+
   shouldBreakHere(textState: MZ.TextState): boolean {
     if (this.canBreakHere(textState)) {
-        if (!this._showFast && !this._lineShowFast) {
+        if (this.isWaitingForCharacter()) {
             return true;
         }
         if (this.pause || this._waitCount > 0) {
@@ -307,7 +426,7 @@ export class Window_Message extends Window_Base {
   };
 
   updateShowFast(): void {
-    if (this.isTriggered()) {
+    if (this.isTriggered() || this.isSkipping()) {
         this._showFast = true;
     }
   };
@@ -375,33 +494,13 @@ export class Window_Message extends Window_Base {
     );
   };
 
-  processEscapeCharacter(code: string, textState: MZ.TextState): void {
-    switch (code) {
-        case "$":
-            this._goldWindow!.open();
-            break;
-        case ".":
-            this.startWait(15);
-            break;
-        case "|":
-            this.startWait(60);
-            break;
-        case "!":
-            this.startPause();
-            break;
-        case ">":
-            this._lineShowFast = true;
-            break;
-        case "<":
-            this._lineShowFast = false;
-            break;
-        case "^":
-            this._pauseSkip = true;
-            break;
-        default:
-            super.processEscapeCharacter(code, textState);
-            break;
-    }
+  escapeCodeScopes(): string[] {
+    return super.escapeCodeScopes().concat("message");
+  };
+
+  changeTextSpeed(rate: number): void {
+    // The rate is a percentage of the configured speed.
+    this._speedRate = Math.max(rate || 100, 1);
   };
 
   startWait(count: number): void {
@@ -411,5 +510,7 @@ export class Window_Message extends Window_Base {
   startPause(): void {
     this.startWait(10);
     this.pause = true;
+    this._autoWaitCount = this.autoWaitCount();
+    this._pageLength = 0;
   };
 }
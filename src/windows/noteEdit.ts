@@ -0,0 +1,53 @@
+import { Window_NameEdit } from '.';
+import { Rectangle } from '../pixi';
+
+//-----------------------------------------------------------------------------
+// Window_NoteEdit
+//
+// The window for editing the note of a save file. It works like
+// Window_NameEdit without an actor.
+
+export class Window_NoteEdit extends Window_NameEdit {
+  constructor(rect: Rectangle)
+  constructor(thisClass: Constructable<Window_NoteEdit>)
+  constructor(arg?: any) {
+    super(Window_NameEdit);
+    if (typeof arg === "function" && arg === Window_NoteEdit) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  setupText(text: string, maxLength: number): void {
+    this._maxLength = maxLength;
+    this._name = text.slice(0, this._maxLength);
+    this._index = this._name.length;
+    this._defaultName = this._name;
+  };
+
+  note(): string {
+    return this._name;
+  };
+
+  faceWidth(): number {
+    return 0;
+  };
+
+  itemRect(index: number): Rectangle {
+    const rect = super.itemRect(index);
+    rect.y = (this.innerHeight - rect.height) / 2;
+    return rect;
+  };
+
+  refresh(): void {
+    this.contents.clear();
+    for (let i = 0; i < this._maxLength; i++) {
+        this.drawUnderline(i);
+    }
+    for (let j = 0; j < this._name.length; j++) {
+        this.drawChar(j);
+    }
+    const rect = this.itemRect(this._index);
+    this.setCursorRect(rect.x, rect.y, rect.width, rect.height);
+  };
+}
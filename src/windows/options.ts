@@ -1,5 +1,5 @@
 import { Window_Command } from '.';
-import { TextManager, ConfigManager } from '../managers';
+import { TextManager, ConfigManager, LocaleManager } from '../managers';
 import { Rectangle } from '../pixi';
 
 //-----------------------------------------------------------------------------
@@ -8,6 +8,8 @@ import { Rectangle } from '../pixi';
 // The window for changing various settings on the options screen.
 
 export class Window_Options extends Window_Command {
+  _localeChanged = false
+
   constructor(rect: Rectangle)
   constructor(thisClass: Constructable<Window_Options>)
   constructor(arg?: any) {
@@ -20,6 +22,7 @@ export class Window_Options extends Window_Command {
 
   initialize(rect?: Rectangle): void {
     super.initialize(rect);
+    this._localeChanged = false;
   };
 
   makeCommandList(): void {
@@ -28,9 +31,13 @@ export class Window_Options extends Window_Command {
   };
 
   addGeneralOptions(): void {
+    if (LocaleManager.locales().length > 1) {
+        this.addCommand(TextManager.language, "locale");
+    }
     this.addCommand(TextManager.alwaysDash, "alwaysDash");
     this.addCommand(TextManager.commandRemember, "commandRemember");
     this.addCommand(TextManager.touchUI, "touchUI");
+    this.addCommand(TextManager.textSpeed, "textSpeed");
   };
 
   addVolumeOptions(): void {
@@ -59,7 +66,11 @@ export class Window_Options extends Window_Command {
   statusText(index: number): string {
     const symbol = this.commandSymbol(index);
     const value = this.getConfigValue(symbol);
-    if (this.isVolumeSymbol(symbol)) {
+    if (symbol === "locale") {
+        return LocaleManager.localeName();
+    } else if (symbol === "textSpeed") {
+        return this.textSpeedStatusText(value as number);
+    } else if (this.isVolumeSymbol(symbol)) {
         return this.volumeStatusText(value as number);
     } else {
         return this.booleanStatusText(value as boolean);
@@ -78,10 +89,18 @@ export class Window_Options extends Window_Command {
     return value + "%";
   };
 
+  textSpeedStatusText(value: number): string {
+    return value >= ConfigManager.maxTextSpeed() ? "MAX" : String(value);
+  };
+
   processOk(): void {
     const index = this.index();
     const symbol = this.commandSymbol(index);
-    if (this.isVolumeSymbol(symbol)) {
+    if (symbol === "locale") {
+        this.changeLocale(true);
+    } else if (symbol === "textSpeed") {
+        this.changeTextSpeed(true, true);
+    } else if (this.isVolumeSymbol(symbol)) {
         this.changeVolume(symbol, true, true);
     } else {
         this.changeValue(symbol, !this.getConfigValue(symbol));
@@ -91,7 +110,11 @@ export class Window_Options extends Window_Command {
   cursorRight(): void {
     const index = this.index();
     const symbol = this.commandSymbol(index);
-    if (this.isVolumeSymbol(symbol)) {
+    if (symbol === "locale") {
+        this.changeLocale(true);
+    } else if (symbol === "textSpeed") {
+        this.changeTextSpeed(true, false);
+    } else if (this.isVolumeSymbol(symbol)) {
         this.changeVolume(symbol, true, false);
     } else {
         this.changeValue(symbol, true);
@@ -101,7 +124,11 @@ export class Window_Options extends Window_Command {
   cursorLeft(): void {
     const index = this.index();
     const symbol = this.commandSymbol(index);
-    if (this.isVolumeSymbol(symbol)) {
+    if (symbol === "locale") {
+        this.changeLocale(false);
+    } else if (symbol === "textSpeed") {
+        this.changeTextSpeed(false, false);
+    } else if (this.isVolumeSymbol(symbol)) {
         this.changeVolume(symbol, false, false);
     } else {
         this.changeValue(symbol, false);
@@ -119,24 +146,51 @@ export class Window_Options extends Window_Command {
     }
   };
 
+  changeTextSpeed(forward: boolean, wrap: boolean): void {
+    const max = ConfigManager.maxTextSpeed();
+    const value = ConfigManager.textSpeed + (forward ? 1 : -1);
+    if (value > max && wrap) {
+        this.changeValue("textSpeed", 1);
+    } else {
+        this.changeValue("textSpeed", value.clamp(1, max));
+    }
+  };
+
+  changeLocale(forward: boolean): void {
+    const ids = LocaleManager.locales().map(info => info.id);
+    const index = ids.indexOf(ConfigManager.locale);
+    const next = (index + (forward ? 1 : ids.length - 1)) % ids.length;
+    this.changeValue("locale", ids[next]);
+  };
+
+  update(): void {
+    super.update();
+    // Every term is redrawn once the new locale is loaded.
+    if (this._localeChanged && LocaleManager.isReady()) {
+        this._localeChanged = false;
+        this.refresh();
+    }
+  };
+
   volumeOffset(): number {
     return 20;
   };
 
-  changeValue(symbol: string, value: number | boolean): void {
+  changeValue(symbol: string, value: number | boolean | string): void {
     const lastValue = this.getConfigValue(symbol);
     if (lastValue !== value) {
         this.setConfigValue(symbol, value);
+        this._localeChanged = this._localeChanged || symbol === "locale";
         this.redrawItem(this.findSymbol(symbol));
         this.playCursorSound();
     }
   };
 
-  getConfigValue(symbol: string): number | boolean {
+  getConfigValue(symbol: string): number | boolean | string {
     return (ConfigManager as any)[symbol];
   };
 
-  setConfigValue(symbol: string, volume: number | boolean): void {
+  setConfigValue(symbol: string, volume: number | boolean | string): void {
     (ConfigManager as any)[symbol] = volume;
   };
 }
\ No newline at end of file
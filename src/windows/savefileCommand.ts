@@ -0,0 +1,44 @@
+import { Window_Command } from '.';
+import { TextManager, DataManager } from '../managers';
+import { Rectangle } from '../pixi';
+
+//-----------------------------------------------------------------------------
+// Window_SavefileCommand
+//
+// The window for selecting a command on a save file on the save and load
+// screens.
+
+export class Window_SavefileCommand extends Window_Command {
+  _savefileId = 0
+
+  constructor(rect: Rectangle)
+  constructor(thisClass: Constructable<Window_SavefileCommand>)
+  constructor(arg?: any) {
+    super(Window_Command);
+    if (typeof arg === "function" && arg === Window_SavefileCommand) {
+      return;
+    }
+    this.initialize(...arguments);
+  }
+
+  initialize(rect?: Rectangle): void {
+    super.initialize(rect);
+    this._savefileId = 0;
+    this.openness = 0;
+    this.deactivate();
+  };
+
+  setSavefileId(savefileId: number): void {
+    this._savefileId = savefileId;
+    this.refresh();
+    this.select(0);
+  };
+
+  makeCommandList(): void {
+    const exists = !!DataManager.savefileInfo(this._savefileId);
+    this.addCommand(TextManager.copySavefile, "copy", exists);
+    this.addCommand(TextManager.deleteSavefile, "delete", exists);
+    this.addCommand(TextManager.editNote, "note", exists);
+    this.addCommand(TextManager.cancel, "cancel");
+  };
+}
@@ -1,7 +1,8 @@
 import { Window_Selectable } from '.';
-import { TextManager, DataManager } from '../managers';
+import { TextManager, DataManager, SoundManager } from '../managers';
 import { MZ } from '../MZ';
-import { Rectangle } from '../pixi';
+import { Bitmap, Rectangle } from '../pixi';
+import { Input } from '../dom';
 
 //-----------------------------------------------------------------------------
 // Window_SavefileList
@@ -35,6 +36,24 @@ export class Window_SavefileList extends Window_Selectable {
     this.refresh();
   };
 
+  mode(): string | null {
+    return this._mode;
+  };
+
+  processHandling(): void {
+    super.processHandling();
+    if (this.isOpenAndActive() && this.isHandled("shift") && Input.isTriggered("shift")) {
+        this.processShift();
+    }
+  };
+
+  processShift(): void {
+    SoundManager.playOk();
+    this.updateInputData();
+    this.deactivate();
+    this.callHandler("shift");
+  };
+
   maxItems(): number {
     return DataManager.maxSavefiles() - (this._autosave ? 0 : 1);
   };
@@ -53,6 +72,10 @@ export class Window_SavefileList extends Window_Selectable {
     const rect = this.itemRectWithPadding(index);
     this.resetTextColor();
     this.changePaintOpacity(this.isEnabled(savefileId));
+    const snapshot = info ? DataManager.savefileSnapshot(savefileId) : null;
+    const snapshotWidth = snapshot ? this.drawSnapshot(snapshot, rect) : 0;
+    rect.x += snapshotWidth;
+    rect.width -= snapshotWidth;
     this.drawTitle(savefileId, rect.x, rect.y + 4);
     if (info) {
         this.drawContents(info, rect);
@@ -68,7 +91,7 @@ export class Window_SavefileList extends Window_Selectable {
   };
 
   isEnabled(savefileId: number): boolean {
-    if (this._mode === "save") {
+    if (this._mode === "save" || this._mode === "copy") {
         return savefileId > 0;
     } else {
         return !!DataManager.savefileInfo(savefileId);
@@ -93,6 +116,17 @@ export class Window_SavefileList extends Window_Selectable {
     }
   };
 
+  drawSnapshot(bitmap: Bitmap, rect: Rectangle): number {
+    if (!bitmap.isReady()) {
+        bitmap.addLoadListener(() => this.refresh());
+        return 0;
+    }
+    const height = rect.height - 8;
+    const width = Math.floor((bitmap.width * height) / bitmap.height);
+    this.contents.blt(bitmap, 0, 0, bitmap.width, bitmap.height, rect.x, rect.y + 4, width, height);
+    return width + 8;
+  };
+
   drawContents(info: MZ.SaveFileInfo, rect: Rectangle): void {
     const bottom = rect.y + rect.height;
     if (rect.width >= 420) {
@@ -101,8 +135,32 @@ export class Window_SavefileList extends Window_Selectable {
     const lineHeight = this.lineHeight();
     const y2 = bottom - lineHeight - 4;
     if (y2 >= lineHeight) {
+        this.drawLevel(info, rect.x, y2, 180);
         this.drawPlaytime(info, rect.x, y2, rect.width);
     }
+    this.drawNote(info, rect.x + 180, rect.y + 4, rect.width - 420);
+    this.drawMapName(info, rect.x, rect.y + 4, rect.width);
+  };
+
+  drawLevel(info: MZ.SaveFileInfo, x: number, y: number, width: number): void {
+    if (info.level) {
+        this.changeTextColor(this.systemColor());
+        this.drawText(TextManager.levelLabel, x, y, 48);
+        this.resetTextColor();
+        this.drawText(String(info.level), x + 48, y, width - 48);
+    }
+  };
+
+  drawNote(info: MZ.SaveFileInfo, x: number, y: number, width: number): void {
+    if (info.note && width > 0) {
+        this.drawText(info.note, x, y, width);
+    }
+  };
+
+  drawMapName(info: MZ.SaveFileInfo, x: number, y: number, width: number): void {
+    if (info.mapName) {
+        this.drawText(info.mapName, x, y, width, "right");
+    }
   };
 
   drawPartyCharacters(info: MZ.SaveFileInfo, x: number, y: number): void {
@@ -1,5 +1,5 @@
 import { Window_Base } from '.';
-import { $gameMessage } from '../managers';
+import { $gameMessage, $gameSystem } from '../managers';
 import { Rectangle } from '../pixi';
 import { Input, TouchInput } from '../dom';
 
@@ -52,11 +52,15 @@ export class Window_ScrollText extends Window_Base {
     this.show();
   };
 
+  isWordWrapEnabled(): boolean {
+    return $gameSystem.isWordWrapEnabled();
+  };
+
   refresh(): void {
-    this._allTextHeight = this.textSizeEx(this._text!).height;
+    const rect = this.baseTextRect();
+    this._allTextHeight = this.textSizeEx(this._text!, rect.width).height;
     this.createContents();
     this.origin.y = -this.height;
-    const rect = this.baseTextRect();
     this.drawTextEx(this._text!, rect.x, rect.y, rect.width);
   };
 
@@ -29,9 +29,45 @@ const circularDependencyPlugin = new CircularDependencyPlugin({
   cwd: process.cwd(),
 });
 
+const headlessConfig = (DEV) => ({
+  entry: './src/headless/main.ts',
+  target: 'node',
+  output: {
+    filename: 'headless.js',
+    path: path.resolve(__dirname, 'dist'),
+    libraryTarget: 'commonjs2',
+  },
+  module: {
+    rules: [
+      {
+        test: /\.ts$/,
+        use: 'ts-loader',
+      },
+    ],
+  },
+  resolve: {
+    extensions: [
+      '.ts', '.js',
+    ],
+  },
+  devtool: DEV ? "eval-cheap-module-source-map": "source-map",
+  optimization: {
+    // JsonEx restores save data by constructor names
+    minimize: false,
+    concatenateModules: false
+  },
+  performance: {
+    hints: false
+  },
+});
+
 module.exports = (env, {mode}) => {
   const DEV = mode !== 'production';
 
+  if (env && env.headless) {
+    return headlessConfig(DEV);
+  }
+
   return {
     entry: './src/index.ts',
     target: 'web',